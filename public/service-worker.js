@@ -6,6 +6,10 @@ const FORM_CACHE = `fse-forms-${CACHE_VERSION}`;
 const API_CACHE = `fse-api-${CACHE_VERSION}`;
 const IMAGE_CACHE = `fse-images-${CACHE_VERSION}`;
 
+// Map tile server whose tiles are kept for offline use, passed by the app
+// when it registers the worker (see mapTiles.OFFLINE_TILE_ORIGIN)
+const TILE_ORIGIN = new URL(self.location.href).searchParams.get('tiles');
+
 // Assets to cache immediately on install
 const STATIC_ASSETS = [
     '/',
@@ -148,6 +152,25 @@ const cacheFirst = async (request, cacheName) => {
     }
 };
 
+// Map tiles: the cached copy (precached or seen before), otherwise the tile
+// server. Tiles are cached by URL so precached CORS copies answer <img> requests.
+const mapTileFirst = async (request) => {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cachedResponse = await cache.match(request.url);
+    if (cachedResponse) {
+        return cachedResponse;
+    }
+
+    const networkResponse = await fetch(request);
+
+    // Opaque responses can't be checked and take up a lot of quota
+    if (networkResponse.ok) {
+        await cache.put(request.url, networkResponse.clone());
+    }
+
+    return networkResponse;
+};
+
 // Helper function for stale-while-revalidate strategy
 const staleWhileRevalidate = async (request, cacheName) => {
     // Start fetching from network
@@ -326,17 +349,45 @@ const readRequestBody = async (request) => {
     }
 };
 
-// IndexedDB helper for request queue
-const dbPromise = idb.openDB('fse-offline-requests', 1, {
-    upgrade(db) {
-        db.createObjectStore('requests', { keyPath: 'id', autoIncrement: true });
+// IndexedDB helper for request queue. Requests live in the app database
+// (src/db); its schema and migrations are owned by the app, so the worker opens
+// whatever version exists and never creates or upgrades it.
+const APP_DB_NAME = 'fse-lead-collection';
+const REQUEST_STORE = 'offline-requests';
+
+let dbPromise = null;
+
+const openAppDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = idb.openDB(APP_DB_NAME, undefined, {
+            upgrade(db, oldVersion, newVersion, transaction) {
+                // The app hasn't created the database yet
+                transaction.done.catch(() => {});
+                transaction.abort();
+            },
+            blocking() {
+                // Let the app upgrade the schema
+                const current = dbPromise;
+                dbPromise = null;
+                current.then(db => db.close());
+            },
+            terminated() {
+                dbPromise = null;
+            }
+        });
+
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
     }
-});
+
+    return dbPromise;
+};
 
 // Save a request to the queue
 const saveQueuedRequest = async (tag, requestData) => {
-    const db = await dbPromise;
-    return db.add('requests', {
+    const db = await openAppDatabase();
+    return db.add(REQUEST_STORE, {
         tag,
         data: requestData,
         status: 'pending',
@@ -347,24 +398,24 @@ const saveQueuedRequest = async (tag, requestData) => {
 
 // Get all pending requests for a tag
 const getPendingRequests = async (tag) => {
-    const db = await dbPromise;
-    return db.getAllFromIndex('requests', 'tag', tag);
+    const db = await openAppDatabase();
+    return db.getAllFromIndex(REQUEST_STORE, 'tag', tag);
 };
 
 // Delete a request from the queue
 const deleteQueuedRequest = async (id) => {
-    const db = await dbPromise;
-    return db.delete('requests', id);
+    const db = await openAppDatabase();
+    return db.delete(REQUEST_STORE, id);
 };
 
 // Update a request in the queue
 const updateQueuedRequest = async (id, updates) => {
-    const db = await dbPromise;
-    const request = await db.get('requests', id);
+    const db = await openAppDatabase();
+    const request = await db.get(REQUEST_STORE, id);
     if (!request) return;
 
     Object.assign(request, updates);
-    return db.put('requests', request);
+    return db.put(REQUEST_STORE, request);
 };
 
 // Register for background sync
@@ -382,7 +433,13 @@ const registerForSync = async (tag) => {
 self.addEventListener('fetch', event => {
     const url = new URL(event.request.url);
 
-    // Skip cross-origin requests to reduce complexity
+    // Map tiles are cross-origin but must work offline
+    if (TILE_ORIGIN && url.origin === TILE_ORIGIN && event.request.method === 'GET') {
+        event.respondWith(mapTileFirst(event.request));
+        return;
+    }
+
+    // Skip other cross-origin requests to reduce complexity
     if (url.origin !== location.origin) {
         return;
     }
@@ -647,6 +704,40 @@ self.addEventListener('notificationclick', event => {
     );
 });
 
+// Fetch tiles that aren't cached yet into IMAGE_CACHE, a few at a time
+const cacheMapTiles = async (urls) => {
+    const cache = await caches.open(IMAGE_CACHE);
+    const queue = [...urls];
+    let cached = 0;
+    let failed = 0;
+
+    const worker = async () => {
+        while (queue.length > 0) {
+            const url = queue.shift();
+
+            try {
+                if (await cache.match(url)) {
+                    cached++;
+                    continue;
+                }
+
+                const response = await fetch(url, { mode: 'cors' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                await cache.put(url, response);
+                cached++;
+            } catch (error) {
+                failed++;
+            }
+        }
+    };
+
+    await Promise.all([worker(), worker(), worker(), worker()]);
+    console.log(`[Service Worker] Cached ${cached} map tiles, ${failed} failed`);
+
+    return { cached, failed };
+};
+
 // Message from clients
 self.addEventListener('message', event => {
     console.log('[Service Worker] Message received:', event.data);
@@ -666,6 +757,18 @@ self.addEventListener('message', event => {
             }
             break;
 
+        case 'CACHE_MAP_TILES':
+            // Map tiles for an area, fetched while online so location
+            // previews work offline; served from IMAGE_CACHE like other images
+            event.waitUntil(
+                cacheMapTiles(event.data.urls || []).then(result => {
+                    if (event.source) {
+                        event.source.postMessage({ type: 'MAP_TILES_CACHED', ...result });
+                    }
+                })
+            );
+            break;
+
         case 'NETWORK_STATUS':
             // If coming back online, trigger syncs
             if (event.data.isOnline) {
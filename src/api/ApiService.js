@@ -156,21 +156,55 @@ class EnhancedApiService {
                 : JSON.stringify(body);
         }
 
-        // Create abort controller for timeout unless signal is provided
-        let abortController;
-        if (!signal) {
-            abortController = new AbortController();
-            requestOptions.signal = abortController.signal;
-
-            // Set timeout
-            if (timeout) {
-                setTimeout(() => abortController.abort(), timeout);
+        // Abort on the caller's signal or after the timeout, whichever comes
+        // first; a caller's signal must not switch the timeout off
+        const abortController = new AbortController();
+        requestOptions.signal = abortController.signal;
+
+        let timedOut = false;
+        const timeoutId = timeout
+            ? setTimeout(() => {
+                timedOut = true;
+                abortController.abort();
+            }, timeout)
+            : null;
+
+        const forwardAbort = () => abortController.abort();
+        if (signal) {
+            if (signal.aborted) {
+                abortController.abort();
+            } else {
+                signal.addEventListener('abort', forwardAbort);
             }
-        } else {
-            requestOptions.signal = signal;
         }
 
-        // Make request with retries
+        try {
+            return await this.fetchWithRetries(url, requestOptions, { requireAuth, retries });
+        } catch (error) {
+            // A timeout isn't a cancellation; callers can fall back on it
+            if (timedOut && error.name === 'AbortError') {
+                const timeoutError = new Error(`Request to ${endpoint} timed out after ${timeout} ms`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            if (signal) {
+                signal.removeEventListener('abort', forwardAbort);
+            }
+        }
+    }
+
+    /**
+     * Send a prepared request, retrying network and server errors with
+     * exponential backoff and refreshing the access token on a 401
+     * @param {string} url - Request URL
+     * @param {Object} requestOptions - fetch options, including the abort signal
+     * @param {Object} options - { requireAuth, retries }
+     * @returns {Promise<Object>} Response data
+     */
+    async fetchWithRetries(url, requestOptions, { requireAuth, retries }) {
         let attempts = 0;
         let lastError;
 
@@ -326,12 +360,22 @@ class EnhancedApiService {
         });
     }
 
+    /**
+     * Get the state of a chunked upload so it can be resumed
+     * @param {string} uploadId - Upload ID
+     * @returns {Promise<Object>} { receivedChunks: Array<number>, expired: boolean }
+     */
+    async getUploadStatus(uploadId) {
+        return this.request(`media/${uploadId}/status`, { retries: 1 });
+    }
+
     /**
      * Upload a chunk of a file
      * @param {string} uploadId - Upload ID
      * @param {number} chunkIndex - Chunk index
      * @param {Blob} chunk - File chunk
-     * @param {Object} metadata - Additional metadata
+     * @param {Object} metadata - Additional metadata (e.g. the chunk's SHA-256 `checksum`,
+     * which the server verifies before accepting the chunk)
      * @returns {Promise<Object>} Chunk upload result
      */
     async uploadChunk(uploadId, chunkIndex, chunk, metadata = {}) {
@@ -348,15 +392,17 @@ class EnhancedApiService {
         return this.request('media/chunk', {
             method: 'POST',
             body: formData,
-            timeout: 60000 // Longer timeout for uploads
+            timeout: 60000, // Longer timeout for uploads
+            retries: 0 // mediaUploadService retries chunks itself
         });
     }
 
     /**
      * Complete a chunked upload
      * @param {string} uploadId - Upload ID
-     * @param {Object} metadata - Final metadata
-     * @returns {Promise<Object>} Complete upload result with file URL
+     * @param {Object} metadata - Final metadata, including the file's SHA-256 `hash`
+     * @returns {Promise<Object>} Complete upload result with file URL, the server's
+     * `hash` of the assembled file and any `missingChunks`
      */
     async completeUpload(uploadId, metadata = {}) {
         return this.request('media/complete', {
@@ -390,6 +436,116 @@ class EnhancedApiService {
         });
     }
 
+    // Direct-to-S3 multipart uploads. The backend holds the bucket credentials
+    // (aws-sdk) and hands out presigned URLs; part data never passes through it.
+
+    /**
+     * Start an S3 multipart upload
+     * @param {Object} metadata - { filename, type, size, partSize, fieldName }
+     * @returns {Promise<Object>} { key, uploadId }
+     */
+    async createMultipartUpload(metadata) {
+        return this.request('media/s3/multipart', {
+            method: 'POST',
+            body: metadata
+        });
+    }
+
+    /**
+     * Get presigned PUT URLs for parts of a multipart upload
+     * @param {string} key - Object key
+     * @param {string} uploadId - S3 upload ID
+     * @param {Array<number>} partNumbers - Part numbers (1-based)
+     * @returns {Promise<Object>} { urls: { [partNumber]: url } }
+     */
+    async getPresignedPartUrls(key, uploadId, partNumbers) {
+        return this.request('media/s3/multipart/urls', {
+            method: 'POST',
+            body: { key, uploadId, partNumbers }
+        });
+    }
+
+    /**
+     * List the parts S3 already has for a multipart upload
+     * @param {string} key - Object key
+     * @param {string} uploadId - S3 upload ID
+     * @returns {Promise<Object>} { parts: Array<{ PartNumber, ETag, Size }> }
+     */
+    async listUploadedParts(key, uploadId) {
+        return this.request('media/s3/multipart/parts', {
+            method: 'POST',
+            body: { key, uploadId },
+            retries: 1
+        });
+    }
+
+    /**
+     * Complete a multipart upload
+     * @param {string} key - Object key
+     * @param {string} uploadId - S3 upload ID
+     * @param {Array<Object>} parts - { PartNumber, ETag } for every part, in order
+     * @returns {Promise<Object>} { key, location }
+     */
+    async completeMultipartUpload(key, uploadId, parts) {
+        return this.request('media/s3/multipart/complete', {
+            method: 'POST',
+            body: { key, uploadId, parts }
+        });
+    }
+
+    /**
+     * Abort a multipart upload so S3 discards its parts
+     * @param {string} key - Object key
+     * @param {string} uploadId - S3 upload ID
+     * @returns {Promise<Object>} Abort result
+     */
+    async abortMultipartUpload(key, uploadId) {
+        return this.request('media/s3/multipart/abort', {
+            method: 'POST',
+            body: { key, uploadId }
+        });
+    }
+
+    /**
+     * List the map tile bundles assigned to the user
+     * @returns {Promise<Object>} { bundles: [{ id, name, version }] }
+     */
+    async getMapTileBundles() {
+        return this.request('maps/bundles');
+    }
+
+    /**
+     * Get a bundle of map tiles for offline use
+     * @param {string} bundleId - Bundle ID, e.g. a beat or territory
+     * @returns {Promise<Object>} { id, version, attribution, tiles: [{ z, x, y, data }] } with base64 PNG data
+     */
+    async getMapTileBundle(bundleId) {
+        return this.request(`maps/bundles/${bundleId}`, { timeout: 120000 });
+    }
+
+    /**
+     * Look up the address at a point
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {Object} options - Request options (e.g. signal)
+     * @returns {Promise<Object>} { street, city, state, zip, country }
+     */
+    async reverseGeocode(latitude, longitude, options = {}) {
+        return this.request(`geocode/reverse?lat=${latitude}&lng=${longitude}`, {
+            retries: 0,
+            timeout: 10000,
+            ...options
+        });
+    }
+
+    /**
+     * Get the pincode/locality dataset for offline reverse geocoding
+     * @returns {Promise<Object>} { places: [{ pincode, locality, city, state, country, latitude, longitude }] }
+     */
+    async getPlaceDataset() {
+        return this.request('geocode/places', { timeout: 120000 });
+    }
+
     /**
      * Get media by ID
      * @param {string} mediaId - Media ID
@@ -8,6 +8,7 @@ import SyncStatusIndicator from "./components/sync/SyncStatusIndicator";
 import { useOfflineStatus } from "./hooks/useOfflineStatus";
 import { registerServiceWorker } from "./utils/serviceWorker";
 import syncManager from "./services/syncService";
+import mediaUploadService from "./services/mediaUploadServices";
 import Toast from "./components/common/Toast";
 
 const App = () => {
@@ -135,6 +136,9 @@ const App = () => {
     // Initialize the sync manager
     syncManager.init();
 
+    // Restore queued media uploads (runs once)
+    mediaUploadService.init();
+
     // Clean up event listeners
     return () => {
       removeSyncListener();
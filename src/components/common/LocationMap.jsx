@@ -0,0 +1,245 @@
+import { useState, useEffect, useRef } from "preact/hooks";
+import mapTiles from "../../utils/mapTiles";
+
+const { TILE_SIZE } = mapTiles;
+
+// One map tile; grey until it loads or when it isn't available offline
+const MapTile = ({ z, x, y, left, top }) => {
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+
+    mapTiles.getTileSrc(z, x, y).then((url) => {
+      if (!cancelled) setSrc(url);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [z, x, y]);
+
+  return (
+    <div
+      className="absolute bg-gray-200"
+      style={{ left, top, width: TILE_SIZE, height: TILE_SIZE }}
+    >
+      {src && !failed && (
+        <img
+          src={src}
+          alt=""
+          draggable={false}
+          onError={() => setFailed(true)}
+          style={{ width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Small map showing a GPS fix with its accuracy circle and a pin that can
+ * be dragged to correct the position.
+ */
+const LocationMap = ({
+  gps,
+  pin,
+  onPinChange,
+  disabled = false,
+  initialZoom = 17,
+  height = 240,
+  className = "",
+}) => {
+  const containerRef = useRef(null);
+  const [width, setWidth] = useState(320);
+  const [zoom, setZoom] = useState(initialZoom);
+  const [center, setCenter] = useState(pin || gps);
+  const [dragOffset, setDragOffset] = useState(null);
+  const dragStart = useRef(null);
+
+  // Follow the container's width
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return undefined;
+
+    setWidth(container.offsetWidth);
+
+    if (typeof ResizeObserver === "undefined") return undefined;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setWidth(Math.round(entry.contentRect.width));
+    });
+    observer.observe(container);
+
+    return () => observer.disconnect();
+  }, []);
+
+  // Recentre when a new position comes in or the pin is reset
+  const { latitude: focusLatitude, longitude: focusLongitude } = pin || gps;
+  useEffect(() => {
+    setCenter({ latitude: focusLatitude, longitude: focusLongitude });
+  }, [focusLatitude, focusLongitude]);
+
+  const origin = mapTiles.project(center, zoom);
+  const left = origin.x - width / 2;
+  const top = origin.y - height / 2;
+
+  const toScreen = (point) => {
+    const { x, y } = mapTiles.project(point, zoom);
+    return { x: x - left, y: y - top };
+  };
+
+  // Tiles covering the view, wrapping around the antimeridian
+  const count = Math.pow(2, zoom);
+  const tiles = [];
+  for (let tx = Math.floor(left / TILE_SIZE); tx <= Math.floor((left + width) / TILE_SIZE); tx++) {
+    for (let ty = Math.floor(top / TILE_SIZE); ty <= Math.floor((top + height) / TILE_SIZE); ty++) {
+      if (ty < 0 || ty >= count) continue;
+      tiles.push({
+        z: zoom,
+        x: ((tx % count) + count) % count,
+        y: ty,
+        left: tx * TILE_SIZE - left,
+        top: ty * TILE_SIZE - top,
+      });
+    }
+  }
+
+  const gpsPoint = toScreen(gps);
+  const accuracyRadius = gps.accuracy
+    ? gps.accuracy / mapTiles.metersPerPixel(gps.latitude, zoom)
+    : 0;
+
+  const pinPoint = toScreen(pin || gps);
+  if (dragOffset) {
+    pinPoint.x += dragOffset.x;
+    pinPoint.y += dragOffset.y;
+  }
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStart.current = { x: e.clientX, y: e.clientY };
+    setDragOffset({ x: 0, y: 0 });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragStart.current) return;
+    setDragOffset({
+      x: e.clientX - dragStart.current.x,
+      y: e.clientY - dragStart.current.y,
+    });
+  };
+
+  const handlePointerUp = () => {
+    if (!dragStart.current) return;
+    dragStart.current = null;
+
+    const point = mapTiles.unproject(
+      { x: pinPoint.x + left, y: pinPoint.y + top },
+      zoom
+    );
+
+    setDragOffset(null);
+    setCenter(point);
+    onPinChange(point);
+  };
+
+  // A cancelled gesture (e.g. the browser took over scrolling) leaves the pin where it was
+  const handlePointerCancel = () => {
+    dragStart.current = null;
+    setDragOffset(null);
+  };
+
+  const changeZoom = (delta) => {
+    setZoom((current) =>
+      Math.max(mapTiles.MIN_ZOOM, Math.min(mapTiles.MAX_ZOOM, current + delta))
+    );
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative overflow-hidden rounded-md border border-gray-300 bg-gray-100 select-none ${className}`}
+      style={{ height }}
+    >
+      {tiles.map((tile) => (
+        <MapTile key={`${tile.z}/${tile.x}/${tile.y}/${tile.left}`} {...tile} />
+      ))}
+
+      {/* GPS fix and its accuracy */}
+      <div
+        className="absolute rounded-full bg-blue-500 bg-opacity-20 border border-blue-400 pointer-events-none"
+        style={{
+          left: gpsPoint.x - accuracyRadius,
+          top: gpsPoint.y - accuracyRadius,
+          width: accuracyRadius * 2,
+          height: accuracyRadius * 2,
+        }}
+      />
+      <div
+        className="absolute h-3 w-3 rounded-full bg-blue-600 border-2 border-white pointer-events-none"
+        style={{ left: gpsPoint.x - 6, top: gpsPoint.y - 6 }}
+      />
+
+      {/* Draggable pin; its tip marks the position */}
+      <div
+        role="button"
+        tabIndex={-1}
+        aria-label="Drag to correct the location"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        className={`absolute ${disabled ? "" : "cursor-grab"}`}
+        style={{
+          left: pinPoint.x - 12,
+          top: pinPoint.y - 32,
+          touchAction: "none",
+        }}
+      >
+        <svg
+          xmlns="http://www.w3.org/2000/svg"
+          width="24"
+          height="32"
+          viewBox="0 0 24 32"
+        >
+          <path
+            d="M12 0C5.4 0 0 5.4 0 12c0 9 12 20 12 20s12-11 12-20C24 5.4 18.6 0 12 0z"
+            fill="#dc2626"
+          />
+          <circle cx="12" cy="12" r="4.5" fill="#fff" />
+        </svg>
+      </div>
+
+      {/* Zoom */}
+      <div className="absolute top-2 right-2 flex flex-col bg-white rounded shadow">
+        <button
+          type="button"
+          onClick={() => changeZoom(1)}
+          aria-label="Zoom in"
+          className="px-2 text-gray-700 hover:bg-gray-100"
+        >
+          +
+        </button>
+        <button
+          type="button"
+          onClick={() => changeZoom(-1)}
+          aria-label="Zoom out"
+          className="px-2 text-gray-700 hover:bg-gray-100 border-t border-gray-200"
+        >
+          −
+        </button>
+      </div>
+
+      <span className="absolute bottom-0 right-0 bg-white bg-opacity-75 px-1 text-[10px] text-gray-600">
+        {mapTiles.ATTRIBUTION}
+      </span>
+    </div>
+  );
+};
+
+export default LocationMap;
@@ -0,0 +1,64 @@
+/**
+ * Summary of validation errors across the form, grouped by step.
+ * Selecting an entry jumps to the step and field.
+ */
+const ErrorSummary = ({ summary = [], onSelect, onClose }) => {
+  if (summary.length === 0) return null;
+
+  const errorCount = summary.reduce(
+    (count, step) => count + step.fields.length,
+    0
+  );
+
+  return (
+    <div
+      role="alert"
+      className="mb-6 p-4 rounded-md border border-red-200 bg-red-50"
+    >
+      <div className="flex items-start justify-between">
+        <h3 className="text-sm font-medium text-red-800">
+          Please fix {errorCount} {errorCount === 1 ? "problem" : "problems"}{" "}
+          before submitting
+        </h3>
+
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label="Dismiss"
+            className="ml-4 text-red-500 hover:text-red-700"
+          >
+            ×
+          </button>
+        )}
+      </div>
+
+      <div className="mt-3 space-y-3">
+        {summary.map((step) => (
+          <div key={step.stepId}>
+            <p className="text-sm font-medium text-gray-700">
+              Step {step.stepIndex + 1}
+              {step.title ? `: ${step.title}` : ""}
+            </p>
+
+            <ul className="mt-1 space-y-1">
+              {step.fields.map((field) => (
+                <li key={field.name}>
+                  <button
+                    type="button"
+                    onClick={() => onSelect(step.stepIndex, field)}
+                    className="text-left text-sm text-red-700 underline hover:text-red-900"
+                  >
+                    {field.label}: {field.message}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ErrorSummary;
@@ -10,6 +10,7 @@ const FormNavigation = ({
   onSubmit,
   isSubmitting,
   isSaving,
+  isValidating = false,
   isLastStep,
 }) => {
   const { isOffline } = useOfflineStatus();
@@ -49,11 +50,11 @@ const FormNavigation = ({
           <button
             type="button"
             onClick={onNext}
-            disabled={isSubmitting}
+            disabled={isSubmitting || isValidating}
             className="px-4 py-2 border border-transparent rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 transition-colors"
           >
             <span className="flex items-center">
-              Next
+              {isValidating ? "Checking..." : "Next"}
               <svg
                 xmlns="http://www.w3.org/2000/svg"
                 className="h-5 w-5 ml-1"
@@ -72,7 +73,7 @@ const FormNavigation = ({
           <button
             type="button"
             onClick={onSubmit}
-            disabled={isSubmitting}
+            disabled={isSubmitting || isValidating}
             className="px-4 py-2 border border-transparent rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 transition-colors"
           >
             {isSubmitting ? (
@@ -99,6 +100,8 @@ const FormNavigation = ({
                 </svg>
                 Submitting...
               </span>
+            ) : isValidating ? (
+              <span className="flex items-center">Checking...</span>
             ) : (
               <span className="flex items-center">
                 {isOffline ? "Save for Later" : "Submit"}
@@ -1,17 +1,25 @@
-import { useState, useEffect, useMemo } from "preact/hooks";
+import { useState, useEffect, useMemo, useRef } from "preact/hooks";
 import { route } from "preact-router";
 import FormStepper from "./stepper/FormStepper";
 import FormStep from "./stepper/FormStepper";
 import FormNavigation from "./FormNavigation";
+import ErrorSummary from "./ErrorSummary";
 import LoadingIndicator from "../layout/LoadingIndicator";
 import ErrorDisplay from "../layout/ErrorDisplay";
 import SuccessDisplay from "../common/SuccessDisplay";
 import formTemplateService from "../../services/formTemplateService";
 import formDataService from "../../services/formDataService";
 import syncService from "../../services/syncService";
+import lookupService from "../../services/lookupService";
 import validator from "../../utils/validation";
+import locationTrail from "../../utils/locationTrail";
 import { useOfflineStatus } from "../../hooks/useOfflineStatus";
 import { useAutoSave } from "../../hooks/useAutoSave";
+import { useAsyncValidation } from "../../hooks/useAsyncValidation";
+import { useLocationTracking } from "../../hooks/useLocationTracking";
+
+// Shortest time between draft saves made only to store new route points
+const TRAIL_SAVE_INTERVAL = 30000;
 
 const FormRenderer = ({
   formId,
@@ -21,14 +29,18 @@ const FormRenderer = ({
   // State management
   const [formTemplate, setFormTemplate] = useState(null);
   const [formData, setFormData] = useState({});
-  const [currentStep, setCurrentStep] = useState(0);
+  const [currentStepId, setCurrentStepId] = useState(null);
+  const [visitedPath, setVisitedPath] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [validationErrors, setValidationErrors] = useState({});
+  const [errorSummary, setErrorSummary] = useState([]);
+  const [focusFieldId, setFocusFieldId] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isDraft, setIsDraft] = useState(false);
   const [lastSaved, setLastSaved] = useState(null);
   const [formSubmitted, setFormSubmitted] = useState(false);
+  const [trail, setTrail] = useState(null);
 
   // Custom hooks
   const { isOffline, wasOffline } = useOfflineStatus();
@@ -42,8 +54,12 @@ const FormRenderer = ({
       try {
         const saveData = {
           formId: formTemplate.id,
-          data,
+          // Sensitive IDs are only stored masked, even before the field is left
+          data: formTemplateService.maskDraftData(formTemplate, data),
           currentStep,
+          currentStepId,
+          visitedPath,
+          trail,
           updatedAt: new Date().toISOString(),
         };
 
@@ -79,6 +95,37 @@ const FormRenderer = ({
     return formTemplateService.processTemplate(formTemplate, formData);
   }, [formTemplate, formData]);
 
+  // Steps are tracked by ID so the current page stays put when earlier
+  // answers show or hide other steps. If the current step itself becomes
+  // hidden, fall forward to the next visible step in template order.
+  const currentStep = useMemo(() => {
+    if (!processedTemplate || processedTemplate.steps.length === 0) return 0;
+
+    const steps = processedTemplate.steps;
+    const index = steps.findIndex((step) => step.id === currentStepId);
+    if (index !== -1) return index;
+
+    const templateIndex = formTemplate.steps.findIndex(
+      (step) => step.id === currentStepId
+    );
+    if (templateIndex === -1) return 0;
+
+    const next = formTemplate.steps
+      .slice(templateIndex)
+      .find((step) => steps.some((visible) => visible.id === step.id));
+
+    return next
+      ? steps.findIndex((step) => step.id === next.id)
+      : steps.length - 1;
+  }, [processedTemplate, formTemplate, currentStepId]);
+
+  const setCurrentStep = (index) => {
+    const step = processedTemplate?.steps[index];
+    if (step) {
+      setCurrentStepId(step.id);
+    }
+  };
+
   // Load form template and draft if available
   useEffect(() => {
     async function loadFormAndData() {
@@ -103,8 +150,21 @@ const FormRenderer = ({
           const draft = await formDataService.getDraft(draftId);
 
           if (draft) {
-            setFormData(draft.data || {});
-            setCurrentStep(draft.currentStep || 0);
+            const data = formTemplateService.applyCalculations(
+              template,
+              draft.data || {}
+            );
+            setFormData(data);
+
+            // Older drafts only stored the step index
+            const stepId =
+              draft.currentStepId ||
+              formTemplateService.processTemplate(template, data).steps[
+                draft.currentStep || 0
+              ]?.id;
+            setCurrentStepId(stepId || null);
+            setVisitedPath(draft.visitedPath || []);
+            setTrail(draft.trail || null);
             setLastSaved(draft.updatedAt);
             setIsDraft(true);
           } else {
@@ -124,16 +184,63 @@ const FormRenderer = ({
     loadFormAndData();
   }, [formId, draftId, apiUrl]);
 
+  // Route tracking for templates with `tracking` (beat plans)
+  const trackingOptions = useMemo(
+    () => locationTrail.getOptions(formTemplate?.tracking),
+    [formTemplate]
+  );
+
+  const tracking = useLocationTracking({
+    options: trackingOptions,
+    enabled: !loading && !formSubmitted,
+    trail,
+    onChange: setTrail,
+  });
+
+  // New points only change the trail, not the answers, so save them here.
+  // The first save creates the draft, so a route walked before the first
+  // answer isn't lost; later ones come right away when tracking pauses,
+  // since a backgrounded app may be closed.
+  const lastTrailSave = useRef(0);
+  useEffect(() => {
+    if (!trail) return;
+
+    const paused = locationTrail.isPaused(trail);
+    if (!paused && Date.now() - lastTrailSave.current < TRAIL_SAVE_INTERVAL) {
+      return;
+    }
+
+    lastTrailSave.current = Date.now();
+    triggerSave();
+  }, [trail, triggerSave]);
+
+  // Cache the lookup lists this form checks against, so `lookup` rules
+  // still work if the connection drops later
+  useEffect(() => {
+    if (!formTemplate || isOffline) return;
+
+    lookupService.prefetchLookups(
+      formTemplateService.getLookupNames(formTemplate)
+    );
+  }, [formTemplate, isOffline]);
+
   // Handle field change
   const handleFieldChange = (name, value) => {
     setFormData((prevData) => {
-      const newData = { ...prevData, [name]: value };
-
-      // Clear validation error for this field if it exists
-      if (validationErrors[name]) {
+      // Recalculate derived values on every change
+      const newData = formTemplateService.applyCalculations(formTemplate, {
+        ...prevData,
+        [name]: value,
+      });
+
+      // Clear validation errors for this field (and its repeat instances) if any exist
+      const isOwnError = (key) => key === name || key.startsWith(`${name}.`);
+      if (Object.keys(validationErrors).some(isOwnError)) {
         setValidationErrors((prev) => {
           const newErrors = { ...prev };
-          delete newErrors[name];
+          Object.keys(newErrors).filter(isOwnError).forEach((key) => {
+            delete newErrors[key];
+          });
           return newErrors;
         });
       }
@@ -151,30 +258,124 @@ const FormRenderer = ({
     const stepSchema = processedTemplate.steps[currentStep];
     const result = validator.validateStep(formData, stepSchema);
 
-    setValidationErrors(result.errors);
+    // Keep errors from other steps so the submit summary stays accurate
+    const stepFields = stepSchema.fields.map((field) => field.name);
+    setValidationErrors((prev) => {
+      const newErrors = { ...result.errors };
+      Object.keys(prev).forEach((key) => {
+        if (!stepFields.includes(key.split(".")[0])) {
+          newErrors[key] = prev[key];
+        }
+      });
+      return newErrors;
+    });
     return result;
   };
 
+  // ID of the step Next leads to, following any branching rules; null on the last step
+  const nextStepId = useMemo(() => {
+    const step = processedTemplate?.steps[currentStep];
+    if (!step) return null;
+    return formTemplateService.getNextStepId(formTemplate, step.id, formData);
+  }, [processedTemplate, formTemplate, currentStep, formData]);
+
+  // Server-side checks (e.g. lookups) for fields on the current step
+  const { asyncErrors, isValidating, validateNow } = useAsyncValidation({
+    fields: processedTemplate?.steps[currentStep]?.fields,
+    formData,
+    enabled: !!formTemplate,
+  });
+
+  // Run the async checks immediately rather than waiting for the debounce
+  const validateCurrentStepAsync = async () => {
+    const errors = await validateNow(formData);
+    return Object.keys(errors).length === 0;
+  };
+
   // Handle next step
-  const handleNextStep = () => {
+  const handleNextStep = async () => {
     const { isValid } = validateCurrentStep();
-
-    if (isValid) {
-      if (currentStep < (processedTemplate?.steps.length - 1 || 0)) {
-        setCurrentStep((prev) => prev + 1);
-        window.scrollTo(0, 0);
-      }
+    if (!isValid || !(await validateCurrentStepAsync())) return;
+
+    if (nextStepId) {
+      setVisitedPath((prev) => [
+        ...prev,
+        processedTemplate.steps[currentStep].id,
+      ]);
+      setCurrentStepId(nextStepId);
+      window.scrollTo(0, 0);
     }
   };
 
-  // Handle previous step
+  // Handle previous step, returning along the path actually taken
   const handlePreviousStep = () => {
-    if (currentStep > 0) {
-      setCurrentStep((prev) => prev - 1);
+    const steps = processedTemplate?.steps || [];
+    const path = visitedPath.filter((id) => steps.some((step) => step.id === id));
+
+    if (path.length > 0) {
+      setCurrentStepId(path[path.length - 1]);
+      setVisitedPath(path.slice(0, -1));
+      window.scrollTo(0, 0);
+    } else if (currentStep > 0) {
+      setCurrentStep(currentStep - 1);
       window.scrollTo(0, 0);
     }
   };
 
+  // Jump to a step from the stepper; going back trims the path to that point
+  const handleStepChange = (index) => {
+    const step = processedTemplate?.steps[index];
+    if (!step) return;
+
+    const pathIndex = visitedPath.indexOf(step.id);
+    if (pathIndex !== -1) {
+      setVisitedPath(visitedPath.slice(0, pathIndex));
+    } else {
+      setVisitedPath([...visitedPath, processedTemplate.steps[currentStep].id]);
+    }
+
+    setCurrentStepId(step.id);
+  };
+
+  // Drop summary entries as their errors are fixed
+  const openErrorSummary = useMemo(
+    () =>
+      errorSummary
+        .map((step) => ({
+          ...step,
+          fields: step.fields.filter((field) => validationErrors[field.name]),
+        }))
+        .filter((step) => step.fields.length > 0),
+    [errorSummary, validationErrors]
+  );
+
+  // Focus a field once its step has rendered (lazy inputs may take a moment)
+  useEffect(() => {
+    if (!focusFieldId) return;
+
+    const timer = setTimeout(() => {
+      const element =
+        document.getElementById(focusFieldId) ||
+        document.getElementById(`${focusFieldId}-0`);
+
+      if (element) {
+        element.scrollIntoView({ behavior: "smooth", block: "center" });
+        element.focus({ preventScroll: true });
+      }
+      setFocusFieldId(null);
+    }, 100);
+
+    return () => clearTimeout(timer);
+  }, [focusFieldId, currentStep]);
+
+  // Jump to a failing field listed in the error summary
+  const handleErrorSelect = (stepIndex, field) => {
+    if (stepIndex !== currentStep) {
+      handleStepChange(stepIndex);
+    }
+    setFocusFieldId(field.fieldId);
+  };
+
   // Save draft manually
   const handleSaveDraft = async () => {
     try {
@@ -191,23 +392,66 @@ const FormRenderer = ({
 
   // Submit form
   const handleSubmit = async () => {
-    const { isValid, errors } = validateCurrentStep();
-
-    if (!isValid) {
+    // Drafts saved before paths were tracked have no path; prune by visibility only
+    const takenPath =
+      visitedPath.length > 0 || currentStep === 0
+        ? [...visitedPath, processedTemplate.steps[currentStep]?.id]
+        : null;
+
+    // Validate every visible step that will be submitted, not just this one,
+    // since earlier answers can be invalidated by later changes
+    const steps = processedTemplate.steps;
+    const submittedSteps = takenPath
+      ? steps.filter((step) => takenPath.includes(step.id))
+      : steps;
+
+    const showErrors = ({ errors, summary }) => {
       setValidationErrors(errors);
+      setErrorSummary(
+        summary.map((item) => ({
+          ...item,
+          stepIndex: steps.findIndex((step) => step.id === item.stepId),
+        }))
+      );
+    };
+
+    const result = validator.validateSteps(formData, submittedSteps);
+    if (!result.isValid) {
+      showErrors(result);
       return;
     }
 
+    setErrorSummary([]);
+
     try {
       setIsSubmitting(true);
 
-      // Create submission data
+      // Server-side checks for the answers on every submitted step; those
+      // on earlier steps may not have been checked since they changed
+      const asyncResult = await validator.validateStepsAsync(
+        formData,
+        submittedSteps
+      );
+      if (!asyncResult.isValid) {
+        showErrors(asyncResult);
+        return;
+      }
+
+      // Create submission data, dropping answers from skipped steps
       const submissionData = {
         formId: formTemplate.id,
         projectId: formTemplate.projectId,
-        data: formData,
+        data: formTemplateService.pruneSkippedData(
+          formTemplate,
+          formData,
+          takenPath
+        ),
         createdAt: new Date().toISOString(),
         version: formTemplate.version,
+        trail:
+          trackingOptions && trail
+            ? locationTrail.summarize(trail, trackingOptions)
+            : null,
       };
 
       // Submit the form
@@ -328,6 +572,20 @@ const FormRenderer = ({
             </div>
           )}
 
+          {/* Route tracking indicator */}
+          {trackingOptions && (tracking.isTracking || tracking.error) && (
+            <div
+              className={`mt-2 text-sm p-2 rounded border ${
+                tracking.error
+                  ? "bg-red-50 text-red-800 border-red-200"
+                  : "bg-blue-50 text-blue-800 border-blue-200"
+              }`}
+            >
+              {tracking.error ||
+                "Your route is being recorded while this form is open."}
+            </div>
+          )}
+
           {/* Recently came back online indicator */}
           {!isOffline && wasOffline && (
             <div className="mt-2 text-sm bg-green-50 text-green-800 p-2 rounded border border-green-200">
@@ -344,7 +602,7 @@ const FormRenderer = ({
             <FormStepper
               steps={processedTemplate.steps}
               currentStep={currentStep}
-              onChange={setCurrentStep}
+              onChange={handleStepChange}
               formData={formData}
             />
           )}
@@ -356,6 +614,13 @@ const FormRenderer = ({
             </div>
           )}
 
+          {/* Errors found when submitting */}
+          <ErrorSummary
+            summary={openErrorSummary}
+            onSelect={handleErrorSelect}
+            onClose={() => setErrorSummary([])}
+          />
+
           {/* Last saved message */}
           {lastSaved && isDraft && (
             <div className="mb-4 flex items-center text-sm text-gray-500">
@@ -393,7 +658,7 @@ const FormRenderer = ({
                 step={currentStepData}
                 formData={formData}
                 onChange={handleFieldChange}
-                errors={validationErrors}
+                errors={{ ...asyncErrors, ...validationErrors }}
                 disabled={isSubmitting}
               />
             </div>
@@ -404,14 +669,15 @@ const FormRenderer = ({
         <div className="px-6 py-4 bg-gray-50 border-t">
           <FormNavigation
             currentStep={currentStep}
-            totalSteps={processedTemplate.steps.length}
+            totalSteps={processedTemplate.totalSteps}
             onPrevious={handlePreviousStep}
             onNext={handleNextStep}
             onSave={handleSaveDraft}
             onSubmit={handleSubmit}
             isSubmitting={isSubmitting}
             isSaving={isSaving}
-            isLastStep={currentStep === processedTemplate.steps.length - 1}
+            isValidating={isValidating}
+            isLastStep={!nextStepId}
           />
         </div>
       </div>
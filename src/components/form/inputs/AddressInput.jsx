@@ -1,6 +1,12 @@
-import { useState, useEffect } from "preact/hooks";
 import TextInput from "./TextInput";
 
+const AUTO_FILLED_HINT = "Filled from location";
+
+/**
+ * Street, city, state, ZIP and country. The parts can be filled from a
+ * linked geolocation field (see services/geocodingService); those are listed
+ * in `autoFilled` and marked until the user edits them.
+ */
 const AddressInput = ({
   id,
   name,
@@ -15,28 +21,30 @@ const AddressInput = ({
   ...props
 }) => {
   // Ensure value is an object
-  const [address, setAddress] = useState({
+  const address = {
     street: "",
     city: "",
     state: "",
     zip: "",
     country: "",
-    ...value,
-  });
-
-  // Update parent when address changes
-  useEffect(() => {
-    onChange(address);
-  }, [address, onChange]);
-
-  // Update address field
-  const updateField = (field, value) => {
-    setAddress((prev) => ({
-      ...prev,
-      [field]: value,
-    }));
+    ...(value && typeof value === "object" ? value : {}),
+  };
+  const autoFilled = address.autoFilled || [];
+
+  // Update address field; an edited part no longer counts as auto-filled
+  const updateField = (field, fieldValue) => {
+    const next = { ...address, [field]: fieldValue };
+
+    if (autoFilled.includes(field)) {
+      next.autoFilled = autoFilled.filter((part) => part !== field);
+    }
+
+    onChange(next);
   };
 
+  const autoFilledHint = (field) =>
+    autoFilled.includes(field) ? AUTO_FILLED_HINT : undefined;
+
   // Derive field-specific errors from the main error
   const getFieldError = (field) => {
     if (!error) return null;
@@ -57,6 +65,13 @@ const AddressInput = ({
         {required && <span className="text-red-500 ml-1">*</span>}
       </label>
 
+      {autoFilled.length > 0 && (
+        <p className="mb-3 text-sm text-blue-800 bg-blue-50 border border-blue-200 rounded-md p-2">
+          Parts of this address were filled in from the location. Please check
+          them and correct anything that is wrong.
+        </p>
+      )}
+
       <div className="space-y-4">
         <TextInput
           id={`${id}-street`}
@@ -68,6 +83,7 @@ const AddressInput = ({
           required={required}
           disabled={disabled}
           error={getFieldError("street")}
+          hint={autoFilledHint("street")}
           className="mb-3"
         />
 
@@ -82,6 +98,7 @@ const AddressInput = ({
             required={required}
             disabled={disabled}
             error={getFieldError("city")}
+            hint={autoFilledHint("city")}
           />
 
           <TextInput
@@ -94,6 +111,7 @@ const AddressInput = ({
             required={required}
             disabled={disabled}
             error={getFieldError("state")}
+            hint={autoFilledHint("state")}
           />
         </div>
 
@@ -108,6 +126,7 @@ const AddressInput = ({
             required={required}
             disabled={disabled}
             error={getFieldError("zip")}
+            hint={autoFilledHint("zip")}
           />
 
           <TextInput
@@ -120,6 +139,7 @@ const AddressInput = ({
             required={required}
             disabled={disabled}
             error={getFieldError("country")}
+            hint={autoFilledHint("country")}
           />
         </div>
       </div>
@@ -0,0 +1,306 @@
+import { useState, useRef, useEffect, useCallback } from "preact/hooks";
+import { useCamera } from "../../../hooks/useCamera";
+import barcodeScanner from "../../../utils/barcodeScanner";
+
+// Time between scans of the video; decoding every frame drains the battery
+const SCAN_INTERVAL = 250;
+
+/**
+ * Barcode and QR code field. Scans with the camera or takes a code typed in
+ * by hand. The value is { code, format, source, scannedAt } with `source`
+ * 'camera' or 'manual'. With `continuous` the camera stays open and each new
+ * code is added to a list, for scanning several items in a row.
+ */
+const BarcodeInput = ({
+  id,
+  name,
+  label,
+  value = null,
+  onChange,
+  formats = barcodeScanner.DEFAULT_FORMATS,
+  continuous = false,
+  required = false,
+  disabled = false,
+  error,
+  hint,
+  className = "",
+}) => {
+  const camera = useCamera({ facingMode: "environment" });
+  const [manualCode, setManualCode] = useState("");
+  const [manualError, setManualError] = useState(null);
+  const [scanError, setScanError] = useState(null);
+  const [isLoadingScanner, setIsLoadingScanner] = useState(false);
+  const [lastScan, setLastScan] = useState(null);
+
+  const items = continuous ? (Array.isArray(value) ? value : []) : [];
+  const current = !continuous && value && typeof value === "object" ? value : null;
+
+  // The scan loop outlives renders; it reads the latest value and change
+  // handler from here
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const addCode = useCallback(({ code, format }, source) => {
+    const entry = { code, format, source, scannedAt: new Date().toISOString() };
+
+    if (!continuous) {
+      onChangeRef.current(entry);
+      return true;
+    }
+
+    // The same item stays in view for several scans
+    const known = itemsRef.current.some(
+      (item) => item.code === code && item.format === format
+    );
+    if (known) return false;
+
+    itemsRef.current = [...itemsRef.current, entry];
+    onChangeRef.current(itemsRef.current);
+    return true;
+  }, [continuous]);
+
+  // Template fields are copied on every change; compare formats by value so
+  // the scan loop only restarts when they really change
+  const formatsKey = formats.join(",");
+
+  // Scan the video while the camera is running
+  const { stream: cameraStream, videoRef, close: closeCamera } = camera;
+  useEffect(() => {
+    if (!cameraStream) return undefined;
+
+    let stopped = false;
+    let timer = null;
+
+    const scan = async () => {
+      const video = videoRef.current;
+
+      if (video && video.readyState >= 2) {
+        try {
+          const [barcode] = await barcodeScanner.detect(video, formatsKey.split(","));
+          setIsLoadingScanner(false);
+
+          if (!stopped && barcode && addCode(barcode, "camera")) {
+            setLastScan(barcode);
+            if (navigator.vibrate) navigator.vibrate(100);
+
+            if (!continuous) {
+              closeCamera();
+              return;
+            }
+          }
+        } catch (err) {
+          console.error("Barcode scanning failed:", err);
+          setIsLoadingScanner(false);
+          setScanError("The scanner couldn't start. Please enter the code by hand.");
+          closeCamera();
+          return;
+        }
+      }
+
+      if (!stopped) {
+        timer = setTimeout(scan, SCAN_INTERVAL);
+      }
+    };
+
+    setIsLoadingScanner(true);
+    setScanError(null);
+    scan();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [cameraStream, videoRef, closeCamera, formatsKey, continuous, addCode]);
+
+  const handleManualSubmit = () => {
+    const code = manualCode.trim();
+    const message = barcodeScanner.validateManualCode(code, formats);
+
+    if (message) {
+      setManualError(message);
+      return;
+    }
+
+    if (!addCode({ code, format: null }, "manual")) {
+      setManualError("This code has already been added");
+      return;
+    }
+
+    setManualCode("");
+    setManualError(null);
+  };
+
+  const handleRemoveItem = (index) => {
+    onChange(items.filter((_, i) => i !== index));
+  };
+
+  const formatList = formats.map(barcodeScanner.getFormatLabel).join(", ");
+
+  return (
+    <div className={`relative ${className}`}>
+      <label
+        htmlFor={`${id}-manual`}
+        className="block text-sm font-medium text-gray-700 mb-2"
+      >
+        {label}
+        {required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      {/* Scanned code */}
+      {current && (
+        <div className="mb-3 p-3 border border-gray-200 rounded-md bg-gray-50 flex items-start justify-between">
+          <div>
+            <p className="text-sm font-mono text-gray-900 break-all">
+              {current.code}
+            </p>
+            <p className="text-xs text-gray-500">
+              {current.source === "manual"
+                ? "Entered by hand"
+                : `Scanned ${barcodeScanner.getFormatLabel(current.format)}`}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            disabled={disabled}
+            className="ml-3 text-xs text-red-600 hover:text-red-800"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
+      {/* Codes scanned in continuous mode */}
+      {continuous && items.length > 0 && (
+        <ul className="mb-3 divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {items.map((item, index) => (
+            <li
+              key={`${item.format}:${item.code}`}
+              className="flex items-center justify-between px-3 py-2"
+            >
+              <span className="text-sm font-mono text-gray-900 break-all">
+                {item.code}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleRemoveItem(index)}
+                disabled={disabled}
+                aria-label={`Remove ${item.code}`}
+                className="ml-3 text-xs text-red-600 hover:text-red-800"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Camera view when open */}
+      {camera.isOpen && (
+        <div className="mb-3">
+          <div className="relative bg-black rounded-md overflow-hidden">
+            <video
+              ref={camera.videoRef}
+              autoPlay
+              playsInline
+              muted
+              className="w-full max-h-80 object-cover"
+            />
+
+            {/* Aiming guide */}
+            <div className="absolute inset-x-8 top-1/4 bottom-1/4 border-2 border-white rounded-md opacity-70 pointer-events-none" />
+
+            <div className="absolute top-2 left-0 right-0 text-center">
+              <span className="bg-black bg-opacity-60 text-white text-xs px-2 py-1 rounded">
+                {isLoadingScanner
+                  ? "Starting scanner..."
+                  : continuous && lastScan
+                  ? `Added ${lastScan.code} (${items.length} scanned)`
+                  : `Point at a ${formatList}`}
+              </span>
+            </div>
+
+            <div className="absolute bottom-3 left-0 right-0 flex justify-center">
+              <button
+                type="button"
+                onClick={camera.close}
+                className="bg-gray-800 text-white px-4 py-2 rounded-full shadow hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+              >
+                {continuous ? "Done" : "Cancel"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!camera.isOpen && (
+        <div className="space-y-2">
+          {camera.isAvailable && (
+            <button
+              type="button"
+              onClick={() => {
+                setLastScan(null);
+                camera.open();
+              }}
+              disabled={disabled || camera.isStarting}
+              className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 disabled:opacity-50"
+            >
+              {camera.isStarting
+                ? "Opening Camera..."
+                : continuous
+                ? "Scan Items"
+                : current
+                ? "Scan Again"
+                : "Scan Code"}
+            </button>
+          )}
+
+          {/* Manual entry, for damaged labels or no camera */}
+          <div className="flex space-x-2">
+            <input
+              id={`${id}-manual`}
+              name={name}
+              type="text"
+              value={manualCode}
+              onChange={(e) => setManualCode(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  handleManualSubmit();
+                }
+              }}
+              disabled={disabled}
+              placeholder="Or type the code"
+              aria-describedby={`${id}-description`}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+            />
+            <button
+              type="button"
+              onClick={handleManualSubmit}
+              disabled={disabled || !manualCode.trim()}
+              className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300 disabled:opacity-50 text-sm"
+            >
+              {continuous ? "Add" : "Use"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Error message or hint */}
+      {(error || manualError || scanError || hint) && (
+        <p
+          id={`${id}-description`}
+          className={`mt-1 text-sm ${
+            error || manualError || scanError ? "text-red-600" : "text-gray-500"
+          }`}
+        >
+          {error || manualError || scanError || hint}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BarcodeInput;
@@ -1,5 +1,22 @@
-import { useState, useEffect } from "preact/hooks";
+import { useState, useEffect, useRef } from "preact/hooks";
+import geofence from "../../../utils/geofence";
+import geocodingService from "../../../services/geocodingService";
+import mapTiles from "../../../utils/mapTiles";
+import LocationMap from "../../common/LocationMap";
 
+/**
+ * Captures the device location. With a `fence` (see utils/geofence) and/or
+ * `maxAccuracy` each capture is checked and the result is stored with it as
+ * `geofence`: { inside, distance, deviation, accuracyOk, ... } for QC.
+ *
+ * With `showMap` the fix is shown on a map where the pin can be dragged to
+ * correct it. The GPS fix stays in latitude/longitude (and is what the fence
+ * checks); the corrected position is stored next to it as
+ * `adjusted`: { latitude, longitude, distance, adjustedAt }.
+ *
+ * With `onAddress` (a linked address field) the address at the location is
+ * looked up with `geocoder` and offered for the user to accept.
+ */
 const GeolocationInput = ({
   id,
   name,
@@ -10,6 +27,11 @@ const GeolocationInput = ({
   disabled = false,
   error,
   hint,
+  fence = null,
+  maxAccuracy = null,
+  showMap = true,
+  geocoder = "auto",
+  onAddress = null,
   className = "",
   ...props
 }) => {
@@ -17,6 +39,53 @@ const GeolocationInput = ({
   const [geolocationError, setGeolocationError] = useState(null);
   const [hasLocation, setHasLocation] = useState(!!value);
 
+  const [addressSuggestion, setAddressSuggestion] = useState(null);
+  const [isGeocoding, setIsGeocoding] = useState(false);
+  const geocodeController = useRef(null);
+
+  const isChecked = Boolean(fence || maxAccuracy);
+
+  // Stop a pending lookup when the field goes away
+  useEffect(() => () => geocodeController.current?.abort(), []);
+
+  // Look up the address at a point to offer for the linked address field
+  const suggestAddress = async (point) => {
+    if (!onAddress) return;
+
+    geocodeController.current?.abort();
+    const controller = new AbortController();
+    geocodeController.current = controller;
+
+    setIsGeocoding(true);
+    setAddressSuggestion(null);
+
+    try {
+      const result = await geocodingService.reverseGeocode(point, {
+        geocoder,
+        signal: controller.signal,
+      });
+
+      if (!controller.signal.aborted) {
+        setAddressSuggestion(result ? { result, point } : { result: null });
+      }
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error("Reverse geocoding failed:", err);
+        setAddressSuggestion({ result: null });
+      }
+    } finally {
+      if (!controller.signal.aborted) {
+        setIsGeocoding(false);
+      }
+    }
+  };
+
+  const handleUseAddress = () => {
+    const { result, point } = addressSuggestion;
+    onAddress(result, point);
+    setAddressSuggestion(null);
+  };
+
   // Initialize with existing value if available
   useEffect(() => {
     if (value && typeof value === "object") {
@@ -24,6 +93,31 @@ const GeolocationInput = ({
     }
   }, [value]);
 
+  // The fence can depend on other answers (e.g. the selected store);
+  // check the captured location again when it changes. Only a changed
+  // result is stored, so this settles after one update
+  useEffect(() => {
+    if (
+      !isChecked ||
+      !value ||
+      typeof value !== "object" ||
+      !Number.isFinite(value.latitude)
+    ) {
+      return;
+    }
+
+    const result = geofence.check(value, fence, maxAccuracy);
+    const previous = value.geofence || {};
+
+    if (
+      result.inside !== previous.inside ||
+      result.deviation !== previous.deviation ||
+      result.accuracyOk !== previous.accuracyOk
+    ) {
+      onChange({ ...value, geofence: result });
+    }
+  }, [isChecked, value, fence, maxAccuracy, onChange]);
+
   const handleGetLocation = () => {
     if (!navigator.geolocation) {
       setGeolocationError("Geolocation is not supported by your browser");
@@ -42,9 +136,24 @@ const GeolocationInput = ({
           timestamp: new Date().toISOString(),
         };
 
+        if (isChecked) {
+          locationData.geofence = geofence.check(
+            locationData,
+            fence,
+            maxAccuracy
+          );
+        }
+
         onChange(locationData);
         setHasLocation(true);
         setIsLoading(false);
+
+        // Keep the surroundings for when the map is next opened offline
+        if (showMap && navigator.onLine) {
+          mapTiles.precacheArea(locationData);
+        }
+
+        suggestAddress(locationData);
       },
       (error) => {
         let errorMessage = "Unable to retrieve your location";
@@ -76,10 +185,40 @@ const GeolocationInput = ({
   };
 
   const handleClearLocation = () => {
+    geocodeController.current?.abort();
+    setIsGeocoding(false);
+    setAddressSuggestion(null);
     onChange(null);
     setHasLocation(false);
   };
 
+  const handlePinChange = (point) => {
+    suggestAddress(point);
+    onChange({
+      ...value,
+      adjusted: {
+        latitude: point.latitude,
+        longitude: point.longitude,
+        distance: Math.round(geofence.distanceMeters(value, point)),
+        adjustedAt: new Date().toISOString(),
+      },
+    });
+  };
+
+  const handleResetPin = () => {
+    const gpsValue = { ...value };
+    delete gpsValue.adjusted;
+    suggestAddress(gpsValue);
+    onChange(gpsValue);
+  };
+
+  const hasCoordinates =
+    value && typeof value === "object" && isFinite(value.latitude) && isFinite(value.longitude);
+  const adjusted = hasCoordinates && value.adjusted ? value.adjusted : null;
+
+  const fenceCheck = isChecked && value && value.geofence ? value.geofence : null;
+  const fenceMessage = geofence.describe(fenceCheck);
+
   const formatCoordinates = (coords) => {
     if (!coords || !coords.latitude || !coords.longitude)
       return "No coordinates";
@@ -118,6 +257,29 @@ const GeolocationInput = ({
                   Captured: {new Date(value.timestamp).toLocaleString()}
                 </p>
               )}
+              {fenceCheck && (
+                <p
+                  className={`text-xs mt-1 ${
+                    fenceMessage
+                      ? fenceCheck.uncertain
+                        ? "text-yellow-700"
+                        : "text-red-600"
+                      : "text-green-700"
+                  }`}
+                >
+                  {fenceMessage
+                    ? `${fenceMessage}${
+                        fenceCheck.uncertain && fenceCheck.accuracyOk
+                          ? " (within GPS accuracy)"
+                          : ""
+                      }`
+                    : fenceCheck.type === "circle"
+                    ? `At the expected location (${fenceCheck.distance} m away)`
+                    : fenceCheck.type === "polygon"
+                    ? "Inside the expected area"
+                    : "Location is accurate enough"}
+                </p>
+              )}
             </div>
             <button
               type="button"
@@ -139,6 +301,84 @@ const GeolocationInput = ({
               </svg>
             </button>
           </div>
+
+          {showMap && hasCoordinates && (
+            <div className="mt-3">
+              <LocationMap
+                gps={value}
+                pin={adjusted}
+                onPinChange={handlePinChange}
+                disabled={disabled}
+              />
+              <div className="flex justify-between items-center mt-1">
+                <p className="text-xs text-gray-500">
+                  {adjusted
+                    ? `Pin moved ${adjusted.distance} m from GPS: ${formatCoordinates(adjusted)}`
+                    : "Drag the pin if the location is off"}
+                </p>
+                {adjusted && (
+                  <button
+                    type="button"
+                    onClick={handleResetPin}
+                    disabled={disabled}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    Reset to GPS
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Address found at the location, for the linked address field */}
+      {onAddress && (isGeocoding || addressSuggestion) && (
+        <div className="mb-3 p-3 border border-blue-200 bg-blue-50 rounded-md text-sm">
+          {isGeocoding ? (
+            <p className="text-blue-800">Looking up the address...</p>
+          ) : addressSuggestion.result ? (
+            <>
+              <p className="text-blue-900">
+                {geocodingService.formatAddress(addressSuggestion.result.address)}
+              </p>
+              <p className="text-xs text-blue-700 mt-1">
+                Address found from this location. Use it to fill the address,
+                then check and correct it.
+              </p>
+              <div className="flex space-x-3 mt-2">
+                <button
+                  type="button"
+                  onClick={handleUseAddress}
+                  disabled={disabled}
+                  className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Use this address
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setAddressSuggestion(null)}
+                  className="px-3 py-1 text-blue-700 hover:text-blue-900"
+                >
+                  Dismiss
+                </button>
+              </div>
+            </>
+          ) : (
+            <div className="flex justify-between items-start">
+              <p className="text-blue-800">
+                No address found for this location. Please enter it by hand.
+              </p>
+              <button
+                type="button"
+                onClick={() => setAddressSuggestion(null)}
+                aria-label="Dismiss"
+                className="ml-3 text-blue-700 hover:text-blue-900"
+              >
+                ×
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -1,6 +1,19 @@
 import { useState, useRef, useEffect } from "preact/hooks";
-import { MediaDAO } from "../../../db";
-
+import { useCamera } from "../../../hooks/useCamera";
+import mediaUploadService from "../../../services/mediaUploadServices";
+import photoMetadata from "../../../utils/photoMetadata";
+import { blobToDataUrl } from "../../../utils/helper";
+
+/**
+ * Photo input using the camera or a picked image. Each photo is saved with
+ * metadata for audits (capture time, GPS, device and camera) that goes with
+ * its upload. With `watermark` the date and location are also burned into
+ * photos taken with the camera.
+ *
+ * With `maxPhotos` above 1 the field holds several photos, each
+ *   { dataUrl, mediaId, timestamp, metadata, caption }
+ * shown in a strip where they can be reordered, captioned and removed.
+ */
 const ImageCaptureInput = ({
   id,
   name,
@@ -14,107 +27,74 @@ const ImageCaptureInput = ({
   quality = 0.8,
   maxWidth = 1280,
   maxHeight = 720,
+  facingMode = "environment",
+  watermark = false,
+  maxPhotos = 1,
+  minPhotos = 0,
   className = "",
   ...props
 }) => {
-  const [stream, setStream] = useState(null);
-  const [isCameraOpen, setIsCameraOpen] = useState(false);
-  const [isCameraAvailable, setIsCameraAvailable] = useState(true);
-  const [isCapturing, setIsCapturing] = useState(false);
+  const camera = useCamera({ facingMode, width: maxWidth, height: maxHeight });
   const [previewUrl, setPreviewUrl] = useState(value);
+  const [isSaving, setIsSaving] = useState(false);
 
-  const videoRef = useRef(null);
   const canvasRef = useRef(null);
 
-  // Check camera availability on component mount
-  useEffect(() => {
-    const checkCameraAvailability = async () => {
-      try {
-        const devices = await navigator.mediaDevices.enumerateDevices();
-        const hasCamera = devices.some(
-          (device) => device.kind === "videoinput"
-        );
-        setIsCameraAvailable(hasCamera);
-      } catch (error) {
-        console.error("Error checking camera availability:", error);
-        setIsCameraAvailable(false);
-      }
-    };
-
-    checkCameraAvailability();
+  const multiple = maxPhotos > 1;
+  const photos = multiple && Array.isArray(value) ? value : [];
+  const canAddPhoto = !multiple || photos.length < maxPhotos;
 
-    // Set preview if value already exists
+  // Set preview if value already exists
+  useEffect(() => {
     if (value && typeof value === "string") {
       setPreviewUrl(value);
     }
   }, [value]);
 
-  // Start/stop camera stream when isCameraOpen changes
-  useEffect(() => {
-    if (isCameraOpen) {
-      startCamera();
-    } else {
-      stopCamera();
-    }
-
-    return () => {
-      stopCamera();
+  // Save a photo for upload
+  const savePhoto = async (blob, type, dataUrl, metadata) => {
+    const { mediaId } = await mediaUploadService.saveMedia({
+      fieldName: name,
+      type,
+      data: blob,
+      metadata,
+    });
+
+    return {
+      dataUrl,
+      mediaId,
+      timestamp: metadata.capturedAt,
+      metadata,
     };
-  }, [isCameraOpen]);
+  };
 
-  // Start the camera stream
-  const startCamera = async () => {
-    try {
-      setIsCapturing(true);
-      const constraints = {
-        video: {
-          facingMode: "environment", // Use the back camera if available
-          width: { ideal: maxWidth },
-          height: { ideal: maxHeight },
-        },
-      };
-
-      const mediaStream = await navigator.mediaDevices.getUserMedia(
-        constraints
-      );
-      setStream(mediaStream);
-
-      if (videoRef.current) {
-        videoRef.current.srcObject = mediaStream;
-      }
+  // Report saved photos as the field value
+  const addPhotos = (added) => {
+    if (added.length === 0) return;
 
-      setIsCapturing(false);
-    } catch (error) {
-      console.error("Error accessing camera:", error);
-      setIsCameraAvailable(false);
-      setIsCapturing(false);
-      setIsCameraOpen(false);
+    if (multiple) {
+      onChange([...photos, ...added].slice(0, maxPhotos));
+    } else {
+      discardPhoto(value);
+      onChange(added[0]);
+      setPreviewUrl(added[0].dataUrl);
     }
   };
 
-  // Stop the camera stream
-  const stopCamera = () => {
-    if (stream) {
-      stream.getTracks().forEach((track) => track.stop());
-      setStream(null);
+  // Drop the stored copy of a discarded photo so it isn't uploaded
+  const discardPhoto = (photo) => {
+    if (photo && photo.mediaId) {
+      mediaUploadService.deleteMedia(photo.mediaId).catch((error) => {
+        console.error("Error discarding photo:", error);
+      });
     }
   };
 
-  // Open camera button handler
-  const handleOpenCamera = () => {
-    setIsCameraOpen(true);
-  };
-
-  // Close camera button handler
-  const handleCloseCamera = () => {
-    setIsCameraOpen(false);
-  };
-
   // Capture image from camera
-  const handleCapture = () => {
-    if (!videoRef.current || !canvasRef.current) return;
+  const handleCapture = async () => {
+    if (!camera.videoRef.current || !canvasRef.current) return;
 
-    const video = videoRef.current;
+    const video = camera.videoRef.current;
     const canvas = canvasRef.current;
 
     // Set canvas dimensions to match video
@@ -125,100 +105,100 @@ const ImageCaptureInput = ({
     const ctx = canvas.getContext("2d");
     ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
 
-    // Convert to data URL with specified quality
-    const dataUrl = canvas.toDataURL("image/jpeg", quality);
-
-    // Create a blob for storage
-    const createBlob = async () => {
-      try {
-        // Convert data URL to Blob
-        const res = await fetch(dataUrl);
-        const blob = await res.blob();
-
-        // Store the blob and get a reference
-        const mediaData = {
-          fieldName: name,
-          type: "image/jpeg",
-          data: blob,
-          timestamp: new Date().toISOString(),
-        };
-
-        const mediaId = await MediaDAO.saveMedia(mediaData);
-
-        // Update the value with the reference info
-        onChange({
-          dataUrl,
-          mediaId,
-          timestamp: mediaData.timestamp,
-        });
-
-        // Set preview
-        setPreviewUrl(dataUrl);
-
-        // Close camera
-        setIsCameraOpen(false);
-      } catch (error) {
-        console.error("Error creating blob:", error);
+    setIsSaving(true);
+
+    try {
+      // The frame is held in the canvas while the position is looked up
+      const metadata = await photoMetadata.collectCaptureMetadata({
+        stream: camera.stream,
+        facingMode,
+      });
+
+      if (watermark) {
+        photoMetadata.drawWatermark(ctx, metadata);
       }
-    };
 
-    createBlob();
+      // Convert to data URL with specified quality
+      const dataUrl = canvas.toDataURL("image/jpeg", quality);
+      const blob = await (await fetch(dataUrl)).blob();
+
+      const photo = await savePhoto(blob, "image/jpeg", dataUrl, metadata);
+      addPhotos([photo]);
+
+      // Keep the camera open while more photos can be taken
+      if (!multiple || photos.length + 1 >= maxPhotos) {
+        camera.close();
+      }
+    } catch (error) {
+      console.error("Error saving photo:", error);
+    } finally {
+      setIsSaving(false);
+    }
   };
 
   // File input change handler (alternative to camera)
   const handleFileChange = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+    const input = e.target;
+    const files = Array.from(input.files).filter((file) =>
+      file.type.startsWith("image/")
+    );
 
     // Only accept images
-    if (!file.type.startsWith("image/")) {
+    if (input.files.length > 0 && files.length === 0) {
       alert("Please select an image file.");
       return;
     }
 
+    setIsSaving(true);
+
     try {
-      // Read file as data URL
-      const reader = new FileReader();
-      reader.onload = async (event) => {
-        const dataUrl = event.target.result;
-
-        // Convert to blob
-        const res = await fetch(dataUrl);
-        const blob = await res.blob();
-
-        // Store the blob and get a reference
-        const mediaData = {
-          fieldName: name,
-          type: file.type,
-          data: blob,
-          timestamp: new Date().toISOString(),
-        };
-
-        const mediaId = await MediaDAO.saveMedia(mediaData);
-
-        // Update the value with the reference info
-        onChange({
-          dataUrl,
-          mediaId,
-          timestamp: mediaData.timestamp,
-        });
-
-        // Set preview
-        setPreviewUrl(dataUrl);
-      };
-
-      reader.readAsDataURL(file);
+      const added = [];
+
+      for (const file of files.slice(0, multiple ? maxPhotos - photos.length : 1)) {
+        const metadata = await photoMetadata.collectFileMetadata(file);
+        const dataUrl = await blobToDataUrl(file);
+
+        added.push(await savePhoto(file, file.type, dataUrl, metadata));
+      }
+
+      addPhotos(added);
     } catch (error) {
       console.error("Error processing file:", error);
+    } finally {
+      setIsSaving(false);
+
+      // Allow picking the same file again
+      input.value = "";
     }
   };
 
   // Remove image handler
   const handleRemoveImage = () => {
+    discardPhoto(value);
     onChange(null);
     setPreviewUrl(null);
   };
 
+  const handleRemovePhoto = (index) => {
+    discardPhoto(photos[index]);
+    onChange(photos.filter((_, i) => i !== index));
+  };
+
+  const handleMovePhoto = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= photos.length) return;
+
+    const reordered = [...photos];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    onChange(reordered);
+  };
+
+  const handleCaptionChange = (index, caption) => {
+    onChange(
+      photos.map((photo, i) => (i === index ? { ...photo, caption } : photo))
+    );
+  };
+
   return (
     <div className={`relative ${className}`}>
       <label
@@ -229,14 +209,86 @@ const ImageCaptureInput = ({
         {required && <span className="text-red-500 ml-1">*</span>}
       </label>
 
+      {/* Photo strip */}
+      {multiple && (
+        <div className="mb-3">
+          {photos.length > 0 && (
+            <ul className="flex space-x-3 overflow-x-auto pb-2">
+              {photos.map((photo, index) => (
+                <li key={photo.mediaId || index} className="flex-shrink-0 w-32">
+                  <div className="relative">
+                    <img
+                      src={photo.dataUrl}
+                      alt={photo.caption || `Photo ${index + 1}`}
+                      className="h-24 w-32 object-cover rounded-md border border-gray-300"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleRemovePhoto(index)}
+                      disabled={disabled}
+                      className="absolute top-1 right-1 bg-red-600 text-white px-1.5 text-xs rounded-full hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
+                      aria-label={`Remove photo ${index + 1}`}
+                    >
+                      ×
+                    </button>
+                  </div>
+
+                  <input
+                    type="text"
+                    value={photo.caption || ""}
+                    onChange={(e) => handleCaptionChange(index, e.target.value)}
+                    disabled={disabled}
+                    placeholder="Caption"
+                    aria-label={`Caption for photo ${index + 1}`}
+                    className="mt-1 block w-full px-2 py-1 border border-gray-300 rounded-md text-xs focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+
+                  <div className="flex items-center justify-between">
+                    <button
+                      type="button"
+                      onClick={() => handleMovePhoto(index, -1)}
+                      disabled={disabled || index === 0}
+                      aria-label={`Move photo ${index + 1} left`}
+                      className="px-2 py-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    >
+                      ←
+                    </button>
+                    <span className="text-xs text-gray-500">{index + 1}</span>
+                    <button
+                      type="button"
+                      onClick={() => handleMovePhoto(index, 1)}
+                      disabled={disabled || index === photos.length - 1}
+                      aria-label={`Move photo ${index + 1} right`}
+                      className="px-2 py-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                    >
+                      →
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <p className="text-xs text-gray-500">
+            {photos.length} of {maxPhotos} photos
+            {minPhotos > 0 && ` (at least ${minPhotos})`}
+          </p>
+        </div>
+      )}
+
       {/* Image preview */}
-      {previewUrl && (
+      {!multiple && previewUrl && (
         <div className="mb-3 relative">
           <img
             src={previewUrl}
             alt="Preview"
             className="max-w-full max-h-56 rounded-md border border-gray-300"
           />
+          {value?.metadata && (
+            <p className="mt-1 text-xs text-gray-500">
+              {photoMetadata.getWatermarkLines(value.metadata).join(" · ")}
+            </p>
+          )}
           <button
             type="button"
             onClick={handleRemoveImage}
@@ -262,11 +314,11 @@ const ImageCaptureInput = ({
       )}
 
       {/* Camera view when open */}
-      {isCameraOpen && (
+      {camera.isOpen && (
         <div className="mb-3">
           <div className="relative bg-black rounded-md overflow-hidden">
             <video
-              ref={videoRef}
+              ref={camera.videoRef}
               autoPlay
               playsInline
               className="w-full max-h-80 object-cover"
@@ -275,13 +327,14 @@ const ImageCaptureInput = ({
               <button
                 type="button"
                 onClick={handleCapture}
+                disabled={isSaving}
                 className="bg-white text-gray-800 px-4 py-2 rounded-full shadow hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
               >
-                Capture
+                {isSaving ? "Saving..." : "Capture"}
               </button>
               <button
                 type="button"
-                onClick={handleCloseCamera}
+                onClick={camera.close}
                 className="bg-gray-800 text-white px-4 py-2 rounded-full shadow hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
               >
                 Cancel
@@ -293,16 +346,16 @@ const ImageCaptureInput = ({
       )}
 
       {/* Actions */}
-      {!isCameraOpen && (
+      {!camera.isOpen && canAddPhoto && (
         <div className="flex flex-wrap gap-2">
-          {isCameraAvailable && (
+          {camera.isAvailable && (
             <button
               type="button"
-              onClick={handleOpenCamera}
-              disabled={disabled || isCapturing}
+              onClick={camera.open}
+              disabled={disabled || camera.isStarting}
               className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 disabled:opacity-50"
             >
-              {isCapturing ? (
+              {camera.isStarting ? (
                 <>
                   <span className="animate-spin h-4 w-4 mr-2 border-b-2 border-white rounded-full"></span>
                   Opening Camera...
@@ -348,8 +401,9 @@ const ImageCaptureInput = ({
               id={`${id}-file-input`}
               type="file"
               accept="image/*"
+              multiple={multiple}
               onChange={handleFileChange}
-              disabled={disabled}
+              disabled={disabled || isSaving}
               className="sr-only"
             />
           </label>
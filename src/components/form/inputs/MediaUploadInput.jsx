@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect } from "preact/hooks";
 import { MediaDAO } from "../../../db";
+import mediaUploadService from "../../../services/mediaUploadServices";
 import { formatFileSize } from "../../../utils/helper";
 
 const MediaUploadInput = ({
@@ -10,6 +11,7 @@ const MediaUploadInput = ({
   onChange,
   accept = "image/*,video/*,audio/*,application/pdf",
   maxSize = 50 * 1024 * 1024, // 50MB default limit
+  compression = null, // Video re-encoding: { maxSizeMB, maxWidth, maxHeight, bitrate }
   required = false,
   disabled = false,
   error,
@@ -21,6 +23,7 @@ const MediaUploadInput = ({
   const [fileInfo, setFileInfo] = useState(null);
   const [uploadError, setUploadError] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
+  const [compressProgress, setCompressProgress] = useState(null);
   const fileInputRef = useRef(null);
 
   // Initialize with existing value
@@ -42,8 +45,13 @@ const MediaUploadInput = ({
     // Clear any previous errors
     setUploadError(null);
 
-    // Check file size
-    if (file.size > maxSize) {
+    const isVideo = file.type.startsWith("video/");
+    const budget = compression?.maxSizeMB
+      ? Math.min(compression.maxSizeMB * 1024 * 1024, maxSize)
+      : maxSize;
+
+    // Check file size; videos are checked against the budget after compression
+    if (file.size > maxSize && !(isVideo && compression)) {
       setUploadError(
         `File is too large. Maximum size is ${formatFileSize(maxSize)}.`
       );
@@ -73,11 +81,35 @@ const MediaUploadInput = ({
         preview = "/icons/file-icon.png"; // Generic file icon for other types
       }
 
+      // Re-encode videos to the field's size budget
+      let data = file;
+      if (isVideo && compression) {
+        setCompressProgress(0);
+        data = await mediaUploadService.compressVideo(file, {
+          ...compression,
+          onProgress: (fraction) =>
+            setCompressProgress(Math.round(fraction * 100)),
+        });
+        setCompressProgress(null);
+
+        if (data.size > budget) {
+          setUploadError(
+            `Video is still larger than ${formatFileSize(
+              budget
+            )} after compression. Please choose a shorter video.`
+          );
+          return;
+        }
+
+        fileInfoObj.size = data.size;
+        fileInfoObj.type = data.type || file.type;
+      }
+
       // Store the media file in IndexedDB
       const mediaData = {
         fieldName: name,
-        type: file.type,
-        data: file,
+        type: data.type || file.type,
+        data,
         timestamp: new Date().toISOString(),
       };
 
@@ -98,6 +130,7 @@ const MediaUploadInput = ({
       console.error("Error processing file:", error);
       setUploadError("Failed to process file. Please try again.");
     } finally {
+      setCompressProgress(null);
       setIsUploading(false);
     }
   };
@@ -250,7 +283,13 @@ const MediaUploadInput = ({
                 htmlFor={id}
                 className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500"
               >
-                <span>{isUploading ? "Uploading..." : "Upload a file"}</span>
+                <span>
+                  {compressProgress !== null
+                    ? `Compressing video ${compressProgress}%...`
+                    : isUploading
+                    ? "Uploading..."
+                    : "Upload a file"}
+                </span>
                 <input
                   id={id}
                   name={name}
@@ -0,0 +1,165 @@
+import { useRef } from "preact/hooks";
+import { v4 as uuidv4 } from "uuid";
+
+const RepeatGroupInput = ({
+  id,
+  name,
+  label,
+  value = [],
+  onChange,
+  renderFields,
+  minItems = 0,
+  maxItems = null,
+  itemLabel = "Item",
+  addLabel = "Add another",
+  required = false,
+  disabled = false,
+  error,
+  errors = {},
+  hint,
+  className = "",
+}) => {
+  // Ensure value is always an array of instances
+  const items = Array.isArray(value) ? value : [];
+
+  const canAdd = !disabled && (maxItems == null || items.length < maxItems);
+  const canRemove = !disabled && items.length > minItems;
+
+  // Each instance has a key so its inputs (camera, recorders, uploads) stay
+  // with it when instances are moved or removed. The keys live here rather
+  // than in the answer, which is submitted as it is; instances that change
+  // outside this input (e.g. a loaded draft) get new ones.
+  const keys = useRef([]);
+  if (keys.current.length !== items.length) {
+    keys.current = items.map((_, index) => keys.current[index] || uuidv4());
+  }
+
+  const addItem = () => {
+    if (canAdd) {
+      keys.current = [...keys.current, uuidv4()];
+      onChange([...items, {}]);
+    }
+  };
+
+  const removeItem = (index) => {
+    if (canRemove) {
+      keys.current = keys.current.filter((_, i) => i !== index);
+      onChange(items.filter((_, i) => i !== index));
+    }
+  };
+
+  const swap = (list, index, target) => {
+    const reordered = [...list];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    return reordered;
+  };
+
+  const moveItem = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return;
+
+    keys.current = swap(keys.current, index, target);
+    onChange(swap(items, index, target));
+  };
+
+  const updateItem = (index, fieldName, fieldValue) => {
+    onChange(
+      items.map((item, i) =>
+        i === index ? { ...item, [fieldName]: fieldValue } : item
+      )
+    );
+  };
+
+  // Errors for an instance are keyed as `${name}.${index}.${fieldName}`
+  const getItemErrors = (index) => {
+    const prefix = `${name}.${index}.`;
+
+    return Object.keys(errors).reduce((itemErrors, key) => {
+      if (key.startsWith(prefix)) {
+        itemErrors[key.slice(prefix.length)] = errors[key];
+      }
+      return itemErrors;
+    }, {});
+  };
+
+  return (
+    <div id={id} className={`relative ${className}`}>
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        {label}
+        {required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      <div className="space-y-4">
+        {items.map((item, index) => (
+          <div
+            key={keys.current[index]}
+            className="border border-gray-200 rounded-md p-4"
+          >
+            <div className="flex items-center justify-between mb-3">
+              <span className="text-sm font-medium text-gray-700">
+                {itemLabel} {index + 1}
+              </span>
+
+              <div className="flex items-center space-x-2">
+                <button
+                  type="button"
+                  onClick={() => moveItem(index, -1)}
+                  disabled={disabled || index === 0}
+                  aria-label={`Move ${itemLabel} ${index + 1} up`}
+                  className="px-2 py-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveItem(index, 1)}
+                  disabled={disabled || index === items.length - 1}
+                  aria-label={`Move ${itemLabel} ${index + 1} down`}
+                  className="px-2 py-1 text-sm text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => removeItem(index)}
+                  disabled={!canRemove}
+                  className="px-2 py-1 text-sm text-red-600 hover:text-red-800 disabled:opacity-30"
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+
+            {renderFields(
+              item,
+              (fieldName, fieldValue) => updateItem(index, fieldName, fieldValue),
+              getItemErrors(index),
+              index
+            )}
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={addItem}
+        disabled={!canAdd}
+        className="mt-4 px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50 transition-colors"
+      >
+        + {addLabel}
+      </button>
+
+      {/* Error message or hint */}
+      {(error || hint) && (
+        <p
+          id={`${id}-description`}
+          className={`mt-1 text-sm ${error ? "text-red-600" : "text-gray-500"}`}
+        >
+          {error || hint}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RepeatGroupInput;
@@ -0,0 +1,268 @@
+import { useState, useRef, useEffect, useCallback } from "preact/hooks";
+import s3UploadService from "../../../services/s3UploadService";
+import { formatFileSize } from "../../../utils/helper";
+
+/**
+ * File input that uploads straight to S3 with presigned multipart URLs.
+ * The form value holds a reference to the upload while it runs and the
+ * object key once it is complete:
+ *   { uploadRef, status, fileInfo, key, location }
+ */
+const S3MediaUploadInput = ({
+  id,
+  name,
+  label,
+  value = null,
+  onChange,
+  accept = "image/*,video/*,audio/*,application/pdf",
+  maxSize = 500 * 1024 * 1024, // 500MB default limit
+  required = false,
+  disabled = false,
+  error,
+  hint,
+  className = "",
+  ...props
+}) => {
+  const upload = value && typeof value === "object" ? value : null;
+  const uploadRef = upload?.uploadRef;
+  const status = upload?.status;
+  const fileInfo = upload?.fileInfo;
+  const [progress, setProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+  const fileInputRef = useRef(null);
+  const followingRef = useRef(null); // Upload ID whose result this field is waiting for
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  // Wait for an upload run by s3UploadService and record its result. The
+  // upload isn't tied to this component and carries on when it unmounts.
+  const followUpload = useCallback(async (id, info) => {
+    followingRef.current = id;
+    setUploadError(null);
+    setIsUploading(true);
+
+    try {
+      const result = await s3UploadService.resume(id, { onProgress: setProgress });
+
+      onChangeRef.current({
+        uploadRef: result.id,
+        status: "completed",
+        key: result.key,
+        location: result.location,
+        fileInfo: info,
+      });
+    } catch (err) {
+      if (err.name === "AbortError") return;
+
+      console.error("S3 upload failed:", err);
+      setUploadError("Upload failed. You can resume it when you're back online.");
+    } finally {
+      followingRef.current = null;
+      setIsUploading(false);
+    }
+  }, []);
+
+  // Pick the upload up again when the field is shown: it may still be
+  // running from before, or have been interrupted by a reload or going
+  // offline. Uploads the user paused wait for Resume.
+  useEffect(() => {
+    if (!uploadRef || status === "completed" || status === "paused") return;
+    if (followingRef.current === uploadRef) return;
+    if (!navigator.onLine && !s3UploadService.isRunning(uploadRef)) return;
+
+    followUpload(uploadRef, fileInfo);
+  }, [uploadRef, status, fileInfo, followUpload]);
+
+  // Stop listening for progress when the field goes away; the upload goes on
+  useEffect(() => {
+    if (!uploadRef) return undefined;
+    return () => s3UploadService.removeProgressListener(uploadRef, setProgress);
+  }, [uploadRef]);
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (file.size > maxSize) {
+      setUploadError(
+        `File is too large. Maximum size is ${formatFileSize(maxSize)}.`
+      );
+      return;
+    }
+
+    const info = {
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      lastModified: file.lastModified,
+    };
+
+    setProgress(null);
+    setUploadError(null);
+
+    try {
+      const id = await s3UploadService.createUpload(file, { fieldName: name });
+
+      // Record the reference before starting so a saved draft can pick the
+      // upload up again
+      followingRef.current = id;
+      onChange({ uploadRef: id, status: "uploading", fileInfo: info });
+      await followUpload(id, info);
+    } catch (err) {
+      console.error("Could not store file for upload:", err);
+      setUploadError("Could not prepare the file for upload. Please try again.");
+    }
+  };
+
+  const handleResume = () => {
+    followingRef.current = uploadRef;
+    onChange({ ...upload, status: "uploading" });
+    followUpload(uploadRef, fileInfo);
+  };
+
+  const handlePause = () => {
+    s3UploadService.pause(uploadRef);
+    onChange({ ...upload, status: "paused" });
+  };
+
+  const handleRemoveFile = async () => {
+    if (upload?.uploadRef && upload.status !== "completed") {
+      await s3UploadService.cancel(upload.uploadRef);
+    }
+
+    setProgress(null);
+    setUploadError(null);
+    onChange(null);
+
+    // Reset the file input
+    if (fileInputRef.current) {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  const isComplete = upload?.status === "completed";
+  const percentage = isComplete ? 100 : progress?.percentage || 0;
+
+  return (
+    <div className={`relative ${className}`}>
+      <label
+        htmlFor={id}
+        className="block text-sm font-medium text-gray-700 mb-2"
+      >
+        {label}
+        {required && <span className="text-red-500 ml-1">*</span>}
+      </label>
+
+      {fileInfo ? (
+        <div className="p-4 border border-gray-200 rounded-md bg-gray-50">
+          <div className="flex items-start">
+            <div className="flex-1">
+              <p className="text-sm font-medium text-gray-900">
+                {fileInfo.name}
+              </p>
+              <p className="text-xs text-gray-500">
+                {formatFileSize(fileInfo.size)}
+                {progress && !isComplete &&
+                  ` · ${formatFileSize(progress.uploadedBytes)} sent`}
+              </p>
+
+              <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                <div
+                  className={`h-2 rounded-full ${
+                    isComplete ? "bg-green-600" : "bg-blue-600"
+                  }`}
+                  style={{ width: `${percentage}%` }}
+                ></div>
+              </div>
+
+              <p className="text-xs text-gray-500 mt-1">
+                {isComplete
+                  ? "Uploaded"
+                  : isUploading
+                  ? `Uploading ${percentage}%`
+                  : "Upload paused"}
+              </p>
+            </div>
+
+            <div className="flex flex-col items-end ml-3 space-y-1">
+              {!isComplete && isUploading && (
+                <button
+                  type="button"
+                  onClick={handlePause}
+                  className="text-xs text-gray-600 hover:text-gray-800"
+                >
+                  Pause
+                </button>
+              )}
+              {!isComplete && !isUploading && (
+                <button
+                  type="button"
+                  onClick={handleResume}
+                  disabled={disabled}
+                  className="text-xs text-blue-600 hover:text-blue-800"
+                >
+                  Resume
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={handleRemoveFile}
+                disabled={disabled}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-300 border-dashed rounded-md">
+          <div className="space-y-1 text-center">
+            <div className="flex text-sm text-gray-600">
+              <label
+                htmlFor={id}
+                className="relative cursor-pointer bg-white rounded-md font-medium text-blue-600 hover:text-blue-500 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-blue-500"
+              >
+                <span>{isUploading ? "Uploading..." : "Upload a file"}</span>
+                <input
+                  id={id}
+                  name={name}
+                  type="file"
+                  ref={fileInputRef}
+                  accept={accept}
+                  onChange={handleFileSelect}
+                  disabled={disabled || isUploading}
+                  required={required && !value}
+                  className="sr-only"
+                  {...props}
+                />
+              </label>
+            </div>
+            <p className="text-xs text-gray-500">
+              {accept
+                .split(",")
+                .map((type) => type.replace("*", ""))
+                .join(", ")}{" "}
+              up to {formatFileSize(maxSize)}
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Error message */}
+      {(error || uploadError || hint) && (
+        <p
+          id={`${id}-description`}
+          className={`mt-1 text-sm ${
+            error || uploadError ? "text-red-600" : "text-gray-500"
+          }`}
+        >
+          {error || uploadError || hint}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default S3MediaUploadInput;
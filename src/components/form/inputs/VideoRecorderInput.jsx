@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect } from "preact/hooks";
 import { v4 as uuidv4 } from "uuid";
+import mediaUploadService from "../../../services/mediaUploadServices";
 
 /**
  * Video recording input component
@@ -18,6 +19,7 @@ const VideoRecorderInput = ({
   maxFileSize = 50 * 1024 * 1024, // 50MB default limit
   videoWidth = 640,
   videoHeight = 480,
+  compression = null, // { maxSizeMB, maxWidth, maxHeight, bitrate }
   className = "",
   ...props
 }) => {
@@ -30,6 +32,7 @@ const VideoRecorderInput = ({
   const [videoUrl, setVideoUrl] = useState(value?.url || null);
   const [isInitializingCamera, setIsInitializingCamera] = useState(false);
   const [permissionError, setPermissionError] = useState(null);
+  const [compressProgress, setCompressProgress] = useState(null);
 
   // Refs
   const videoRef = useRef(null);
@@ -38,6 +41,11 @@ const VideoRecorderInput = ({
   const timerRef = useRef(null);
   const durationTimerRef = useRef(null);
 
+  // Recordings over the field's size budget are re-encoded to fit it
+  const sizeBudget = compression?.maxSizeMB
+    ? Math.min(compression.maxSizeMB * 1024 * 1024, maxFileSize)
+    : maxFileSize;
+
   // Check device capabilities on mount
   useEffect(() => {
     const checkDeviceCapabilities = async () => {
@@ -89,8 +97,8 @@ const VideoRecorderInput = ({
 
       const mediaStream = await navigator.mediaDevices.getUserMedia({
         video: {
-          width: { ideal: videoWidth },
-          height: { ideal: videoHeight },
+          width: { ideal: Math.min(videoWidth, compression?.maxWidth || videoWidth) },
+          height: { ideal: Math.min(videoHeight, compression?.maxHeight || videoHeight) },
           facingMode: "user",
         },
         audio: true,
@@ -103,8 +111,17 @@ const VideoRecorderInput = ({
         await videoRef.current.play();
       }
 
-      // Create media recorder
-      const recorder = new MediaRecorder(mediaStream);
+      // Create media recorder, recording at the target bitrate when compressing
+      const recorder = new MediaRecorder(
+        mediaStream,
+        compression
+          ? {
+              videoBitsPerSecond:
+                compression.bitrate ||
+                mediaUploadService.compressionOptions.video.bitrate,
+            }
+          : undefined
+      );
 
       recorder.ondataavailable = (e) => {
         if (e.data && e.data.size > 0) {
@@ -112,17 +129,33 @@ const VideoRecorderInput = ({
         }
       };
 
-      recorder.onstop = () => {
-        const blob = new Blob(chunksRef.current, { type: "video/webm" });
+      recorder.onstop = async () => {
+        let blob = new Blob(chunksRef.current, { type: "video/webm" });
+        chunksRef.current = [];
+
+        if (compression && blob.size > sizeBudget) {
+          setCompressProgress(0);
+          try {
+            blob = await mediaUploadService.compressVideo(blob, {
+              ...compression,
+              maxSizeMB: sizeBudget / (1024 * 1024),
+              onProgress: (fraction) =>
+                setCompressProgress(Math.round(fraction * 100)),
+            });
+          } catch (err) {
+            console.error("Error compressing video:", err);
+          } finally {
+            setCompressProgress(null);
+          }
+        }
 
         // Check if the file is too large
-        if (blob.size > maxFileSize) {
+        if (blob.size > sizeBudget) {
           setPermissionError(
             `Video size exceeds the maximum limit of ${formatFileSize(
-              maxFileSize
+              sizeBudget
             )}`
           );
-          chunksRef.current = [];
           return;
         }
 
@@ -130,7 +163,6 @@ const VideoRecorderInput = ({
         const url = URL.createObjectURL(blob);
         setVideoBlob(blob);
         setVideoUrl(url);
-        chunksRef.current = [];
 
         // Notify parent component
         const videoId = uuidv4();
@@ -138,7 +170,7 @@ const VideoRecorderInput = ({
           id: videoId,
           blob,
           url,
-          type: "video/webm",
+          type: blob.type || "video/webm",
           size: blob.size,
           duration: recordingDuration,
           timestamp: new Date().toISOString(),
@@ -328,6 +360,13 @@ const VideoRecorderInput = ({
             </div>
           )}
 
+          {/* Re-encoding to the size budget */}
+          {compressProgress !== null && (
+            <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 text-white">
+              <span>Compressing video {compressProgress}%...</span>
+            </div>
+          )}
+
           {/* Show error if camera is not available */}
           {permissionError && !stream && !videoUrl && (
             <div className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-75 text-white p-4 text-center">
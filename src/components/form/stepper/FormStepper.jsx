@@ -1,5 +1,10 @@
 import { lazy, Suspense } from "preact/compat";
+import { useMemo } from "preact/hooks";
 import LoadingIndicator from "../../layout/LoadingIndicator";
+import formTemplateService from "../../../services/formTemplateService";
+import formats from "../../../utils/formats";
+import geofence from "../../../utils/geofence";
+import geocodingService from "../../../services/geocodingService";
 
 // Import basic input components directly for quick loading
 import TextInput from "../inputs/TextInput";
@@ -7,15 +12,36 @@ import RadioInput from "../inputs/RadioInput";
 import CheckboxInput from "../inputs/CheckboxInput";
 import SelectInput from "../inputs/SelectInput";
 import ToggleInput from "../inputs/ToggleInput";
+import RepeatGroupInput from "../inputs/RepeatGroupInput";
 
 // Lazily load more complex components to improve initial load time
 const MediaUploadInput = lazy(() => import("../inputs/MediaUploadInput"));
+const S3MediaUploadInput = lazy(() => import("../inputs/S3MediaUploadInput"));
 const ImageCaptureInput = lazy(() => import("../inputs/ImageCaptureInput"));
 const VideoRecorderInput = lazy(() => import("../inputs/VideoRecorderInput"));
 const AudioRecorderInput = lazy(() => import("../inputs/AudioRecorderInput"));
 const GeoLocationInput = lazy(() => import("../inputs/GeoLocation"));
 const AddressInput = lazy(() => import("../inputs/AddressInput"));
 const SignatureInput = lazy(() => import("../inputs/SignatureInput"));
+const BarcodeInput = lazy(() => import("../inputs/BarcodeInput"));
+
+// Resolves the field's geofence once per change of the answer its center
+// refers to (e.g. the selected store), not on every render of the step
+const GeoLocationField = ({ definition, formData, ...props }) => {
+  const centerField = definition?.center?.field;
+  const centerValue = centerField ? formData[centerField] : undefined;
+
+  const fence = useMemo(
+    () =>
+      geofence.resolveFence(
+        definition,
+        centerField ? { [centerField]: centerValue } : {}
+      ),
+    [definition, centerField, centerValue]
+  );
+
+  return <GeoLocationInput fence={fence} {...props} />;
+};
 
 // Component to render a form step with all its fields
 const FormStep = ({
@@ -44,6 +70,20 @@ const FormStep = ({
       props = {},
     } = field;
 
+    // Formatted fields store the normalized value (E.164 numbers, upper-case
+    // IDs, masked Aadhaar) once the user leaves the field
+    const handleBlur = () => {
+      const normalized = formats.normalize(
+        field.format.type,
+        formData[name],
+        field.format.region
+      );
+
+      if (normalized !== null && normalized !== formData[name]) {
+        onChange(name, normalized);
+      }
+    };
+
     // Common props for all input types
     const commonProps = {
       id: id || name,
@@ -56,6 +96,7 @@ const FormStep = ({
       placeholder,
       hint,
       disabled,
+      ...(field.format && { onBlur: handleBlur }),
       ...props,
     };
 
@@ -84,18 +125,76 @@ const FormStep = ({
       case "toggle":
         return <ToggleInput {...commonProps} />;
 
-      // Complex components with lazy loading
+      // Derived values are computed by the renderer and shown read-only
+      case "calculated":
+        return (
+          <TextInput
+            {...commonProps}
+            value={formData[name] ?? ""}
+            readOnly
+          />
+        );
+
+      // Each instance renders the group's sub-fields against its own values;
+      // sub-field conditions can also refer to answers outside the group
+      case "repeat":
+        return (
+          <RepeatGroupInput
+            {...commonProps}
+            value={formData[name] || []}
+            errors={errors}
+            minItems={field.minItems}
+            maxItems={field.maxItems}
+            itemLabel={field.itemLabel}
+            addLabel={field.addLabel}
+            renderFields={(item, onItemChange, itemErrors, index) => (
+              <FormStep
+                step={{
+                  fields: (field.fields || [])
+                    .filter((subField) =>
+                      formTemplateService.shouldDisplayField(subField, {
+                        ...formData,
+                        ...item,
+                      })
+                    )
+                    .map((subField) => ({
+                      ...subField,
+                      id: `${subField.id || subField.name}_${index}`,
+                    })),
+                }}
+                formData={item}
+                onChange={onItemChange}
+                errors={itemErrors}
+                disabled={disabled}
+              />
+            )}
+          />
+        );
+
+      // Complex components with lazy loading. Video fields take a
+      // `compression` setting from the template, e.g. { maxSizeMB: 20 };
+      // image fields can burn date and location in with `watermark: true`
+      // and take several photos with `maxPhotos` (and `minPhotos`)
       case "image-capture":
         return (
           <Suspense fallback={<LoadingIndicator size="small" />}>
-            <ImageCaptureInput {...commonProps} />
+            <ImageCaptureInput
+              watermark={field.watermark}
+              facingMode={field.facingMode}
+              maxPhotos={field.maxPhotos}
+              minPhotos={field.minPhotos}
+              {...commonProps}
+            />
           </Suspense>
         );
 
       case "video-recorder":
         return (
           <Suspense fallback={<LoadingIndicator size="small" />}>
-            <VideoRecorderInput {...commonProps} />
+            <VideoRecorderInput
+              compression={field.compression}
+              {...commonProps}
+            />
           </Suspense>
         );
 
@@ -109,14 +208,60 @@ const FormStep = ({
       case "media-upload":
         return (
           <Suspense fallback={<LoadingIndicator size="small" />}>
-            <MediaUploadInput {...commonProps} />
+            <MediaUploadInput
+              compression={field.compression}
+              {...commonProps}
+            />
+          </Suspense>
+        );
+
+      case "s3-upload":
+        return (
+          <Suspense fallback={<LoadingIndicator size="small" />}>
+            <S3MediaUploadInput {...commonProps} />
+          </Suspense>
+        );
+
+      // `barcodeFormats` narrows what is scanned, e.g. ["ean_13"];
+      // `continuous: true` scans several items into a list
+      case "barcode":
+        return (
+          <Suspense fallback={<LoadingIndicator size="small" />}>
+            <BarcodeInput
+              formats={field.barcodeFormats}
+              continuous={field.continuous}
+              {...commonProps}
+            />
           </Suspense>
         );
 
+      // `geofence` and `maxAccuracy` check where the location was captured;
+      // `showMap: false` hides the map for correcting the pin; `addressField`
+      // names an address field to offer the address at the location for
       case "geolocation":
         return (
           <Suspense fallback={<LoadingIndicator size="small" />}>
-            <GeoLocationInput {...commonProps} />
+            <GeoLocationField
+              definition={field.geofence}
+              formData={formData}
+              maxAccuracy={field.maxAccuracy}
+              showMap={field.showMap !== false}
+              geocoder={field.geocoder}
+              onAddress={
+                field.addressField
+                  ? (result, point) =>
+                      onChange(
+                        field.addressField,
+                        geocodingService.applyToAddress(
+                          formData[field.addressField],
+                          result,
+                          point
+                        )
+                      )
+                  : null
+              }
+              {...commonProps}
+            />
           </Suspense>
         );
 
@@ -15,6 +15,7 @@ const UploadProgressIndicator = ({
     percentage: 0,
     error: null,
     url: null,
+    waitingFor: null,
   });
 
   // Format file size
@@ -73,6 +74,14 @@ const UploadProgressIndicator = ({
           ...prev,
           status: "uploading",
           percentage: event.percentage,
+          waitingFor: null,
+        }));
+      } else if (event.type === "deferred") {
+        // Held back by the upload policy (e.g. Wi-Fi only)
+        setProgress((prev) => ({
+          ...prev,
+          status: "pending",
+          waitingFor: event.reason,
         }));
       } else if (event.type === "complete") {
         setProgress((prev) => ({
@@ -99,7 +108,7 @@ const UploadProgressIndicator = ({
   // Retry upload
   const handleRetry = async () => {
     try {
-      await mediaUploadService.addToUploadQueue(mediaId);
+      await mediaUploadService.retryUpload(mediaId);
 
       setProgress((prev) => ({
         ...prev,
@@ -216,7 +225,7 @@ const UploadProgressIndicator = ({
             />
           </svg>
         );
-        statusText = "Waiting to upload";
+        statusText = progress.waitingFor || "Waiting to upload";
         statusClass = "text-gray-600";
         break;
     }
@@ -252,7 +261,7 @@ const UploadProgressIndicator = ({
             ? "Upload complete"
             : progress.status === "error"
             ? "Upload failed"
-            : "Waiting to upload"}
+            : progress.waitingFor || "Waiting to upload"}
         </span>
 
         {/* Actions based on status */}
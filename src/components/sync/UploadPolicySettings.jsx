@@ -0,0 +1,94 @@
+import { useState } from "preact/hooks";
+import uploadPolicyService from "../../services/uploadPolicyService";
+
+const MODE_LABELS = {
+  always: "On any connection",
+  wifi: "Only on Wi-Fi",
+  cellular: "On cellular, only small files",
+};
+
+/**
+ * Settings for when photos, videos and other media are uploaded.
+ * Form answers always sync straight away.
+ */
+const UploadPolicySettings = ({ className = "" }) => {
+  const [policy, setPolicy] = useState(uploadPolicyService.getPolicy());
+
+  const update = (updates) => {
+    setPolicy(uploadPolicyService.setPolicy(updates));
+  };
+
+  const connectionKnown = uploadPolicyService.getConnection().known;
+
+  return (
+    <div className={`bg-white p-6 rounded-lg shadow-md ${className}`}>
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 mb-2">
+          Upload photos and videos
+        </legend>
+
+        <div className="space-y-2">
+          {uploadPolicyService.POLICY_MODES.map((mode) => (
+            <label key={mode} className="flex items-center text-sm text-gray-700">
+              <input
+                type="radio"
+                name="upload-policy-mode"
+                value={mode}
+                checked={policy.mode === mode}
+                onChange={() => update({ mode })}
+                className="h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500 mr-2"
+              />
+              {MODE_LABELS[mode]}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      {policy.mode === "wifi" && !connectionKnown && (
+        <p className="text-xs text-yellow-700 mt-2">
+          This device doesn't report whether it is on Wi-Fi, so photos and
+          videos will wait until you choose another option.
+        </p>
+      )}
+
+      {policy.mode === "cellular" && !connectionKnown && (
+        <p className="text-xs text-yellow-700 mt-2">
+          This device doesn't report whether it is on Wi-Fi, so the size
+          limit below always applies.
+        </p>
+      )}
+
+      {policy.mode === "cellular" && (
+        <label className="block text-sm text-gray-700 mt-3">
+          Largest file on cellular (MB)
+          <input
+            type="number"
+            min="1"
+            value={policy.maxCellularMB}
+            onChange={(e) => {
+              const maxCellularMB = Number(e.target.value);
+              if (maxCellularMB > 0) update({ maxCellularMB });
+            }}
+            className="mt-1 block w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 text-sm"
+          />
+        </label>
+      )}
+
+      <label className="flex items-center text-sm text-gray-700 mt-3">
+        <input
+          type="checkbox"
+          checked={policy.pauseOnBatterySaver}
+          onChange={(e) => update({ pauseOnBatterySaver: e.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 mr-2"
+        />
+        Pause uploads when the battery is low
+      </label>
+
+      <p className="text-xs text-gray-500 mt-3">
+        Form answers are always sent right away.
+      </p>
+    </div>
+  );
+};
+
+export default UploadPolicySettings;
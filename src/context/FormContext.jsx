@@ -1,7 +1,7 @@
 // src/context/FormContext.jsx
 import { createContext } from "preact";
 import { useContext, useReducer, useEffect, useCallback } from "preact/hooks";
-import { FormDataDAO, DraftDAO, SyncQueueDAO } from "../db";
+import { SubmissionDAO, DraftDAO, SyncQueueDAO } from "../db";
 import { debounce } from "../utils/helper";
 
 // Form Context
@@ -216,7 +216,7 @@ export const FormProvider = ({ children }) => {
             draftId,
             data: draft.data,
             currentStep: draft.currentStep,
-            lastUpdated: draft.lastUpdated,
+            lastUpdated: draft.updatedAt,
           },
         });
       } else {
@@ -303,11 +303,11 @@ export const FormProvider = ({ children }) => {
         formId: state.formId,
         projectId: state.projectId,
         data: state.formData,
-        submitted: false,
+        status: "pending",
         createdAt: new Date().toISOString(),
       };
 
-      const formDataId = await FormDataDAO.saveFormData(formDataEntry);
+      const formDataId = await SubmissionDAO.saveSubmission(formDataEntry);
 
       // Add to sync queue for later submission to server
       await SyncQueueDAO.addToQueue({
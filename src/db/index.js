@@ -1,73 +1,62 @@
 import { openDB } from 'idb';
+import { v4 as uuidv4 } from 'uuid';
+import { migrations, runMigrations, importLegacyDatabases } from './migrations';
 
-const DB_NAME = 'fse-lead-collection';
-const DB_VERSION = 1;
+// The single app database; all modules go through the DAOs below
+export const DB_NAME = 'fse-lead-collection';
+export const DB_VERSION = migrations[migrations.length - 1].version;
 
 export const STORES = {
     FORMS: 'forms',
-    FORM_DATA: 'form-data',
     DRAFTS: 'drafts',
+    SUBMISSIONS: 'submissions',
     MEDIA: 'media',
-    SYNC_QUEUE: 'sync-queue'
+    MEDIA_CHUNKS: 'media-chunks',
+    S3_UPLOADS: 's3-uploads',
+    MAP_TILES: 'map-tiles',
+    PLACES: 'places',
+    SYNC_QUEUE: 'sync-queue',
+    LOOKUPS: 'lookups',
+    OFFLINE_REQUESTS: 'offline-requests',
+    META: 'meta'
 };
 
+// One connection is shared by the whole app
+let dbPromise = null;
+
 export const openDatabase = async () => {
-    return openDB(DB_NAME, DB_VERSION, {
-        upgrade(db) {
-            // Store for form definitions
-            if (!db.objectStoreNames.contains(STORES.FORMS)) {
-                const formStore = db.createObjectStore(STORES.FORMS, {
-                    keyPath: 'id'
-                });
-                formStore.createIndex('projectId', 'projectId', { unique: false });
+    if (!dbPromise) {
+        dbPromise = openDB(DB_NAME, DB_VERSION, {
+            upgrade(db, oldVersion, newVersion, transaction) {
+                return runMigrations(db, oldVersion, newVersion, transaction);
+            },
+            blocking() {
+                // A newer version of the app (e.g. in another tab) wants to upgrade
+                const current = dbPromise;
+                dbPromise = null;
+                current.then(db => db.close());
+            },
+            terminated() {
+                dbPromise = null;
             }
-
-            // Store for completed form submissions
-            if (!db.objectStoreNames.contains(STORES.FORM_DATA)) {
-                const formDataStore = db.createObjectStore(STORES.FORM_DATA, {
-                    keyPath: 'id',
-                    autoIncrement: true
-                });
-                formDataStore.createIndex('formId', 'formId', { unique: false });
-                formDataStore.createIndex('submitted', 'submitted', { unique: false });
-                formDataStore.createIndex('createdAt', 'createdAt', { unique: false });
-            }
-
-            // Store for draft form submissions
-            if (!db.objectStoreNames.contains(STORES.DRAFTS)) {
-                const draftsStore = db.createObjectStore(STORES.DRAFTS, {
-                    keyPath: 'id',
-                    autoIncrement: true
-                });
-                draftsStore.createIndex('formId', 'formId', { unique: false });
-                draftsStore.createIndex('lastUpdated', 'lastUpdated', { unique: false });
+        }).then(async db => {
+            try {
+                await importLegacyDatabases(db);
+            } catch (error) {
+                console.error('Error importing legacy databases:', error);
             }
+            return db;
+        });
 
-            // Store for media files (images, videos, etc.)
-            if (!db.objectStoreNames.contains(STORES.MEDIA)) {
-                const mediaStore = db.createObjectStore(STORES.MEDIA, {
-                    keyPath: 'id',
-                    autoIncrement: true
-                });
-                mediaStore.createIndex('formDataId', 'formDataId', { unique: false });
-                mediaStore.createIndex('fieldName', 'fieldName', { unique: false });
-            }
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
 
-            // Store for synchronization queue
-            if (!db.objectStoreNames.contains(STORES.SYNC_QUEUE)) {
-                const syncQueueStore = db.createObjectStore(STORES.SYNC_QUEUE, {
-                    keyPath: 'id',
-                    autoIncrement: true
-                });
-                syncQueueStore.createIndex('type', 'type', { unique: false });
-                syncQueueStore.createIndex('status', 'status', { unique: false });
-                syncQueueStore.createIndex('createdAt', 'createdAt', { unique: false });
-            }
-        }
-    });
+    return dbPromise;
 };
 
-// Database access object for form operations
+// Database access object for form definitions (templates)
 export const FormDAO = {
     async getForm(formId) {
         const db = await openDatabase();
@@ -85,93 +74,351 @@ export const FormDAO = {
             ...form,
             updatedAt: new Date().toISOString()
         });
+    },
+
+    async deleteForm(formId) {
+        const db = await openDatabase();
+        return db.delete(STORES.FORMS, formId);
     }
 };
 
-// Database access object for form data operations
-export const FormDataDAO = {
-    async getFormData(id) {
+// Database access object for draft operations
+export const DraftDAO = {
+    async getDraft(id) {
         const db = await openDatabase();
-        return db.get(STORES.FORM_DATA, id);
+        return db.get(STORES.DRAFTS, id);
     },
 
-    async getFormDataByForm(formId) {
+    async getDraftsByForm(formId) {
         const db = await openDatabase();
-        return db.getAllFromIndex(STORES.FORM_DATA, 'formId', formId);
+        return db.getAllFromIndex(STORES.DRAFTS, 'formId', formId);
     },
 
-    async saveFormData(formData) {
+    async saveDraft(draft) {
+        const db = await openDatabase();
+        const now = new Date().toISOString();
+        const existing = draft.id && !draft.createdAt
+            ? await db.get(STORES.DRAFTS, draft.id)
+            : null;
+
+        return db.put(STORES.DRAFTS, {
+            ...draft,
+            id: draft.id || uuidv4(),
+            createdAt: draft.createdAt || (existing && existing.createdAt) || now,
+            updatedAt: now
+        });
+    },
+
+    async deleteDraft(id) {
+        const db = await openDatabase();
+        return db.delete(STORES.DRAFTS, id);
+    }
+};
+
+// Database access object for submitted forms awaiting or after sync
+export const SubmissionDAO = {
+    async getSubmission(id) {
+        const db = await openDatabase();
+        return db.get(STORES.SUBMISSIONS, id);
+    },
+
+    async getSubmissionsByForm(formId) {
+        const db = await openDatabase();
+        return db.getAllFromIndex(STORES.SUBMISSIONS, 'formId', formId);
+    },
+
+    async getSubmissionsByStatus(status) {
+        const db = await openDatabase();
+        return db.getAllFromIndex(STORES.SUBMISSIONS, 'status', status);
+    },
+
+    async saveSubmission(submission) {
         const db = await openDatabase();
         const now = new Date().toISOString();
         const data = {
-            ...formData,
+            status: 'pending',
+            ...submission,
+            id: submission.id || uuidv4(),
             updatedAt: now
         };
 
         // If it's a new entry, add createdAt
-        if (!formData.id) {
+        if (!submission.createdAt) {
             data.createdAt = now;
         }
 
-        return db.put(STORES.FORM_DATA, data);
+        return db.put(STORES.SUBMISSIONS, data);
     },
 
-    async markAsSubmitted(id) {
+    async updateSubmission(id, updates) {
         const db = await openDatabase();
-        const formData = await db.get(STORES.FORM_DATA, id);
-        if (formData) {
-            formData.submitted = true;
-            formData.submittedAt = new Date().toISOString();
-            return db.put(STORES.FORM_DATA, formData);
+        const submission = await db.get(STORES.SUBMISSIONS, id);
+        if (submission) {
+            const updated = {
+                ...submission,
+                ...updates,
+                updatedAt: new Date().toISOString()
+            };
+            await db.put(STORES.SUBMISSIONS, updated);
+            return updated;
         }
         return null;
     }
 };
 
-// Database access object for draft operations
-export const DraftDAO = {
-    async getDraft(id) {
+// Database access object for media operations
+export const MediaDAO = {
+    async saveMedia(media) {
         const db = await openDatabase();
-        return db.get(STORES.DRAFTS, id);
+        return db.put(STORES.MEDIA, {
+            ...media,
+            id: media.id || uuidv4(),
+            createdAt: media.createdAt || new Date().toISOString()
+        });
     },
 
-    async getDraftsByForm(formId) {
+    async getMedia(id) {
         const db = await openDatabase();
-        return db.getAllFromIndex(STORES.DRAFTS, 'formId', formId);
+        return db.get(STORES.MEDIA, id);
     },
 
-    async saveDraft(draft) {
+    async getAllMedia() {
         const db = await openDatabase();
-        const now = new Date().toISOString();
-        const data = {
-            ...draft,
-            lastUpdated: now
-        };
+        return db.getAll(STORES.MEDIA);
+    },
 
-        // If it's a new entry, add createdAt
-        if (!draft.id) {
-            data.createdAt = now;
+    async getMediaByStatus(status) {
+        const db = await openDatabase();
+        return db.getAllFromIndex(STORES.MEDIA, 'status', status);
+    },
+
+    async getMediaByField(fieldName) {
+        const db = await openDatabase();
+        return db.getAllFromIndex(STORES.MEDIA, 'fieldName', fieldName);
+    },
+
+    async getMediaBySubmission(submissionId) {
+        const db = await openDatabase();
+        return db.getAllFromIndex(STORES.MEDIA, 'submissionId', submissionId);
+    },
+
+    // Media still to be uploaded (including uploads interrupted mid-way), oldest first
+    async getPendingMedia() {
+        const [pending, uploading] = await Promise.all([
+            this.getMediaByStatus('pending'),
+            this.getMediaByStatus('uploading')
+        ]);
+
+        return [...pending, ...uploading]
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    },
+
+    async getFailedMedia() {
+        return this.getMediaByStatus('failed');
+    },
+
+    async updateMedia(id, updates) {
+        const db = await openDatabase();
+        const media = await db.get(STORES.MEDIA, id);
+        if (media) {
+            const updated = {
+                ...media,
+                ...updates,
+                updatedAt: new Date().toISOString()
+            };
+            await db.put(STORES.MEDIA, updated);
+            return updated;
+        }
+        return null;
+    },
+
+    // Delete a media record together with its stored chunks
+    async deleteMedia(id) {
+        const db = await openDatabase();
+        const tx = db.transaction([STORES.MEDIA, STORES.MEDIA_CHUNKS], 'readwrite');
+        const chunkStore = tx.objectStore(STORES.MEDIA_CHUNKS);
+        const chunkKeys = await chunkStore.index('mediaId').getAllKeys(id);
+
+        await Promise.all([
+            tx.objectStore(STORES.MEDIA).delete(id),
+            ...chunkKeys.map(key => chunkStore.delete(key))
+        ]);
+        await tx.done;
+    }
+};
+
+// Database access object for media chunks (Blob slices awaiting upload)
+export const MediaChunkDAO = {
+    async saveChunk(mediaId, chunk) {
+        const db = await openDatabase();
+        return db.put(STORES.MEDIA_CHUNKS, {
+            id: `${mediaId}_${chunk.index}`,
+            mediaId,
+            index: chunk.index,
+            data: chunk.data,
+            size: chunk.size,
+            checksum: chunk.checksum || null
+        });
+    },
+
+    async getChunk(mediaId, index) {
+        const db = await openDatabase();
+        return db.get(STORES.MEDIA_CHUNKS, `${mediaId}_${index}`);
+    },
+
+    async deleteChunks(mediaId) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.MEDIA_CHUNKS, 'readwrite');
+        const keys = await tx.store.index('mediaId').getAllKeys(mediaId);
+        await Promise.all(keys.map(key => tx.store.delete(key)));
+        await tx.done;
+        return keys.length;
+    },
+
+    // IDs of all media that have chunks stored
+    async getMediaIds() {
+        const db = await openDatabase();
+        const ids = [];
+        let cursor = await db.transaction(STORES.MEDIA_CHUNKS)
+            .store.index('mediaId')
+            .openKeyCursor(null, 'nextunique');
+
+        while (cursor) {
+            ids.push(cursor.key);
+            cursor = await cursor.continue();
         }
+        return ids;
+    }
+};
 
-        return db.put(STORES.DRAFTS, data);
+// Database access object for direct-to-S3 multipart uploads. Each record
+// keeps the file and the parts already sent so an upload survives a reload.
+export const S3UploadDAO = {
+    async saveUpload(upload) {
+        const db = await openDatabase();
+        const id = upload.id || uuidv4();
+        await db.put(STORES.S3_UPLOADS, {
+            ...upload,
+            id,
+            createdAt: upload.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        return id;
     },
 
-    async deleteDraft(id) {
+    async getUpload(id) {
         const db = await openDatabase();
-        return db.delete(STORES.DRAFTS, id);
+        return db.get(STORES.S3_UPLOADS, id);
+    },
+
+    // Unfinished upload of the same file, if any
+    async getUploadByFingerprint(fingerprint) {
+        const db = await openDatabase();
+        const uploads = await db.getAllFromIndex(STORES.S3_UPLOADS, 'fingerprint', fingerprint);
+        return uploads.find(upload => upload.status !== 'completed') || null;
+    },
+
+    async updateUpload(id, updates) {
+        const db = await openDatabase();
+        const upload = await db.get(STORES.S3_UPLOADS, id);
+        if (upload) {
+            const updated = {
+                ...upload,
+                ...updates,
+                updatedAt: new Date().toISOString()
+            };
+            await db.put(STORES.S3_UPLOADS, updated);
+            return updated;
+        }
+        return null;
+    },
+
+    async deleteUpload(id) {
+        const db = await openDatabase();
+        return db.delete(STORES.S3_UPLOADS, id);
     }
 };
 
-// Database access object for media operations
-export const MediaDAO = {
-    async saveMedia(media) {
+// Database access object for offline map tiles. Tiles come in bundles
+// (e.g. the area around a beat's stores) keyed by `${z}/${x}/${y}`.
+export const MapTileDAO = {
+    async getTile(z, x, y) {
+        const db = await openDatabase();
+        return db.get(STORES.MAP_TILES, `${z}/${x}/${y}`);
+    },
+
+    // Tiles are { z, x, y, data: Blob }. The bundle's tiles are swapped in one
+    // transaction, so the old copy stays until the new one is stored.
+    async replaceBundle(bundleId, version, tiles) {
+        const db = await openDatabase();
+        const tx = db.transaction([STORES.MAP_TILES, STORES.META], 'readwrite');
+        const tileStore = tx.objectStore(STORES.MAP_TILES);
+        const keys = tiles.map(({ z, x, y }) => `${z}/${x}/${y}`);
+        const current = new Set(keys);
+        const stale = (await tileStore.index('bundleId').getAllKeys(bundleId))
+            .filter(key => !current.has(key));
+
+        await Promise.all([
+            ...tiles.map(({ z, x, y, data }, i) => tileStore.put({ key: keys[i], bundleId, z, x, y, data })),
+            ...stale.map(key => tileStore.delete(key)),
+            tx.objectStore(STORES.META).put({ key: `mapTileBundle:${bundleId}`, version })
+        ]);
+        await tx.done;
+        return tiles.length;
+    },
+
+    async getBundleVersion(bundleId) {
         const db = await openDatabase();
-        return db.add(STORES.MEDIA, media);
+        const record = await db.get(STORES.META, `mapTileBundle:${bundleId}`);
+        return record ? record.version : null;
     },
 
-    async getMediaByFormData(formDataId) {
+    async getBundleIds() {
         const db = await openDatabase();
-        return db.getAllFromIndex(STORES.MEDIA, 'formDataId', formDataId);
+        const ids = [];
+        let cursor = await db.transaction(STORES.MAP_TILES).store.index('bundleId').openKeyCursor(null, 'nextunique');
+        while (cursor) {
+            ids.push(cursor.key);
+            cursor = await cursor.continue();
+        }
+        return ids;
+    },
+
+    async deleteBundle(bundleId) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.MAP_TILES, 'readwrite');
+        const keys = await tx.store.index('bundleId').getAllKeys(bundleId);
+        await Promise.all(keys.map(key => tx.store.delete(key)));
+        await tx.done;
+        await db.delete(STORES.META, `mapTileBundle:${bundleId}`);
+        return keys.length;
+    }
+};
+
+// Database access object for the offline geocoding dataset: one record per
+// locality as { id, pincode, locality, city, state, country, latitude, longitude }
+export const PlaceDAO = {
+    async getAllPlaces() {
+        const db = await openDatabase();
+        return db.getAll(STORES.PLACES);
+    },
+
+    async countPlaces() {
+        const db = await openDatabase();
+        return db.count(STORES.PLACES);
+    },
+
+    // Replaces the whole dataset
+    async savePlaces(places) {
+        const db = await openDatabase();
+        const tx = db.transaction(STORES.PLACES, 'readwrite');
+        await tx.store.clear();
+        await Promise.all(places.map(place => tx.store.put({
+            ...place,
+            id: `${place.pincode}:${place.locality}`
+        })));
+        await tx.done;
+        return places.length;
     }
 };
 
@@ -210,4 +457,26 @@ export const SyncQueueDAO = {
         }
         return null;
     }
-};
\ No newline at end of file
+};
+
+// Database access object for cached lookup lists
+export const LookupDAO = {
+    async getLookup(name) {
+        const db = await openDatabase();
+        return db.get(STORES.LOOKUPS, name);
+    },
+
+    async saveLookup(name, values) {
+        const db = await openDatabase();
+        return db.put(STORES.LOOKUPS, {
+            name,
+            values,
+            updatedAt: new Date().toISOString()
+        });
+    },
+
+    async deleteLookup(name) {
+        const db = await openDatabase();
+        return db.delete(STORES.LOOKUPS, name);
+    }
+};
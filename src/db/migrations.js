@@ -0,0 +1,302 @@
+import { openDB, deleteDB } from 'idb';
+
+// Numbered schema upgrades for the app database. Each step runs once, in
+// order, inside the upgrade transaction when a device moves past its version.
+// Steps use literal store names: they describe the schema as it was at that
+// version and must not change once released. To change the schema, append a
+// new step; DB_VERSION follows the last one.
+export const migrations = [
+    {
+        version: 1,
+        description: 'Initial stores',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('forms')) {
+                const formStore = db.createObjectStore('forms', { keyPath: 'id' });
+                formStore.createIndex('projectId', 'projectId', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('form-data')) {
+                const formDataStore = db.createObjectStore('form-data', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                formDataStore.createIndex('formId', 'formId', { unique: false });
+                formDataStore.createIndex('submitted', 'submitted', { unique: false });
+                formDataStore.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('drafts')) {
+                const draftsStore = db.createObjectStore('drafts', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                draftsStore.createIndex('formId', 'formId', { unique: false });
+                draftsStore.createIndex('lastUpdated', 'lastUpdated', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('media')) {
+                const mediaStore = db.createObjectStore('media', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                mediaStore.createIndex('formDataId', 'formDataId', { unique: false });
+                mediaStore.createIndex('fieldName', 'fieldName', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains('sync-queue')) {
+                const syncQueueStore = db.createObjectStore('sync-queue', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                syncQueueStore.createIndex('type', 'type', { unique: false });
+                syncQueueStore.createIndex('status', 'status', { unique: false });
+                syncQueueStore.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Cached lookup lists for offline validation',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('lookups')) {
+                const lookupStore = db.createObjectStore('lookups', { keyPath: 'name' });
+                lookupStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Single store per record type (templates, drafts, submissions, offline requests)',
+        async upgrade(db, transaction) {
+            // Templates share the forms store
+            const formStore = transaction.objectStore('forms');
+            if (!formStore.indexNames.contains('version')) {
+                formStore.createIndex('version', 'version', { unique: false });
+            }
+            if (!formStore.indexNames.contains('updatedAt')) {
+                formStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+            }
+
+            // Submissions are keyed by UUID and tracked by sync status
+            if (!db.objectStoreNames.contains('submissions')) {
+                const submissionsStore = db.createObjectStore('submissions', { keyPath: 'id' });
+                submissionsStore.createIndex('formId', 'formId', { unique: false });
+                submissionsStore.createIndex('projectId', 'projectId', { unique: false });
+                submissionsStore.createIndex('status', 'status', { unique: false });
+                submissionsStore.createIndex('createdAt', 'createdAt', { unique: false });
+            }
+
+            // Requests queued by the service worker for background sync
+            if (!db.objectStoreNames.contains('offline-requests')) {
+                const requestStore = db.createObjectStore('offline-requests', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                requestStore.createIndex('tag', 'tag', { unique: false });
+                requestStore.createIndex('status', 'status', { unique: false });
+            }
+
+            // Bookkeeping such as the legacy database import
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+
+            // Drafts are ordered by updatedAt like every other store
+            const draftsStore = transaction.objectStore('drafts');
+            if (!draftsStore.indexNames.contains('updatedAt')) {
+                draftsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+            }
+
+            let draftCursor = await draftsStore.openCursor();
+            while (draftCursor) {
+                if (!draftCursor.value.updatedAt) {
+                    await draftCursor.update({
+                        ...draftCursor.value,
+                        updatedAt: draftCursor.value.lastUpdated || new Date().toISOString()
+                    });
+                }
+                draftCursor = await draftCursor.continue();
+            }
+
+            // Move completed form data into submissions
+            if (db.objectStoreNames.contains('form-data')) {
+                const submissionsStore = transaction.objectStore('submissions');
+                let cursor = await transaction.objectStore('form-data').openCursor();
+
+                while (cursor) {
+                    const { submitted, submittedAt, ...record } = cursor.value;
+                    await submissionsStore.put({
+                        ...record,
+                        status: submitted ? 'completed' : 'pending',
+                        syncedAt: submittedAt || null,
+                        updatedAt: record.updatedAt || record.createdAt
+                    });
+                    cursor = await cursor.continue();
+                }
+
+                db.deleteObjectStore('form-data');
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Media chunks stored as Blobs',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('media-chunks')) {
+                const chunkStore = db.createObjectStore('media-chunks', { keyPath: 'id' });
+                chunkStore.createIndex('mediaId', 'mediaId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Media keyed by UUID with status and submission indexes',
+        async upgrade(db, transaction) {
+            // autoIncrement can't be switched off, so the store is recreated
+            const records = await transaction.objectStore('media').getAll();
+            db.deleteObjectStore('media');
+
+            const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
+            mediaStore.createIndex('status', 'status', { unique: false });
+            mediaStore.createIndex('fieldName', 'fieldName', { unique: false });
+            mediaStore.createIndex('submissionId', 'submissionId', { unique: false });
+            mediaStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+            for (const { formDataId, ...record } of records) {
+                await mediaStore.put({
+                    ...record,
+                    submissionId: record.submissionId || formDataId || null,
+                    createdAt: record.createdAt || record.timestamp || new Date().toISOString()
+                });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'Direct-to-S3 multipart uploads',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('s3-uploads')) {
+                const uploadStore = db.createObjectStore('s3-uploads', { keyPath: 'id' });
+                uploadStore.createIndex('fingerprint', 'fingerprint', { unique: false });
+                uploadStore.createIndex('status', 'status', { unique: false });
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Map tiles for offline location previews',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('map-tiles')) {
+                const tileStore = db.createObjectStore('map-tiles', { keyPath: 'key' });
+                tileStore.createIndex('bundleId', 'bundleId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Pincode/locality dataset for offline reverse geocoding',
+        upgrade(db) {
+            if (!db.objectStoreNames.contains('places')) {
+                const placeStore = db.createObjectStore('places', { keyPath: 'id' });
+                placeStore.createIndex('pincode', 'pincode', { unique: false });
+            }
+        }
+    }
+];
+
+/**
+ * Apply the migrations between two versions
+ * @param {IDBPDatabase} db - The database being upgraded
+ * @param {number} oldVersion - Version on the device (0 for a new database)
+ * @param {number} newVersion - Version being opened
+ * @param {IDBPTransaction} transaction - The upgrade transaction
+ */
+export async function runMigrations(db, oldVersion, newVersion, transaction) {
+    for (const migration of migrations) {
+        if (migration.version > oldVersion && migration.version <= newVersion) {
+            await migration.upgrade(db, transaction);
+        }
+    }
+}
+
+// Databases used before everything moved into one; each store maps to its
+// new home. Records keep their keys unless `keepKeys` is false.
+const LEGACY_DATABASES = [
+    {
+        name: 'form-data',
+        stores: [
+            { from: 'drafts', to: 'drafts' },
+            { from: 'submissions', to: 'submissions' }
+        ]
+    },
+    {
+        name: 'form-templates',
+        stores: [{ from: 'templates', to: 'forms' }]
+    },
+    {
+        name: 'fse-offline-requests',
+        stores: [{ from: 'requests', to: 'offline-requests', keepKeys: false }]
+    }
+];
+
+const LEGACY_IMPORT_KEY = 'legacyImport';
+
+// Open a database only if it already exists
+async function openExisting(name) {
+    try {
+        return await openDB(name, undefined, {
+            upgrade(db, oldVersion, newVersion, transaction) {
+                // Opening would create it; abort so nothing is left behind
+                transaction.done.catch(() => {});
+                transaction.abort();
+            }
+        });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Copy data from the legacy databases into the app database, once per device.
+ * Existing records win over legacy copies with the same key. The legacy
+ * databases are deleted afterwards.
+ * @param {IDBPDatabase} db - The app database
+ */
+export async function importLegacyDatabases(db) {
+    if (await db.get('meta', LEGACY_IMPORT_KEY)) return;
+
+    for (const legacy of LEGACY_DATABASES) {
+        const legacyDb = await openExisting(legacy.name);
+        if (!legacyDb) continue;
+
+        try {
+            for (const { from, to, keepKeys = true } of legacy.stores) {
+                if (!legacyDb.objectStoreNames.contains(from)) continue;
+
+                const records = await legacyDb.getAll(from);
+                const tx = db.transaction(to, 'readwrite');
+
+                for (const record of records) {
+                    if (!keepKeys) {
+                        const copy = { ...record };
+                        delete copy.id;
+                        await tx.store.add(copy);
+                    } else if (!(await tx.store.getKey(record.id))) {
+                        await tx.store.put(record);
+                    }
+                }
+
+                await tx.done;
+            }
+        } finally {
+            legacyDb.close();
+        }
+
+        // Don't wait if another tab still has it open
+        deleteDB(legacy.name).catch(error => {
+            console.warn(`Could not delete legacy database ${legacy.name}:`, error);
+        });
+    }
+
+    await db.put('meta', { key: LEGACY_IMPORT_KEY, completedAt: new Date().toISOString() });
+}
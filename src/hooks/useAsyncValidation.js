@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'preact/hooks';
+import validator from '../utils/validation';
+
+/**
+ * Custom hook for running asynchronous (server-side) validation rules
+ *
+ * Fields with async rules are re-checked a short while after their value
+ * changes; a newer value cancels the check in flight.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Array} options.fields - Field definitions currently on screen
+ * @param {Object} options.formData - Current form values
+ * @param {number} options.debounceMs - Debounce time in milliseconds
+ * @param {boolean} options.enabled - Whether async validation is enabled
+ * @returns {Object} Async validation state and functions
+ */
+export const useAsyncValidation = ({
+    fields = [],
+    formData,
+    debounceMs = 500,
+    enabled = true
+}) => {
+    const [errors, setErrors] = useState({});
+    const [pending, setPending] = useState({});
+
+    // Refs to maintain identity between renders
+    const timersRef = useRef({});
+    const controllersRef = useRef({});
+    const lastValuesRef = useRef({});
+
+    const asyncFields = useMemo(
+        () => fields.filter(field => field.validation && validator.hasAsyncRules(field.validation)),
+        [fields]
+    );
+
+    const setFieldPending = useCallback((name, isPending) => {
+        setPending(prev => {
+            if (!!prev[name] === isPending) return prev;
+
+            const next = { ...prev };
+            if (isPending) {
+                next[name] = true;
+            } else {
+                delete next[name];
+            }
+            return next;
+        });
+    }, []);
+
+    const cancelField = useCallback((name) => {
+        clearTimeout(timersRef.current[name]);
+        delete timersRef.current[name];
+
+        if (controllersRef.current[name]) {
+            controllersRef.current[name].abort();
+            delete controllersRef.current[name];
+        }
+    }, []);
+
+    // Run the checks for a single field, cancelling any in flight
+    const runField = useCallback(async (field, data) => {
+        const { name } = field;
+        cancelField(name);
+
+        const controller = new AbortController();
+        controllersRef.current[name] = controller;
+        setFieldPending(name, true);
+
+        try {
+            const error = await validator.getFieldErrorAsync(
+                data[name],
+                validator.getFieldRules(field, data),
+                data,
+                { signal: controller.signal }
+            );
+
+            if (controller.signal.aborted) return undefined;
+
+            setErrors(prev => {
+                const next = { ...prev };
+                if (error) {
+                    next[name] = error.message;
+                } else {
+                    delete next[name];
+                }
+                return next;
+            });
+
+            return error;
+        } catch (err) {
+            if (err.name === 'AbortError') return undefined;
+
+            // Don't block the user if the check itself fails
+            console.warn(`Async validation failed for ${name}:`, err);
+            return null;
+        } finally {
+            if (controllersRef.current[name] === controller) {
+                delete controllersRef.current[name];
+                setFieldPending(name, false);
+            }
+        }
+    }, [cancelField, setFieldPending]);
+
+    // Forget fields that are no longer on screen
+    useEffect(() => {
+        const names = asyncFields.map(field => field.name);
+
+        Object.keys(lastValuesRef.current).forEach(name => {
+            if (!names.includes(name)) {
+                cancelField(name);
+                setFieldPending(name, false);
+                delete lastValuesRef.current[name];
+            }
+        });
+    }, [asyncFields, cancelField, setFieldPending]);
+
+    // Debounced checks when values change
+    useEffect(() => {
+        if (!enabled) return;
+
+        asyncFields.forEach(field => {
+            const value = formData[field.name];
+
+            if (Object.prototype.hasOwnProperty.call(lastValuesRef.current, field.name) &&
+                lastValuesRef.current[field.name] === value) {
+                return;
+            }
+
+            const isFirstRender = !Object.prototype.hasOwnProperty.call(lastValuesRef.current, field.name);
+            lastValuesRef.current[field.name] = value;
+
+            // Values restored from a draft are checked on Next/Submit instead
+            if (isFirstRender) return;
+
+            cancelField(field.name);
+
+            // A previous result no longer applies to the new value
+            setErrors(prev => {
+                if (!prev[field.name]) return prev;
+                const next = { ...prev };
+                delete next[field.name];
+                return next;
+            });
+
+            // Mark as pending straight away so Next can't slip through during the debounce
+            setFieldPending(field.name, true);
+            timersRef.current[field.name] = setTimeout(() => {
+                runField(field, formData);
+            }, debounceMs);
+        });
+    }, [asyncFields, formData, enabled, debounceMs, cancelField, runField, setFieldPending]);
+
+    // Cancel everything on unmount
+    useEffect(() => {
+        const timers = timersRef.current;
+        const controllers = controllersRef.current;
+
+        return () => {
+            Object.values(timers).forEach(timer => clearTimeout(timer));
+            Object.values(controllers).forEach(controller => controller.abort());
+        };
+    }, []);
+
+    // Check all async fields immediately, e.g. before moving to the next step
+    const validateNow = useCallback(async (data = formData) => {
+        const results = await Promise.all(asyncFields.map(field => runField(field, data)));
+
+        return results.reduce((fieldErrors, error, index) => {
+            if (error) {
+                fieldErrors[asyncFields[index].name] = error.message;
+            }
+            return fieldErrors;
+        }, {});
+    }, [asyncFields, formData, runField]);
+
+    return {
+        asyncErrors: errors,
+        pendingFields: Object.keys(pending),
+        isValidating: Object.keys(pending).length > 0,
+        validateNow
+    };
+};
@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
+
+/**
+ * Custom hook for a camera preview, shared by the photo and barcode inputs.
+ * The stream runs while the camera is open and is stopped on close and unmount.
+ *
+ * @param {Object} options - Camera options
+ * @param {string} options.facingMode - 'environment' (back) or 'user' (front)
+ * @param {number} options.width - Ideal frame width
+ * @param {number} options.height - Ideal frame height
+ * @returns {Object} { videoRef, stream, isOpen, isStarting, isAvailable, open, close }
+ */
+export const useCamera = ({ facingMode = 'environment', width = 1280, height = 720 } = {}) => {
+    const [stream, setStream] = useState(null);
+    const [isOpen, setIsOpen] = useState(false);
+    const [isStarting, setIsStarting] = useState(false);
+    const [isAvailable, setIsAvailable] = useState(true);
+
+    const videoRef = useRef(null);
+    const streamRef = useRef(null);
+
+    // Check camera availability on mount
+    useEffect(() => {
+        const checkCameraAvailability = async () => {
+            try {
+                const devices = await navigator.mediaDevices.enumerateDevices();
+                setIsAvailable(devices.some(device => device.kind === 'videoinput'));
+            } catch (error) {
+                console.error('Error checking camera availability:', error);
+                setIsAvailable(false);
+            }
+        };
+
+        checkCameraAvailability();
+    }, []);
+
+    // Start/stop the stream when the camera opens or closes
+    useEffect(() => {
+        if (!isOpen) return undefined;
+
+        let cancelled = false;
+
+        const start = async () => {
+            setIsStarting(true);
+
+            try {
+                const mediaStream = await navigator.mediaDevices.getUserMedia({
+                    video: {
+                        facingMode,
+                        width: { ideal: width },
+                        height: { ideal: height }
+                    }
+                });
+
+                // Closed while the permission prompt was showing
+                if (cancelled) {
+                    mediaStream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+
+                streamRef.current = mediaStream;
+                setStream(mediaStream);
+            } catch (error) {
+                console.error('Error accessing camera:', error);
+                setIsAvailable(false);
+                setIsOpen(false);
+            } finally {
+                setIsStarting(false);
+            }
+        };
+
+        start();
+
+        return () => {
+            cancelled = true;
+
+            if (streamRef.current) {
+                streamRef.current.getTracks().forEach(track => track.stop());
+                streamRef.current = null;
+            }
+            setStream(null);
+        };
+    }, [isOpen, facingMode, width, height]);
+
+    // Show the stream once the video element is rendered
+    useEffect(() => {
+        if (videoRef.current && stream) {
+            videoRef.current.srcObject = stream;
+        }
+    }, [stream]);
+
+    // Stable, so effects that close the camera don't restart on every render
+    const open = useCallback(() => setIsOpen(true), []);
+    const close = useCallback(() => setIsOpen(false), []);
+
+    return {
+        videoRef,
+        stream,
+        isOpen,
+        isStarting,
+        isAvailable,
+        open,
+        close
+    };
+};
@@ -0,0 +1,119 @@
+import { useState, useEffect, useRef } from 'preact/hooks';
+import locationTrail from '../utils/locationTrail';
+
+/**
+ * Custom hook recording the route walked while a form is open. Positions
+ * come from watchPosition and are added to the trail (see utils/locationTrail);
+ * tracking pauses while the app is in the background, so the trail has a
+ * gap rather than a jump when the FSE comes back.
+ *
+ * @param {Object} options - Tracking options
+ * @param {Object|null} options.options - From locationTrail.getOptions
+ * @param {boolean} options.enabled - Whether to track now
+ * @param {Object|null} options.trail - The trail so far (e.g. from the draft)
+ * @param {Function} options.onChange - Called with the updated trail
+ * @returns {Object} { isTracking, isPaused, error }
+ */
+export const useLocationTracking = ({ options, enabled = true, trail, onChange }) => {
+    const [isTracking, setIsTracking] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Positions arrive between renders; keep the latest trail and callback here
+    const trailRef = useRef(trail);
+    const onChangeRef = useRef(onChange);
+    trailRef.current = trail;
+    onChangeRef.current = onChange;
+
+    const update = (next) => {
+        if (next === trailRef.current) return;
+        trailRef.current = next;
+        onChangeRef.current(next);
+    };
+
+    useEffect(() => {
+        if (!enabled || !options) return undefined;
+
+        if (!navigator.geolocation) {
+            setError('Location tracking is not supported by your browser');
+            return undefined;
+        }
+
+        let watchId = null;
+
+        const start = () => {
+            if (watchId !== null) return;
+
+            const current = trailRef.current;
+
+            if (locationTrail.isPaused(current)) {
+                update(locationTrail.resume(current));
+            } else if (current && Date.now() - Date.parse(current.updatedAt) > options.maxInterval * 1000) {
+                // The form was closed since the last point; don't count that time
+                update({
+                    ...current,
+                    pauses: [...current.pauses, { from: current.updatedAt, to: new Date().toISOString() }]
+                });
+            }
+
+            watchId = navigator.geolocation.watchPosition(
+                (position) => {
+                    update(locationTrail.addPoint(trailRef.current, {
+                        latitude: position.coords.latitude,
+                        longitude: position.coords.longitude,
+                        accuracy: position.coords.accuracy,
+                        time: position.timestamp || Date.now()
+                    }, options));
+                },
+                (err) => {
+                    if (err.code === err.PERMISSION_DENIED) {
+                        setError('Location access was denied, so your route is not being recorded.');
+                        stop();
+                    }
+                    // Timeouts and lost fixes are expected while walking; keep watching
+                },
+                {
+                    enableHighAccuracy: true,
+                    maximumAge: 10000,
+                    timeout: 30000
+                }
+            );
+
+            setIsTracking(true);
+            setError(null);
+        };
+
+        const stop = () => {
+            if (watchId === null) return;
+
+            navigator.geolocation.clearWatch(watchId);
+            watchId = null;
+            setIsTracking(false);
+        };
+
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') {
+                stop();
+                update(locationTrail.pause(trailRef.current));
+            } else {
+                start();
+            }
+        };
+
+        if (document.visibilityState !== 'hidden') {
+            start();
+        }
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            stop();
+        };
+    }, [enabled, options]);
+
+    return {
+        isTracking,
+        isPaused: locationTrail.isPaused(trail),
+        error
+    };
+};
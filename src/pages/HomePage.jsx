@@ -1,5 +1,6 @@
 import { useState, useEffect } from "preact/hooks";
 import { DraftDAO, FormDAO } from "../db";
+import UploadPolicySettings from "../components/sync/UploadPolicySettings";
 import {
   isAppInstalled,
   requestNotificationPermission,
@@ -47,7 +48,7 @@ const HomePage = () => {
         // Sort by last updated and take the most recent 5
         const sortedDrafts = allDrafts
           .sort((a, b) => {
-            return new Date(b.lastUpdated) - new Date(a.lastUpdated);
+            return new Date(b.updatedAt) - new Date(a.updatedAt);
           })
           .slice(0, 5);
 
@@ -225,7 +226,7 @@ const HomePage = () => {
                             Last updated
                           </span>
                           <p className="text-sm font-medium text-gray-800">
-                            {formatDate(draft.lastUpdated)}
+                            {formatDate(draft.updatedAt)}
                           </p>
                         </div>
                       </div>
@@ -236,6 +237,14 @@ const HomePage = () => {
             </div>
           )}
         </section>
+
+        {/* Media upload settings */}
+        <section className="mt-8">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">
+            Media Uploads
+          </h2>
+          <UploadPolicySettings />
+        </section>
       </div>
     </div>
   );
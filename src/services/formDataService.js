@@ -1,33 +1,4 @@
-import { openDB } from 'idb';
-import { v4 as uuidv4 } from 'uuid';
-
-const DB_NAME = 'form-data';
-const DRAFTS_STORE = 'drafts';
-const SUBMISSIONS_STORE = 'submissions';
-const VERSION = 1;
-
-// Initialize IndexedDB
-async function initDB() {
-    return openDB(DB_NAME, VERSION, {
-        upgrade(db) {
-            // Store for draft forms
-            if (!db.objectStoreNames.contains(DRAFTS_STORE)) {
-                const draftsStore = db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
-                draftsStore.createIndex('formId', 'formId', { unique: false });
-                draftsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-            }
-
-            // Store for form submissions
-            if (!db.objectStoreNames.contains(SUBMISSIONS_STORE)) {
-                const submissionsStore = db.createObjectStore(SUBMISSIONS_STORE, { keyPath: 'id' });
-                submissionsStore.createIndex('formId', 'formId', { unique: false });
-                submissionsStore.createIndex('projectId', 'projectId', { unique: false });
-                submissionsStore.createIndex('status', 'status', { unique: false });
-                submissionsStore.createIndex('createdAt', 'createdAt', { unique: false });
-            }
-        }
-    });
-}
+import { DraftDAO, SubmissionDAO } from '../db';
 
 /**
  * Save a form draft
@@ -36,21 +7,7 @@ async function initDB() {
  */
 async function saveDraft(draft) {
     try {
-        const db = await initDB();
-
-        // If no ID provided, generate one
-        if (!draft.id) {
-            draft.id = uuidv4();
-        }
-
-        // Add timestamps
-        draft.updatedAt = new Date().toISOString();
-        if (!draft.createdAt) {
-            draft.createdAt = draft.updatedAt;
-        }
-
-        await db.put(DRAFTS_STORE, draft);
-        return draft.id;
+        return await DraftDAO.saveDraft(draft);
     } catch (error) {
         console.error('Error saving draft:', error);
         throw error;
@@ -64,8 +21,7 @@ async function saveDraft(draft) {
  */
 async function getDraft(id) {
     try {
-        const db = await initDB();
-        return db.get(DRAFTS_STORE, id);
+        return await DraftDAO.getDraft(id);
     } catch (error) {
         console.error('Error getting draft:', error);
         throw error;
@@ -79,8 +35,7 @@ async function getDraft(id) {
  */
 async function getDraftsByForm(formId) {
     try {
-        const db = await initDB();
-        return db.getAllFromIndex(DRAFTS_STORE, 'formId', formId);
+        return await DraftDAO.getDraftsByForm(formId);
     } catch (error) {
         console.error('Error getting drafts by form:', error);
         throw error;
@@ -94,8 +49,7 @@ async function getDraftsByForm(formId) {
  */
 async function deleteDraft(id) {
     try {
-        const db = await initDB();
-        await db.delete(DRAFTS_STORE, id);
+        await DraftDAO.deleteDraft(id);
         return true;
     } catch (error) {
         console.error('Error deleting draft:', error);
@@ -110,34 +64,27 @@ async function deleteDraft(id) {
  */
 async function submitForm(formData) {
     try {
-        const db = await initDB();
-
         // Create submission record
-        const submission = {
-            id: uuidv4(),
+        const submissionId = await SubmissionDAO.saveSubmission({
             formId: formData.formId,
             projectId: formData.projectId,
             data: formData.data,
             status: 'pending',
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
             syncRetries: 0,
-            version: formData.version || 1
-        };
-
-        // Save to IndexedDB
-        await db.add(SUBMISSIONS_STORE, submission);
+            version: formData.version || 1,
+            trail: formData.trail || null
+        });
 
         // Try to submit immediately if online
         if (navigator.onLine) {
             try {
-                await submitToServer(submission.id);
+                await submitToServer(submissionId);
             } catch (error) {
                 console.warn('Initial submission failed, will retry later:', error);
             }
         }
 
-        return submission.id;
+        return submissionId;
     } catch (error) {
         console.error('Error submitting form:', error);
         throw error;
@@ -151,20 +98,15 @@ async function submitForm(formData) {
  */
 async function submitToServer(submissionId) {
     try {
-        const db = await initDB();
-        const submission = await db.get(SUBMISSIONS_STORE, submissionId);
+        // Update status to uploading
+        const submission = await SubmissionDAO.updateSubmission(submissionId, {
+            status: 'uploading'
+        });
 
         if (!submission) {
             throw new Error(`Submission with ID ${submissionId} not found`);
         }
 
-        // Update status to uploading
-        await db.put(SUBMISSIONS_STORE, {
-            ...submission,
-            status: 'uploading',
-            updatedAt: new Date().toISOString()
-        });
-
         // Submit to server
         const response = await fetch('/api/submissions', {
             method: 'POST',
@@ -177,7 +119,8 @@ async function submitToServer(submissionId) {
                 projectId: submission.projectId,
                 data: submission.data,
                 createdAt: submission.createdAt,
-                version: submission.version
+                version: submission.version,
+                trail: submission.trail || null
             })
         });
 
@@ -188,12 +131,10 @@ async function submitToServer(submissionId) {
         const result = await response.json();
 
         // Update status to completed
-        await db.put(SUBMISSIONS_STORE, {
-            ...submission,
+        await SubmissionDAO.updateSubmission(submissionId, {
             status: 'completed',
             serverResponse: result,
-            syncedAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
+            syncedAt: new Date().toISOString()
         });
 
         return result;
@@ -201,17 +142,10 @@ async function submitToServer(submissionId) {
         console.error(`Error submitting to server (ID: ${submissionId}):`, error);
 
         // Update status to error
-        const db = await initDB();
-        const submission = await db.get(SUBMISSIONS_STORE, submissionId);
-
-        if (submission) {
-            await db.put(SUBMISSIONS_STORE, {
-                ...submission,
-                status: 'error',
-                error: error.message,
-                updatedAt: new Date().toISOString()
-            });
-        }
+        await SubmissionDAO.updateSubmission(submissionId, {
+            status: 'error',
+            error: error.message
+        });
 
         throw error;
     }
@@ -224,8 +158,7 @@ async function submitToServer(submissionId) {
  */
 async function updateSubmissionRetry(submissionId) {
     try {
-        const db = await initDB();
-        const submission = await db.get(SUBMISSIONS_STORE, submissionId);
+        const submission = await SubmissionDAO.getSubmission(submissionId);
 
         if (!submission) {
             throw new Error(`Submission with ID ${submissionId} not found`);
@@ -236,11 +169,9 @@ async function updateSubmissionRetry(submissionId) {
         // If we've tried too many times, mark as failed
         const status = updatedRetries >= 5 ? 'failed' : 'pending';
 
-        await db.put(SUBMISSIONS_STORE, {
-            ...submission,
+        await SubmissionDAO.updateSubmission(submissionId, {
             status,
             syncRetries: updatedRetries,
-            updatedAt: new Date().toISOString(),
             // Add exponential backoff
             nextRetry: status === 'pending' ?
                 new Date(Date.now() + (Math.pow(2, updatedRetries) * 30000)).toISOString() :
@@ -260,10 +191,8 @@ async function updateSubmissionRetry(submissionId) {
  */
 async function getPendingSubmissions() {
     try {
-        const db = await initDB();
-
         // Get all pending submissions
-        const pending = await db.getAllFromIndex(SUBMISSIONS_STORE, 'status', 'pending');
+        const pending = await SubmissionDAO.getSubmissionsByStatus('pending');
 
         // Filter by retry time
         const now = new Date().toISOString();
@@ -283,8 +212,7 @@ async function getPendingSubmissions() {
  */
 async function getSubmission(id) {
     try {
-        const db = await initDB();
-        return db.get(SUBMISSIONS_STORE, id);
+        return await SubmissionDAO.getSubmission(id);
     } catch (error) {
         console.error('Error getting submission:', error);
         throw error;
@@ -298,8 +226,7 @@ async function getSubmission(id) {
  */
 async function getSubmissionsByForm(formId) {
     try {
-        const db = await initDB();
-        return db.getAllFromIndex(SUBMISSIONS_STORE, 'formId', formId);
+        return await SubmissionDAO.getSubmissionsByForm(formId);
     } catch (error) {
         console.error('Error getting submissions by form:', error);
         throw error;
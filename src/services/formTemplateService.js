@@ -1,21 +1,58 @@
-import { openDB } from 'idb';
-
-const DB_NAME = 'form-templates';
-const STORE_NAME = 'templates';
-const VERSION = 1;
-
-// Initialize IndexedDB
-async function initDB() {
-    return openDB(DB_NAME, VERSION, {
-        upgrade(db) {
-            if (!db.objectStoreNames.contains(STORE_NAME)) {
-                const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                store.createIndex('projectId', 'projectId', { unique: false });
-                store.createIndex('version', 'version', { unique: false });
-                store.createIndex('updatedAt', 'updatedAt', { unique: false });
-            }
+import { FormDAO } from '../db';
+import conditions from '../utils/conditions';
+import expressions from '../utils/expressions';
+import formats from '../utils/formats';
+import validator from '../utils/validation';
+
+// Branching target that ends the form after the current step
+const END_OF_FORM = '$end';
+
+// Parse a single field definition; repeat groups parse their sub-fields too
+function parseField(field, defaultId, region) {
+    // Ensure field has an ID
+    if (!field.id) {
+        field.id = defaultId;
+    }
+
+    // Process conditional display logic; conditions stay declarative so
+    // they survive cloning and storage and are evaluated by the shared engine
+    if (field.showIf) {
+        field.conditionalLogic = {
+            dependsOn: conditions.getDependencies(field.showIf),
+            condition: field.showIf
+        };
+    }
+
+    // Check calculated field expressions up front so a broken template
+    // is reported once rather than on every change
+    if (field.type === 'calculated') {
+        try {
+            field.calculation = {
+                expression: field.expression,
+                dependsOn: expressions.getDependencies(field.expression)
+            };
+        } catch (error) {
+            console.error(`Calculated field ${field.name} disabled:`, error);
         }
-    });
+    }
+
+    // Resolve the field's value format against the template's region
+    if (field.format) {
+        field.format = formats.parseFormat(field.format, region);
+    }
+
+    // Repeat groups hold a list of instances of their sub-fields
+    if (field.type === 'repeat') {
+        if (!Array.isArray(field.fields)) {
+            field.fields = [];
+        }
+
+        field.fields = field.fields.map((subField, subIndex) =>
+            parseField(subField, `${field.id}_${subIndex}`, region)
+        );
+    }
+
+    return field;
 }
 
 // Parse a form template to add additional computed properties
@@ -32,59 +69,33 @@ function parseTemplate(template) {
 
     // Process each step
     parsed.steps = parsed.steps.map((step, stepIndex) => {
+        // Ensure step has an ID so it can be tracked while other steps are shown or hidden
+        if (!step.id) {
+            step.id = `step_${stepIndex}`;
+        }
+
+        // Process conditional display logic for the whole step
+        if (step.showIf) {
+            step.conditionalLogic = {
+                dependsOn: conditions.getDependencies(step.showIf),
+                condition: step.showIf
+            };
+        }
+
+        // Normalize branching rules: next: [{ if: condition, goTo: stepId }]
+        if (step.next && !Array.isArray(step.next)) {
+            step.next = [step.next];
+        }
+
         // Normalize fields
         if (!step.fields || !Array.isArray(step.fields)) {
             step.fields = [];
         }
 
         // Process each field
-        step.fields = step.fields.map((field, fieldIndex) => {
-            // Ensure field has an ID
-            if (!field.id) {
-                field.id = `field_${stepIndex}_${fieldIndex}`;
-            }
-
-            // Process conditional display logic
-            if (field.showIf) {
-                const { field: conditionField, value: conditionValue, operator = '==' } = field.showIf;
-
-                field.conditionalLogic = {
-                    dependsOn: conditionField,
-                    condition: (formData) => {
-                        const fieldValue = formData[conditionField];
-
-                        switch (operator) {
-                            case '==':
-                                return fieldValue == conditionValue;
-                            case '!=':
-                                return fieldValue != conditionValue;
-                            case '>':
-                                return fieldValue > conditionValue;
-                            case '<':
-                                return fieldValue < conditionValue;
-                            case '>=':
-                                return fieldValue >= conditionValue;
-                            case '<=':
-                                return fieldValue <= conditionValue;
-                            case 'includes':
-                                return Array.isArray(fieldValue) && fieldValue.includes(conditionValue);
-                            case 'empty':
-                                return !fieldValue ||
-                                    (typeof fieldValue === 'string' && fieldValue.trim() === '') ||
-                                    (Array.isArray(fieldValue) && fieldValue.length === 0);
-                            case 'notEmpty':
-                                return fieldValue &&
-                                    (typeof fieldValue !== 'string' || fieldValue.trim() !== '') &&
-                                    (!Array.isArray(fieldValue) || fieldValue.length > 0);
-                            default:
-                                return true;
-                        }
-                    }
-                };
-            }
-
-            return field;
-        });
+        step.fields = step.fields.map((field, fieldIndex) =>
+            parseField(field, `field_${stepIndex}_${fieldIndex}`, parsed.region)
+        );
 
         return step;
     });
@@ -99,8 +110,7 @@ function parseTemplate(template) {
 // Fetch a form template from IndexedDB
 async function getFormTemplate(id) {
     try {
-        const db = await initDB();
-        const template = await db.get(STORE_NAME, id);
+        const template = await FormDAO.getForm(id);
 
         if (!template) {
             console.warn(`Template with ID ${id} not found in local storage`);
@@ -126,8 +136,7 @@ async function fetchFormTemplate(id, apiUrl) {
         const template = await response.json();
 
         // Save to IndexedDB
-        const db = await initDB();
-        await db.put(STORE_NAME, {
+        await FormDAO.saveForm({
             ...template,
             cachedAt: new Date().toISOString()
         });
@@ -178,8 +187,7 @@ async function getOrFetchFormTemplate(id, apiUrl) {
 // Get all templates by project ID
 async function getTemplatesByProject(projectId) {
     try {
-        const db = await initDB();
-        const templates = await db.getAllFromIndex(STORE_NAME, 'projectId', projectId);
+        const templates = await FormDAO.getFormsByProject(projectId);
         return templates.map(parseTemplate);
     } catch (error) {
         console.error('Error fetching templates by project:', error);
@@ -194,16 +202,8 @@ async function saveFormTemplate(template) {
             throw new Error('Invalid template: missing ID');
         }
 
-        const db = await initDB();
-
-        // Add metadata if not present
-        const templateToSave = {
-            ...template,
-            updatedAt: new Date().toISOString()
-        };
-
-        await db.put(STORE_NAME, templateToSave);
-        return parseTemplate(templateToSave);
+        await FormDAO.saveForm(template);
+        return parseTemplate(await FormDAO.getForm(template.id));
     } catch (error) {
         console.error('Error saving form template:', error);
         throw error;
@@ -213,8 +213,7 @@ async function saveFormTemplate(template) {
 // Delete a form template
 async function deleteFormTemplate(id) {
     try {
-        const db = await initDB();
-        await db.delete(STORE_NAME, id);
+        await FormDAO.deleteForm(id);
         return true;
     } catch (error) {
         console.error('Error deleting form template:', error);
@@ -268,13 +267,15 @@ function getDefaultTemplate(projectId) {
 function shouldDisplayField(field, formData) {
     if (!field.conditionalLogic) return true;
 
-    const { dependsOn, condition } = field.conditionalLogic;
+    // Fields whose dependencies haven't been answered yet are shown
+    return conditions.isVisible(field.conditionalLogic.condition, formData);
+}
 
-    // If the field it depends on doesn't exist in the form data, show the field
-    if (!formData.hasOwnProperty(dependsOn)) return true;
+// Check if a step should be displayed based on conditional logic
+function shouldDisplayStep(step, formData) {
+    if (!step.conditionalLogic) return true;
 
-    // Apply the condition
-    return condition(formData);
+    return conditions.isVisible(step.conditionalLogic.condition, formData);
 }
 
 // Process a form template, applying conditional logic
@@ -284,16 +285,203 @@ function processTemplate(template, formData = {}) {
     // Deep clone to avoid modifying the original
     const processed = JSON.parse(JSON.stringify(template));
 
-    // Process each step
-    processed.steps = processed.steps.map(step => {
-        // Filter fields based on conditional logic
-        step.fields = step.fields.filter(field => shouldDisplayField(field, formData));
-        return step;
-    });
+    // Remove hidden steps, then filter fields within the remaining ones
+    processed.steps = processed.steps
+        .filter(step => shouldDisplayStep(step, formData))
+        .map(step => {
+            step.fields = step.fields.filter(field => shouldDisplayField(field, formData));
+            return step;
+        });
+
+    processed.totalSteps = processed.steps.length;
 
     return processed;
 }
 
+// Evaluate a list of calculated fields into `data` (mutated in place). Values
+// are computed with `scope`, which lets repeat instances see top-level answers.
+function calculateFields(fields, data, scope = data) {
+    let changed = false;
+
+    fields.forEach(field => {
+        let value;
+
+        try {
+            value = expressions.evaluate(field.calculation.expression, scope);
+        } catch (error) {
+            console.warn(`Error calculating field ${field.name}:`, error);
+            value = null;
+        }
+
+        if (typeof value === 'number' && field.precision !== undefined) {
+            const factor = Math.pow(10, field.precision);
+            value = Math.round(value * factor) / factor;
+        }
+
+        // Missing results are removed rather than stored as null
+        if (value === null || value === undefined) {
+            if (Object.prototype.hasOwnProperty.call(data, field.name)) {
+                delete data[field.name];
+                changed = true;
+            }
+        } else if (data[field.name] !== value) {
+            data[field.name] = value;
+            changed = true;
+        }
+    });
+
+    return changed;
+}
+
+// Evaluate calculated fields against the form data and return the updated data
+function applyCalculations(template, formData = {}) {
+    if (!template) return formData;
+
+    const fields = template.steps.flatMap(step => step.fields);
+    const calculatedFields = fields.filter(field => field.calculation);
+    const repeatFields = fields.filter(field =>
+        field.type === 'repeat' && field.fields.some(subField => subField.calculation)
+    );
+
+    if (calculatedFields.length === 0 && repeatFields.length === 0) return formData;
+
+    const data = { ...formData };
+
+    // Calculated values inside repeat instances, e.g. a line total per product
+    repeatFields.forEach(field => {
+        if (!Array.isArray(data[field.name])) return;
+
+        const subCalculations = field.fields.filter(subField => subField.calculation);
+        data[field.name] = data[field.name].map(item => {
+            const instance = { ...item };
+            calculateFields(subCalculations, instance, { ...data, ...instance });
+            return instance;
+        });
+    });
+
+    // Calculated fields may refer to each other; repeat until the values settle
+    for (let pass = 0; pass < calculatedFields.length; pass++) {
+        if (!calculateFields(calculatedFields, data)) break;
+    }
+
+    return data;
+}
+
+// Resolve the step that follows `stepId`. The first branching rule whose
+// condition holds decides where to go; otherwise the next visible step in
+// template order is used. Returns null when the form ends after this step.
+function getNextStepId(template, stepId, formData = {}) {
+    if (!template) return null;
+
+    const { steps } = template;
+    const index = steps.findIndex(step => step.id === stepId);
+    let fromIndex = index + 1;
+
+    const rule = index !== -1 && (steps[index].next || [])
+        .find(branch => conditions.evaluate(branch.if, formData));
+
+    if (rule) {
+        if (rule.goTo === END_OF_FORM) return null;
+
+        const targetIndex = steps.findIndex(step => step.id === rule.goTo);
+        if (targetIndex === -1) {
+            console.warn(`Branch target step ${rule.goTo} not found, continuing in order`);
+        } else {
+            fromIndex = targetIndex;
+        }
+    }
+
+    // A hidden target falls through to the next visible step after it
+    const nextStep = steps.slice(fromIndex).find(step => shouldDisplayStep(step, formData));
+    return nextStep ? nextStep.id : null;
+}
+
+// Remove answers that belong to steps hidden by conditional logic or, when
+// the path taken through the form is known, to steps that were branched past
+function pruneSkippedData(template, formData = {}, path = null) {
+    if (!template) return formData;
+
+    const visibleSteps = template.steps.filter(step =>
+        shouldDisplayStep(step, formData) && (!path || path.includes(step.id))
+    );
+    const skippedSteps = template.steps.filter(step => !visibleSteps.includes(step));
+
+    // A field name may be reused in a visible step; keep those answers
+    const visibleNames = new Set(
+        visibleSteps.flatMap(step => step.fields.map(field => field.name))
+    );
+
+    const pruned = { ...formData };
+
+    skippedSteps.forEach(step => {
+        step.fields.forEach(field => {
+            if (!visibleNames.has(field.name)) {
+                delete pruned[field.name];
+            }
+        });
+    });
+
+    return pruned;
+}
+
+// Copy of a form's answers that is safe to keep in a draft: Aadhaar numbers
+// are stored masked, and a complete number that can't be masked (it fails the
+// checksum) is left out rather than stored in full
+function maskDraftData(template, formData = {}) {
+    if (!template) return formData;
+
+    const mask = (fields = [], values = {}) => {
+        const masked = { ...values };
+
+        fields.forEach(field => {
+            const value = masked[field.name];
+
+            if (field.type === 'repeat' && Array.isArray(value)) {
+                masked[field.name] = value.map(item => mask(field.fields, item));
+            } else if (field.format && field.format.type === 'aadhaar' && value) {
+                const normalized = formats.normalize('aadhaar', value);
+
+                if (normalized) {
+                    masked[field.name] = normalized;
+                } else if (String(value).replace(/\D/g, '').length >= 12) {
+                    delete masked[field.name];
+                }
+            }
+        });
+
+        return masked;
+    };
+
+    return (template.steps || []).reduce((masked, step) => mask(step.fields, masked), formData);
+}
+
+/**
+ * Names of the lookup lists a template's `lookup` rules check against,
+ * including those inside repeat groups
+ * @param {Object} template - The form template
+ * @returns {string[]} Unique lookup list names
+ */
+function getLookupNames(template) {
+    const names = new Set();
+
+    const collect = (fields = []) => {
+        fields.forEach(field => {
+            validator.parseValidation(field.validation).forEach(rule => {
+                if (rule && rule.name === 'lookup' && rule.params && rule.params[0]) {
+                    names.add(rule.params[0]);
+                }
+            });
+
+            if (field.type === 'repeat') {
+                collect(field.fields);
+            }
+        });
+    };
+
+    (template.steps || []).forEach(step => collect(step.fields));
+    return Array.from(names);
+}
+
 export default {
     getFormTemplate,
     fetchFormTemplate,
@@ -303,5 +491,11 @@ export default {
     deleteFormTemplate,
     getDefaultTemplate,
     processTemplate,
-    shouldDisplayField
+    applyCalculations,
+    getNextStepId,
+    pruneSkippedData,
+    maskDraftData,
+    shouldDisplayField,
+    shouldDisplayStep,
+    getLookupNames
 };
\ No newline at end of file
@@ -0,0 +1,180 @@
+import { PlaceDAO } from '../db';
+import apiService from '../api/ApiService';
+import geofence from '../utils/geofence';
+
+// Reverse geocoding for filling an address field from a location. A
+// geolocation field links to an address field with
+//   addressField: 'shopAddress', geocoder: 'auto' | 'server' | 'offline'
+// 'auto' (the default) asks the server when online and falls back to the
+// pincode/locality dataset cached in IndexedDB, also when the server fails or
+// times out. The dataset is downloaded during sync (see syncService). Other
+// geocoders can be added with registerGeocoder.
+
+const ADDRESS_PARTS = ['street', 'city', 'state', 'zip', 'country'];
+
+// An offline match further away than this is more likely wrong than useful
+const MAX_PLACE_DISTANCE = 10000; // metres
+
+// The dataset is read once and kept in memory; it's a few thousand rows
+let placesPromise = null;
+
+async function loadPlaces() {
+    if (!placesPromise) {
+        placesPromise = PlaceDAO.getAllPlaces();
+        placesPromise.catch(() => {
+            placesPromise = null;
+        });
+    }
+
+    return placesPromise;
+}
+
+// Keep only the known address parts that have a value
+function cleanAddress(address) {
+    return ADDRESS_PARTS.reduce((result, part) => {
+        const value = address && address[part];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+            result[part] = String(value).trim();
+        }
+        return result;
+    }, {});
+}
+
+const geocoders = {
+    async server({ latitude, longitude }, { signal } = {}) {
+        return cleanAddress(await apiService.reverseGeocode(latitude, longitude, { signal }));
+    },
+
+    // Nearest locality in the cached dataset. Gives the locality, city,
+    // state and pincode but never a street.
+    async offline(point) {
+        const places = await loadPlaces();
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        places.forEach(place => {
+            const distance = geofence.distanceMeters(point, place);
+            if (distance < nearestDistance) {
+                nearest = place;
+                nearestDistance = distance;
+            }
+        });
+
+        if (!nearest || nearestDistance > MAX_PLACE_DISTANCE) return null;
+
+        return cleanAddress({
+            city: nearest.city || nearest.locality,
+            state: nearest.state,
+            zip: nearest.pincode,
+            country: nearest.country
+        });
+    }
+};
+
+/**
+ * Add or replace a geocoder
+ * @param {string} name - Name used in templates' `geocoder`
+ * @param {Function} geocoder - (point, { signal }) => Promise<Object|null> with address parts
+ */
+function registerGeocoder(name, geocoder) {
+    geocoders[name] = geocoder;
+}
+
+/**
+ * Find the address at a point
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} options - Options
+ * @param {string} options.geocoder - Geocoder name, or 'auto'
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<Object|null>} { address, source } - address holds the parts
+ *   found (street, city, state, zip, country); null when nothing was found
+ */
+async function reverseGeocode(point, { geocoder = 'auto', signal } = {}) {
+    const names = geocoder === 'auto'
+        ? (navigator.onLine ? ['server', 'offline'] : ['offline'])
+        : [geocoder];
+
+    for (const name of names) {
+        if (!geocoders[name]) {
+            console.warn(`Unknown geocoder: ${name}`);
+            continue;
+        }
+
+        try {
+            const address = await geocoders[name](point, { signal });
+
+            if (address && Object.keys(address).length > 0) {
+                return { address, source: name };
+            }
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            console.warn(`Reverse geocoding with ${name} failed:`, error);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Download the pincode/locality dataset for offline use
+ * @returns {Promise<number>} Number of places stored
+ */
+async function refreshPlaces() {
+    const { places = [] } = await apiService.getPlaceDataset();
+    const count = await PlaceDAO.savePlaces(places);
+
+    placesPromise = null;
+    return count;
+}
+
+/**
+ * Merge a geocoding result into an address value. Parts the geocoder found
+ * replace the current ones and are listed in `autoFilled` until edited;
+ * parts it didn't find are cleared, since they described another place
+ * (the offline geocoder never finds a street). `geocoded` records where
+ * they came from.
+ * @param {Object} current - The address field's value
+ * @param {Object} result - From reverseGeocode
+ * @param {Object} point - The location that was looked up
+ * @returns {Object} The new address value
+ */
+function applyToAddress(current, result, point) {
+    const filled = Object.keys(result.address);
+    const rest = { ...(current && typeof current === 'object' ? current : {}) };
+
+    ADDRESS_PARTS.forEach(part => {
+        delete rest[part];
+    });
+
+    return {
+        ...rest,
+        ...result.address,
+        autoFilled: filled,
+        geocoded: {
+            source: result.source,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            at: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * One-line description of an address
+ * @param {Object} address - Address parts
+ * @returns {string} e.g. "MG Road, Bengaluru, Karnataka 560001"
+ */
+function formatAddress(address) {
+    const { street, city, state, zip } = address || {};
+    return [street, city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+}
+
+export default {
+    ADDRESS_PARTS,
+    registerGeocoder,
+    reverseGeocode,
+    refreshPlaces,
+    applyToAddress,
+    formatAddress
+};
@@ -0,0 +1,116 @@
+import { LookupDAO } from '../db';
+import apiService from '../api/ApiService';
+
+// Cached lookup lists older than this are refreshed in the background
+const LOOKUP_MAX_AGE = 24 * 60 * 60 * 1000; // 24 hours
+
+// Longest wait for an online check before using the cached list; Next and
+// Submit wait on it
+const VALIDATE_TIMEOUT = 8000;
+
+// Lookup values are compared case-insensitively and ignoring surrounding spaces
+function normalize(value) {
+    return String(value).trim().toUpperCase();
+}
+
+/**
+ * Download a lookup list from the server and cache it for offline checks
+ * @param {string} name - The lookup list name (e.g. 'stores')
+ * @returns {Promise<Array>} The list values
+ */
+async function refreshLookup(name) {
+    try {
+        const result = await apiService.request(`lookups/${name}`);
+        const values = (Array.isArray(result) ? result : result.values || []).map(normalize);
+
+        await LookupDAO.saveLookup(name, values);
+        return values;
+    } catch (error) {
+        console.error(`Error refreshing lookup ${name}:`, error);
+        throw error;
+    }
+}
+
+/**
+ * Check a value against the cached copy of a lookup list
+ * @param {string} name - The lookup list name
+ * @param {*} value - The value to check
+ * @returns {Promise<boolean|null>} Whether the value exists, or null if no cached list is available
+ */
+async function checkCachedLookup(name, value) {
+    const lookup = await LookupDAO.getLookup(name);
+
+    if (!lookup) {
+        return null;
+    }
+
+    // Keep the cache fresh for the next time we're offline
+    if (navigator.onLine && Date.now() - new Date(lookup.updatedAt).getTime() > LOOKUP_MAX_AGE) {
+        refreshLookup(name).catch(() => {
+            // Keep using the stale copy
+        });
+    }
+
+    return lookup.values.includes(normalize(value));
+}
+
+/**
+ * Check whether a value exists in a server-side lookup list. Online checks go
+ * to the server; offline (or when the server can't be reached) the cached
+ * list in IndexedDB is used instead.
+ * @param {string} name - The lookup list name
+ * @param {*} value - The value to check
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal to cancel the request
+ * @returns {Promise<boolean|null>} Whether the value exists, or null if it can't be verified
+ */
+async function isValidValue(name, value, { signal } = {}) {
+    if (navigator.onLine) {
+        try {
+            const result = await apiService.request(`lookups/${name}/validate`, {
+                method: 'POST',
+                body: { value },
+                signal,
+                timeout: VALIDATE_TIMEOUT,
+                retries: 0
+            });
+
+            return !!result.valid;
+        } catch (error) {
+            // A newer value superseded this check (timeouts fall back below)
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
+            console.warn(`Lookup ${name} check failed, using cached list:`, error);
+        }
+    }
+
+    return checkCachedLookup(name, value);
+}
+
+/**
+ * Download the lookup lists a form uses that aren't cached yet (or are
+ * stale), so they can be checked offline later. Call while online.
+ * @param {string[]} names - Lookup list names
+ * @returns {Promise<void>} Resolves when every list has been tried
+ */
+async function prefetchLookups(names) {
+    await Promise.all(names.map(async name => {
+        const lookup = await LookupDAO.getLookup(name);
+
+        if (lookup && Date.now() - new Date(lookup.updatedAt).getTime() <= LOOKUP_MAX_AGE) {
+            return;
+        }
+
+        await refreshLookup(name).catch(() => {
+            // Logged by refreshLookup; the online check still works
+        });
+    }));
+}
+
+export default {
+    isValidValue,
+    refreshLookup,
+    prefetchLookups
+};
@@ -1,13 +1,39 @@
-import { MediaDAO } from '../db';
+import { MediaDAO, MediaChunkDAO } from '../db';
+import apiService from '../api/ApiService';
+import uploadPolicyService from './uploadPolicyService';
+import { computeChecksum, getNetworkInfo } from '../utils/helper';
+import imageCompression from '../utils/imageCompression';
 import { v4 as uuidv4 } from 'uuid';
 
+// Limits for the steps of video compression, in milliseconds
+const VIDEO_LOAD_TIMEOUT = 15000;
+const VIDEO_STALL_TIMEOUT = 10000;
+const AUDIO_RESUME_TIMEOUT = 3000;
+
+// Settle like `promise`, or reject with `message` once `ms` have passed
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 class MediaUploadService {
     constructor() {
-        this.chunkSize = 1024 * 1024; // 1MB chunks
-        this.maxRetries = 3;
+        this.chunkSize = 1024 * 1024; // Stored pieces, and upload chunks when the network is unknown
+        this.minChunkSize = 256 * 1024;
+        this.maxChunkSize = 4 * 1024 * 1024;
+        this.maxConcurrency = 6;
+        this.throughput = null; // Observed upload speed in bytes/sec, smoothed
+        this.maxRetries = 3; // Attempts per chunk
+        this.retryDelay = 1000; // First wait before a chunk is retried, doubled each time
         this.uploadQueue = [];
         this.isUploading = false;
         this.listeners = [];
+        this.initialized = false;
+        this.savingMediaIds = new Set(); // Chunks written, record not yet
         this.compressionOptions = {
             image: {
                 maxWidth: 1600,
@@ -25,16 +51,68 @@ class MediaUploadService {
     /**
      * Initialize the media service
      */
-    init() {
+    async init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
         // Listen for online events to resume uploads
         window.addEventListener('online', this.handleOnline.bind(this));
 
+        // Uploads held back by the bandwidth policy start once it allows them
+        uploadPolicyService.addListener(() => this.processUploadQueue());
+
+        // Pick up uploads queued before the last reload or crash
+        try {
+            await this.restoreUploadQueue();
+            await this.collectGarbage();
+        } catch (error) {
+            console.error('Error restoring media upload queue:', error);
+        }
+
         // Process queue if online at startup
         if (navigator.onLine) {
             this.processUploadQueue();
         }
     }
 
+    /**
+     * Rebuild the upload queue from media records that haven't finished uploading
+     */
+    async restoreUploadQueue() {
+        const mediaList = await MediaDAO.getPendingMedia();
+
+        mediaList.forEach(media => {
+            if (!this.uploadQueue.includes(media.id)) {
+                this.uploadQueue.push(media.id);
+            }
+        });
+    }
+
+    /**
+     * Delete stored chunks that are no longer needed: those of completed
+     * uploads and those left behind without a media record
+     * @returns {Promise<number>} Number of media whose chunks were removed
+     */
+    async collectGarbage() {
+        const mediaList = await MediaDAO.getAllMedia();
+        const mediaById = new Map(mediaList.map(media => [media.id, media]));
+        const chunkedIds = await MediaChunkDAO.getMediaIds();
+        let removed = 0;
+
+        for (const mediaId of chunkedIds) {
+            const media = mediaById.get(mediaId);
+
+            if (this.savingMediaIds.has(mediaId)) continue;
+
+            if (!media || media.status === 'completed') {
+                await MediaChunkDAO.deleteChunks(mediaId);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
     /**
      * Handle online event
      */
@@ -43,77 +121,284 @@ class MediaUploadService {
     }
 
     /**
-     * Compress image file to reduce size
+     * Pick a chunk size and number of parallel chunk uploads for the current
+     * network. Observed upload throughput wins over the connection's reported
+     * downlink; with neither, the defaults are used.
+     * @returns {Object} { chunkSize, concurrency, bytesPerSecond }
+     */
+    getNetworkProfile() {
+        const info = getNetworkInfo();
+        let bytesPerSecond = this.throughput;
+
+        if (!bytesPerSecond && info.downlink) {
+            bytesPerSecond = (info.downlink * 1024 * 1024) / 8;
+        }
+
+        if (!bytesPerSecond) {
+            const slow = ['slow-2g', '2g'].includes(info.effectiveType);
+            return {
+                chunkSize: slow ? this.minChunkSize : this.chunkSize,
+                concurrency: slow ? 1 : 2,
+                bytesPerSecond: null
+            };
+        }
+
+        // Aim for chunks that take about two seconds, in power-of-two sizes
+        const target = Math.pow(2, Math.round(Math.log2(Math.max(1, bytesPerSecond * 2))));
+        let chunkSize = Math.min(this.maxChunkSize, Math.max(this.minChunkSize, target));
+        let concurrency = bytesPerSecond < 128 * 1024 ? 1 : bytesPerSecond < 640 * 1024 ? 2 : bytesPerSecond < 2.5 * 1024 * 1024 ? 3 : 4;
+
+        if (info.saveData) {
+            chunkSize = Math.max(this.minChunkSize, chunkSize / 2);
+            concurrency = 1;
+        }
+
+        return { chunkSize, concurrency, bytesPerSecond };
+    }
+
+    /**
+     * Fold a measured upload speed into the smoothed throughput
+     * @param {number} bytesPerSecond - Measured speed
+     */
+    recordThroughput(bytesPerSecond) {
+        if (!bytesPerSecond || !isFinite(bytesPerSecond)) return;
+        this.throughput = this.throughput ? this.throughput * 0.7 + bytesPerSecond * 0.3 : bytesPerSecond;
+    }
+
+    /**
+     * Compress an image off the main thread, turned upright and as WebP where supported
      * @param {File|Blob} file - The image file to compress
      * @returns {Promise<Blob>} Compressed image file
      */
     async compressImage(file) {
-        const { maxWidth, maxHeight, quality } = this.compressionOptions.image;
-
-        return new Promise((resolve, reject) => {
-            // Create file reader
-            const reader = new FileReader();
-            reader.readAsDataURL(file);
-
-            reader.onload = (event) => {
-                // Create image element
-                const img = new Image();
-                img.src = event.target.result;
-
-                img.onload = () => {
-                    // Determine new dimensions
-                    let width = img.width;
-                    let height = img.height;
-
-                    if (width > maxWidth) {
-                        height = Math.round(height * (maxWidth / width));
-                        width = maxWidth;
-                    }
+        return imageCompression.compressImage(file, this.compressionOptions.image);
+    }
 
-                    if (height > maxHeight) {
-                        width = Math.round(width * (maxHeight / height));
-                        height = maxHeight;
-                    }
+    /**
+     * Re-encode a video at a lower resolution and bitrate by playing it into
+     * a canvas and recording that with MediaRecorder. This runs in real time,
+     * so it takes as long as the video. With a size budget the bitrate is
+     * lowered to fit it. The original is returned when the browser can't
+     * re-encode, playback fails or stalls, or the result isn't smaller.
+     * @param {File|Blob} file - The video file
+     * @param {Object} options - Overrides for compressionOptions.video, plus:
+     * @param {number} options.maxSizeMB - Size budget for the result
+     * @param {Function} options.onProgress - Called with the fraction done (0-1)
+     * @returns {Promise<Blob>} Compressed video
+     */
+    async compressVideo(file, options = {}) {
+        const { maxWidth, maxHeight, bitrate } = { ...this.compressionOptions.video, ...options };
+        const { maxSizeMB, onProgress } = options;
+        const audioBitsPerSecond = 64000;
+
+        if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+            return file;
+        }
+
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = url;
+
+        let stream = null;
+        let audioContext = null;
+        let recorder = null;
+        let watchdog = null;
+
+        try {
+            await withTimeout(new Promise((resolve, reject) => {
+                video.onloadedmetadata = resolve;
+                video.onerror = () => reject(new Error('Failed to load video for compression'));
+            }), VIDEO_LOAD_TIMEOUT, 'Timed out loading video for compression');
 
-                    // Create canvas for compression
-                    const canvas = document.createElement('canvas');
-                    canvas.width = width;
-                    canvas.height = height;
-
-                    // Draw image to canvas
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, width, height);
-
-                    // Convert to blob
-                    canvas.toBlob(
-                        (blob) => resolve(blob),
-                        file.type,
-                        quality
-                    );
-                };
-
-                img.onerror = () => {
-                    reject(new Error('Failed to load image for compression'));
-                };
+            const duration = await this.getVideoDuration(video);
+
+            if (!duration) return file;
+
+            // Scale down to fit, keeping even dimensions for the encoder
+            const scale = Math.min(1, maxWidth / video.videoWidth, maxHeight / video.videoHeight);
+            const width = Math.round((video.videoWidth * scale) / 2) * 2;
+            const height = Math.round((video.videoHeight * scale) / 2) * 2;
+
+            let videoBitsPerSecond = bitrate;
+            if (maxSizeMB) {
+                const budget = (maxSizeMB * 1024 * 1024 * 8 * 0.95) / duration - audioBitsPerSecond;
+                videoBitsPerSecond = Math.max(100000, Math.min(bitrate, Math.floor(budget)));
+            }
+
+            // Already small enough
+            if (scale === 1 && (file.size * 8) / duration <= videoBitsPerSecond + audioBitsPerSecond) {
+                return file;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            stream = canvas.captureStream(30);
+
+            // Route the soundtrack into the recording instead of the speakers.
+            // A context created outside a user gesture starts suspended and
+            // would record silence.
+            try {
+                audioContext = new AudioContext();
+                const destination = audioContext.createMediaStreamDestination();
+                audioContext.createMediaElementSource(video).connect(destination);
+                destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+
+                if (audioContext.state === 'suspended') {
+                    await withTimeout(audioContext.resume(), AUDIO_RESUME_TIMEOUT, 'Audio context did not start');
+                }
+            } catch (error) {
+                console.warn('Video audio could not be captured for compression:', error);
+                return file;
+            }
+
+            const mimeType = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4']
+                .find(type => MediaRecorder.isTypeSupported(type));
+            recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond, audioBitsPerSecond });
+            const chunks = [];
+
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) chunks.push(event.data);
             };
 
-            reader.onerror = () => {
-                reject(new Error('Failed to read file for compression'));
+            const stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+
+            // Playback ends, fails, or stops moving (a stalled decoder, or the
+            // browser pausing the video), whichever comes first
+            const ended = new Promise((resolve, reject) => {
+                let lastTime = -1;
+                let lastMoved = Date.now();
+
+                video.onended = resolve;
+                video.onerror = () => reject(new Error('Video playback failed during compression'));
+
+                watchdog = setInterval(() => {
+                    if (video.currentTime !== lastTime) {
+                        lastTime = video.currentTime;
+                        lastMoved = Date.now();
+                    } else if (Date.now() - lastMoved > VIDEO_STALL_TIMEOUT) {
+                        reject(new Error('Video playback stalled during compression'));
+                    }
+                }, 1000);
+            });
+
+            // requestVideoFrameCallback keeps drawing in background tabs, unlike requestAnimationFrame
+            const scheduleFrame = video.requestVideoFrameCallback
+                ? callback => video.requestVideoFrameCallback(callback)
+                : callback => setTimeout(callback, 1000 / 30);
+
+            const drawFrame = () => {
+                if (video.ended || recorder.state === 'inactive') return;
+                ctx.drawImage(video, 0, 0, width, height);
+                if (onProgress) onProgress(Math.min(1, video.currentTime / duration));
+                scheduleFrame(drawFrame);
             };
-        });
+
+            recorder.start(1000);
+
+            try {
+                await video.play();
+            } catch (error) {
+                // Autoplay blocked; keep the original rather than lose the sound
+                console.warn('Video playback for compression was blocked:', error);
+                return file;
+            }
+
+            drawFrame();
+            await withTimeout(ended, duration * 2000 + VIDEO_LOAD_TIMEOUT, 'Timed out compressing video');
+            recorder.stop();
+            await withTimeout(stopped, VIDEO_LOAD_TIMEOUT, 'Timed out finishing the compressed video');
+
+            if (onProgress) onProgress(1);
+
+            const compressed = new Blob(chunks, { type: (recorder.mimeType || 'video/webm').split(';')[0] });
+            return compressed.size > 0 && compressed.size < file.size ? compressed : file;
+        } catch (error) {
+            console.warn('Video compression failed, using original:', error);
+            return file;
+        } finally {
+            clearInterval(watchdog);
+            video.onended = null;
+            video.onerror = null;
+            video.pause();
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            if (audioContext) audioContext.close();
+            video.removeAttribute('src');
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Duration of a loaded video. Recordings made with MediaRecorder often
+     * report Infinity until the browser has scanned to the end.
+     * @param {HTMLVideoElement} video - Video with metadata loaded
+     * @returns {Promise<number|null>} Duration in seconds, or null when it
+     * can't be found
+     */
+    async getVideoDuration(video) {
+        if (isFinite(video.duration)) return video.duration;
+
+        try {
+            await withTimeout(new Promise((resolve, reject) => {
+                video.ontimeupdate = resolve;
+                video.onerror = () => reject(new Error('Failed to seek video'));
+                video.currentTime = Number.MAX_SAFE_INTEGER;
+            }), VIDEO_LOAD_TIMEOUT, 'Timed out reading video duration');
+        } catch (error) {
+            console.warn('Could not read video duration:', error);
+            return null;
+        } finally {
+            video.ontimeupdate = null;
+            video.onerror = null;
+        }
+
+        video.currentTime = 0;
+
+        return isFinite(video.duration) ? video.duration : null;
+    }
+
+    /**
+     * Name for a stored file, with the extension of the type it was saved as
+     * @param {string} name - Original file name, if any
+     * @param {string} fieldName - Form field name
+     * @param {string} type - MIME type as stored
+     * @param {string} originalType - MIME type before compression
+     * @returns {string} File name
+     */
+    getFilename(name, fieldName, type, originalType) {
+        const extension = type.split('/')[1];
+
+        if (!name) {
+            return `${fieldName}_${Date.now()}.${extension}`;
+        }
+
+        // A photo re-encoded as WebP shouldn't keep its .jpg name
+        if (type !== originalType) {
+            return `${name.replace(/\.[^.]+$/, '')}.${extension}`;
+        }
+
+        return name;
     }
 
     /**
      * Save media file to storage and queue for upload
-     * @param {Object} mediaData - Media data object
+     * @param {Object} mediaData - { fieldName, type, data, submissionId, metadata }
      * @returns {Promise<Object>} Media reference
      */
     async saveMedia(mediaData) {
-        try {
-            const { fieldName, type, data, formDataId } = mediaData;
+        // Generate unique ID
+        const mediaId = uuidv4();
+        this.savingMediaIds.add(mediaId);
 
-            // Generate unique ID
-            const mediaId = uuidv4();
+        try {
+            const { fieldName, data, submissionId = null, metadata = null } = mediaData;
+            let { type } = mediaData;
 
             // Compress if it's an image
             let processedData = data;
@@ -123,24 +408,28 @@ class MediaUploadService {
                 try {
                     processedData = await this.compressImage(data);
                     size = processedData.size;
+                    type = processedData.type || type; // May now be WebP or JPEG
                 } catch (error) {
                     console.warn('Image compression failed, using original:', error);
                 }
             }
 
-            // Split into chunks for large files
+            // Stored in fixed-size pieces; upload chunks are sized for the
+            // network when the upload starts
+            const { chunkSize } = this;
             const chunks = [];
             let offset = 0;
 
             while (offset < size) {
-                const chunk = processedData.slice(offset, offset + this.chunkSize);
+                const chunk = processedData.slice(offset, offset + chunkSize);
                 chunks.push({
                     id: `${mediaId}_${chunks.length}`,
                     index: chunks.length,
                     data: chunk,
-                    size: chunk.size
+                    size: chunk.size,
+                    checksum: await computeChecksum(chunk)
                 });
-                offset += this.chunkSize;
+                offset += chunkSize;
             }
 
             // Store media metadata
@@ -149,26 +438,30 @@ class MediaUploadService {
                 fieldName,
                 type,
                 size,
-                formDataId,
-                filename: data.name || `${fieldName}_${Date.now()}.${type.split('/')[1]}`,
+                submissionId,
+                metadata, // e.g. when and where a photo was taken
+                filename: this.getFilename(data.name, fieldName, type, mediaData.type),
                 chunks: chunks.length,
+                chunkSize,
+                hash: await computeChecksum(processedData),
+                uploadId: null,
                 uploaded: 0,
                 status: 'pending',
                 createdAt: new Date().toISOString(),
                 uploadedAt: null,
                 serverUrl: null,
-                retryCount: 0,
                 lastError: null
             };
 
-            // Save media record
-            await MediaDAO.saveMedia(mediaRecord);
-
-            // Save chunks
+            // Save chunks before the record so a record always has its data;
+            // chunks orphaned by a crash in between are garbage collected
             for (const chunk of chunks) {
                 await this.saveChunk(mediaId, chunk);
             }
 
+            // Save media record
+            await MediaDAO.saveMedia(mediaRecord);
+
             // Add to upload queue
             this.addToUploadQueue(mediaId);
 
@@ -183,6 +476,8 @@ class MediaUploadService {
         } catch (error) {
             console.error('Error saving media:', error);
             throw error;
+        } finally {
+            this.savingMediaIds.delete(mediaId);
         }
     }
 
@@ -192,10 +487,34 @@ class MediaUploadService {
      * @param {Object} chunk - Chunk object
      */
     async saveChunk(mediaId, chunk) {
-        // In a production implementation, this would save to IndexedDB
-        // For simplicity, we'll just store in memory in this example
-        this.chunks = this.chunks || {};
-        this.chunks[chunk.id] = chunk;
+        await MediaChunkDAO.saveChunk(mediaId, chunk);
+    }
+
+    /**
+     * Queue a failed upload again
+     * @param {string} mediaId - Media ID
+     */
+    async retryUpload(mediaId) {
+        const media = await MediaDAO.updateMedia(mediaId, {
+            status: 'pending',
+            lastError: null
+        });
+
+        if (!media) {
+            throw new Error(`Media ${mediaId} not found`);
+        }
+
+        this.addToUploadQueue(mediaId);
+    }
+
+    /**
+     * Remove media that is no longer needed (e.g. a discarded photo),
+     * including its stored chunks
+     * @param {string} mediaId - Media ID
+     */
+    async deleteMedia(mediaId) {
+        this.uploadQueue = this.uploadQueue.filter(id => id !== mediaId);
+        await MediaDAO.deleteMedia(mediaId);
     }
 
     /**
@@ -203,6 +522,8 @@ class MediaUploadService {
      * @param {string} mediaId - Media ID
      */
     addToUploadQueue(mediaId) {
+        if (this.uploadQueue.includes(mediaId)) return;
+
         this.uploadQueue.push(mediaId);
 
         // Start processing if online
@@ -212,14 +533,19 @@ class MediaUploadService {
     }
 
     /**
-     * Process the upload queue
+     * Process the upload queue. Media the upload policy holds back (e.g. a
+     * video on cellular with "Wi-Fi only") stays queued for a later run.
+     * @returns {Promise<Object>} { uploaded, failed, deferred } counts for this run
      */
     async processUploadQueue() {
+        const results = { uploaded: 0, failed: 0, deferred: 0 };
+
         if (this.isUploading || this.uploadQueue.length === 0 || !navigator.onLine) {
-            return;
+            return results;
         }
 
         this.isUploading = true;
+        const deferred = [];
 
         try {
             while (this.uploadQueue.length > 0) {
@@ -239,141 +565,311 @@ class MediaUploadService {
                         continue;
                     }
 
+                    const decision = await uploadPolicyService.canUpload(media.size);
+
+                    if (!decision.allowed) {
+                        deferred.push(this.uploadQueue.shift());
+                        this.notifyDeferred(mediaId, decision.reason);
+                        continue;
+                    }
+
                     // Upload media
                     await this.uploadMedia(media);
 
                     // Remove from queue if successful
                     this.uploadQueue.shift();
+                    results.uploaded++;
                 } catch (error) {
                     console.error(`Error uploading media ${mediaId}:`, error);
 
-                    // Get media again to update retry count
-                    const media = await MediaDAO.getMedia(mediaId);
-
-                    if (media) {
-                        // Update retry count
-                        const retryCount = (media.retryCount || 0) + 1;
-
-                        if (retryCount >= this.maxRetries) {
-                            // Max retries reached, mark as failed
-                            await MediaDAO.updateMedia(mediaId, {
-                                status: 'failed',
-                                lastError: error.message,
-                                retryCount
-                            });
-
-                            // Remove from queue
-                            this.uploadQueue.shift();
-                        } else {
-                            // Update retry count and move to end of queue
-                            await MediaDAO.updateMedia(mediaId, {
-                                status: 'pending',
-                                lastError: error.message,
-                                retryCount
-                            });
-
-                            // Move to end of queue for later retry
-                            this.uploadQueue.shift();
-                            this.uploadQueue.push(mediaId);
-
-                            // Break to allow other uploads to proceed
-                            break;
-                        }
-                    } else {
-                        // Media not found, remove from queue
-                        this.uploadQueue.shift();
+                    // Chunks are already retried in uploadMedia. Going offline
+                    // leaves the media queued for the next online event;
+                    // anything else fails it until retryUpload is called.
+                    if (!navigator.onLine) {
+                        await MediaDAO.updateMedia(mediaId, { status: 'pending', lastError: error.message });
+                        break;
                     }
+
+                    await MediaDAO.updateMedia(mediaId, { status: 'failed', lastError: error.message });
+                    this.uploadQueue.shift();
+                    results.failed++;
                 }
             }
         } finally {
+            deferred.forEach(mediaId => {
+                if (!this.uploadQueue.includes(mediaId)) this.uploadQueue.push(mediaId);
+            });
             this.isUploading = false;
         }
+
+        results.deferred = deferred.length;
+        return results;
+    }
+
+    /**
+     * Get the server-side upload session for a media, resuming the existing
+     * one when the server still has it. A new session's chunk size is picked
+     * for the network at that moment; a resumed one keeps its own.
+     * @param {Object} media - Media object
+     * @returns {Promise<Object>} { uploadId, chunkSize, chunks, received: Set
+     * of chunk indexes the server has }
+     */
+    async getUploadSession(media) {
+        if (media.uploadId) {
+            // Sessions from before upload chunks were sized separately use the stored pieces
+            const chunkSize = media.uploadChunkSize || media.chunkSize || this.chunkSize;
+
+            try {
+                const status = await apiService.getUploadStatus(media.uploadId);
+
+                if (!status.expired) {
+                    return {
+                        uploadId: media.uploadId,
+                        chunkSize,
+                        chunks: Math.ceil(media.size / chunkSize),
+                        received: new Set(status.receivedChunks || [])
+                    };
+                }
+            } catch (error) {
+                // Unknown session: start again. Anything else is retried later.
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        const { chunkSize } = this.getNetworkProfile();
+        const chunks = Math.ceil(media.size / chunkSize);
+
+        const { uploadId } = await apiService.initializeUpload({
+            mediaId: media.id,
+            filename: media.filename,
+            type: media.type,
+            size: media.size,
+            chunks,
+            chunkSize,
+            hash: media.hash,
+            fieldName: media.fieldName,
+            metadata: media.metadata || null
+        });
+
+        await MediaDAO.updateMedia(media.id, {
+            uploadId,
+            uploadChunkSize: chunkSize,
+            uploadChunks: chunks,
+            uploaded: 0
+        });
+
+        return { uploadId, chunkSize, chunks, received: new Set() };
     }
 
     /**
-     * Upload media to the server using chunked upload
+     * Read a byte range of a media from its stored pieces
+     * @param {Object} media - Media object
+     * @param {number} start - First byte
+     * @param {number} end - Byte after the last one
+     * @returns {Promise<Object>} { data, checksum } where checksum is the stored
+     * one when the range is exactly one stored piece
+     */
+    async readRange(media, start, end) {
+        const pieceSize = media.chunkSize || this.chunkSize;
+        const parts = [];
+        let piece = null;
+
+        for (let index = Math.floor(start / pieceSize); index * pieceSize < end; index++) {
+            piece = await MediaChunkDAO.getChunk(media.id, index);
+
+            if (!piece) {
+                throw new Error(`Chunk ${media.id}_${index} not found`);
+            }
+
+            const offset = index * pieceSize;
+            parts.push(piece.data.slice(Math.max(0, start - offset), Math.min(pieceSize, end - offset)));
+        }
+
+        const data = new Blob(parts, { type: 'application/octet-stream' });
+        const whole = parts.length === 1 && piece.size === data.size;
+
+        return { data, checksum: whole ? piece.checksum : null };
+    }
+
+    /**
+     * Upload one chunk of a session and check the server received it intact
+     * @param {Object} media - Media object
+     * @param {Object} session - Upload session from getUploadSession
+     * @param {number} index - Chunk index
+     * @returns {Promise<number>} Bytes sent
+     */
+    async uploadChunk(media, session, index) {
+        const start = index * session.chunkSize;
+        const { data, checksum: stored } = await this.readRange(
+            media,
+            start,
+            Math.min(media.size, start + session.chunkSize)
+        );
+        const checksum = stored || await computeChecksum(data);
+
+        const result = await apiService.uploadChunk(
+            session.uploadId,
+            index,
+            data,
+            { mediaId: media.id, totalChunks: session.chunks, checksum }
+        );
+
+        if (checksum && result && result.checksum && result.checksum !== checksum) {
+            throw new Error(`Checksum mismatch for chunk ${index} of ${media.id}`);
+        }
+
+        return data.size;
+    }
+
+    /**
+     * Upload media to the server using chunked upload. Chunks the server
+     * already has from an earlier attempt are skipped; the rest go up in
+     * parallel. The number of chunks in flight starts from the network
+     * profile, grows by one while throughput keeps improving and halves
+     * when a chunk fails.
      * @param {Object} media - Media object
      */
     async uploadMedia(media) {
         // Update status to uploading
         await MediaDAO.updateMedia(media.id, { status: 'uploading' });
 
+        const session = await this.getUploadSession(media);
+        const { uploadId, chunkSize, chunks, received } = session;
+        const profile = this.getNetworkProfile();
+
+        const chunkBytes = index => Math.min(chunkSize, media.size - index * chunkSize);
+        const queue = [];
+
+        for (let i = 0; i < chunks; i++) {
+            if (!received.has(i)) queue.push(i);
+        }
+
+        const startTime = Date.now();
+        const startBytes = [...received].reduce((sum, index) => sum + chunkBytes(index), 0);
+        let uploadedBytes = startBytes;
+        let concurrency = profile.concurrency;
+        let successStreak = 0;
+        let windowSpeed = 0;
+        const attempts = new Map();
+
+        const stats = () => {
+            const elapsed = (Date.now() - startTime) / 1000;
+            const bytesPerSecond = elapsed > 0 ? Math.round((uploadedBytes - startBytes) / elapsed) : 0;
+            return {
+                uploadedBytes,
+                totalBytes: media.size,
+                bytesPerSecond,
+                eta: bytesPerSecond > 0 ? Math.round((media.size - uploadedBytes) / bytesPerSecond) : null,
+                concurrency
+            };
+        };
+
         // Notify progress start
-        this.notifyProgress(media.id, 0, media.chunks);
+        this.notifyProgress(media.id, received.size, chunks, stats());
 
-        // Upload each chunk
-        for (let i = 0; i < media.chunks; i++) {
-            const chunkId = `${media.id}_${i}`;
-            const chunk = this.chunks[chunkId];
+        // Progress writes are chained so parallel chunks don't overwrite each other
+        let saving = Promise.resolve();
 
-            if (!chunk) {
-                throw new Error(`Chunk ${chunkId} not found`);
-            }
+        await new Promise((resolve, reject) => {
+            let active = 0;
+            let waiting = 0; // Failed chunks waiting to be retried
+            let failed = false;
 
-            // Create form data
-            const formData = new FormData();
-            formData.append('mediaId', media.id);
-            formData.append('chunkIndex', i.toString());
-            formData.append('totalChunks', media.chunks.toString());
-            formData.append('filename', media.filename);
-            formData.append('fieldName', media.fieldName);
-            formData.append('type', media.type);
-            formData.append('chunk', new Blob([chunk.data], { type: 'application/octet-stream' }));
-
-            // Upload chunk with retry logic
-            let attempts = 0;
-            let success = false;
-
-            while (attempts < 3 && !success) {
-                try {
-                    const response = await fetch('/api/media/chunk', {
-                        method: 'POST',
-                        body: formData
-                    });
+            const launch = () => {
+                if (failed) return;
 
-                    if (!response.ok) {
-                        throw new Error(`Server returned ${response.status}: ${response.statusText}`);
-                    }
+                if (queue.length === 0 && active === 0 && waiting === 0) {
+                    resolve();
+                    return;
+                }
 
-                    success = true;
-                } catch (error) {
-                    attempts++;
+                while (active < concurrency && queue.length > 0) {
+                    const index = queue.shift();
+                    active++;
+
+                    this.uploadChunk(media, session, index).then(bytes => {
+                        active--;
+                        received.add(index);
+                        uploadedBytes += bytes;
+
+                        const current = stats();
+                        successStreak++;
+
+                        // Additive increase: one more stream after a full round
+                        // of successes, as long as it made things faster
+                        if (successStreak >= concurrency) {
+                            if (current.bytesPerSecond > windowSpeed && concurrency < this.maxConcurrency) {
+                                concurrency++;
+                            }
+                            windowSpeed = current.bytesPerSecond;
+                            successStreak = 0;
+                        }
 
-                    if (attempts >= 3) {
-                        throw error;
-                    }
+                        const uploaded = received.size;
+                        saving = saving
+                            .then(() => MediaDAO.updateMedia(media.id, { uploaded }))
+                            .catch(error => console.warn(`Could not record progress of ${media.id}:`, error));
+
+                        this.notifyProgress(media.id, uploaded, chunks, current);
+                        launch();
+                    }, error => {
+                        active--;
+
+                        if (failed) return;
 
-                    // Wait before retry (exponential backoff)
-                    await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempts)));
+                        const tries = (attempts.get(index) || 0) + 1;
+                        attempts.set(index, tries);
+
+                        if (tries >= this.maxRetries) {
+                            failed = true;
+                            reject(error);
+                            return;
+                        }
+
+                        // Multiplicative decrease, then try the chunk again after
+                        // a wait (exponential backoff) so a flapping connection
+                        // doesn't use up the attempts at once
+                        console.warn(`Chunk ${index} of ${media.id} failed, retrying:`, error);
+                        concurrency = Math.max(1, Math.floor(concurrency / 2));
+                        successStreak = 0;
+                        waiting++;
+
+                        setTimeout(() => {
+                            waiting--;
+                            queue.unshift(index);
+                            launch();
+                        }, this.retryDelay * Math.pow(2, tries - 1));
+                    });
                 }
-            }
+            };
 
-            // Update progress
-            await MediaDAO.updateMedia(media.id, { uploaded: i + 1 });
-            this.notifyProgress(media.id, i + 1, media.chunks);
-        }
+            launch();
+        });
+
+        await saving;
+        this.recordThroughput(stats().bytesPerSecond);
 
         // Complete upload by notifying server
-        const completeResponse = await fetch('/api/media/complete', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                mediaId: media.id,
-                filename: media.filename,
-                type: media.type,
-                chunks: media.chunks,
-                size: media.size,
-                fieldName: media.fieldName
-            })
+        const result = await apiService.completeUpload(uploadId, {
+            mediaId: media.id,
+            filename: media.filename,
+            type: media.type,
+            chunks,
+            size: media.size,
+            fieldName: media.fieldName,
+            hash: media.hash
         });
 
-        if (!completeResponse.ok) {
-            throw new Error(`Failed to complete upload: ${completeResponse.statusText}`);
+        // Chunks lost on the server are sent again on the next attempt
+        if (result.missingChunks && result.missingChunks.length > 0) {
+            throw new Error(`Server is missing chunks ${result.missingChunks.join(', ')} of ${media.id}`);
         }
 
-        const result = await completeResponse.json();
+        // The assembled file is corrupt; start over with a new session
+        if (media.hash && result.hash && result.hash !== media.hash) {
+            await MediaDAO.updateMedia(media.id, { uploadId: null, uploaded: 0 });
+            throw new Error(`Hash mismatch for ${media.id}`);
+        }
 
         // Update media record with server URL
         await MediaDAO.updateMedia(media.id, {
@@ -382,6 +878,9 @@ class MediaUploadService {
             uploadedAt: new Date().toISOString()
         });
 
+        // The server has the file now; free the local copy
+        await MediaChunkDAO.deleteChunks(media.id);
+
         // Notify completion
         this.notifyCompletion(media.id, result.url);
 
@@ -412,8 +911,10 @@ class MediaUploadService {
      * @param {string} mediaId - Media ID
      * @param {number} uploaded - Number of chunks uploaded
      * @param {number} total - Total number of chunks
+     * @param {Object} stats - Transfer stats: uploadedBytes, totalBytes,
+     * bytesPerSecond, eta (seconds, null while unknown) and concurrency
      */
-    notifyProgress(mediaId, uploaded, total) {
+    notifyProgress(mediaId, uploaded, total, stats = {}) {
         const percentage = total === 0 ? 0 : Math.round((uploaded / total) * 100);
 
         this.listeners.forEach(listener => {
@@ -423,7 +924,27 @@ class MediaUploadService {
                     mediaId,
                     uploaded,
                     total,
-                    percentage
+                    percentage,
+                    ...stats
+                });
+            } catch (error) {
+                console.error('Error in media upload listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Tell listeners that an upload is waiting for the upload policy
+     * @param {string} mediaId - Media ID
+     * @param {string} reason - What the upload waits for, e.g. 'Waiting for Wi-Fi'
+     */
+    notifyDeferred(mediaId, reason) {
+        this.listeners.forEach(listener => {
+            try {
+                listener({
+                    type: 'deferred',
+                    mediaId,
+                    reason
                 });
             } catch (error) {
                 console.error('Error in media upload listener:', error);
@@ -462,12 +983,16 @@ class MediaUploadService {
             return { mediaId, status: 'not_found' };
         }
 
+        // `uploaded` counts chunks of the upload session, which may differ
+        // from the stored pieces
+        const total = media.uploadChunks || media.chunks || 0;
+
         return {
             mediaId,
             status: media.status,
             uploaded: media.uploaded || 0,
-            total: media.chunks || 0,
-            percentage: media.chunks === 0 ? 0 : Math.round((media.uploaded / media.chunks) * 100),
+            total,
+            percentage: total === 0 ? 0 : Math.round(((media.uploaded || 0) / total) * 100),
             serverUrl: media.serverUrl,
             error: media.lastError
         };
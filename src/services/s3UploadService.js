@@ -0,0 +1,364 @@
+import { S3UploadDAO } from '../db';
+import apiService from '../api/ApiService';
+
+// Run `task` over `items` with at most `limit` running at once
+async function runWithConcurrency(items, limit, task) {
+    const queue = [...items];
+    const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+        while (queue.length > 0) {
+            await task(queue.shift());
+        }
+    });
+
+    await Promise.all(workers);
+}
+
+/**
+ * Uploads files straight from the browser to S3 (or an S3-compatible store
+ * such as MinIO) with multipart uploads. The backend creates the upload and
+ * presigns part URLs; parts are PUT directly to the bucket. Progress is kept
+ * in IndexedDB so an interrupted upload continues with the missing parts.
+ *
+ * The bucket's CORS rules must allow PUT from the app origin and expose the
+ * ETag header, otherwise parts can't be completed.
+ *
+ * Uploads run here rather than in the component that started them, so they
+ * keep going when the field is no longer shown; resuming a running upload
+ * joins it instead of starting it again.
+ */
+class S3UploadService {
+    constructor() {
+        this.partSize = 5 * 1024 * 1024; // S3 minimum for all but the last part
+        this.concurrency = 4;
+        this.maxRetries = 3;
+        this.controllers = new Map(); // Upload ID -> AbortController of the running upload
+        this.running = new Map(); // Upload ID -> { promise, listeners, lastProgress }
+    }
+
+    /**
+     * Identify a file across page loads
+     * @param {File} file - The file
+     * @returns {string} Fingerprint
+     */
+    getFingerprint(file) {
+        return [file.name, file.size, file.type, file.lastModified].join(':');
+    }
+
+    /**
+     * Upload a file, continuing an unfinished upload of the same file if there is one
+     * @param {File} file - File to upload
+     * @param {Object} options - Options
+     * @param {string} options.fieldName - Form field the file belongs to
+     * @param {Function} options.onProgress - Called with progress events
+     * @returns {Promise<Object>} { id, key, location }
+     */
+    async upload(file, { fieldName, onProgress } = {}) {
+        const id = await this.createUpload(file, { fieldName });
+        return this.resume(id, { onProgress });
+    }
+
+    /**
+     * Store a file for upload without starting it, reusing an unfinished
+     * upload of the same file if there is one
+     * @param {File} file - File to upload
+     * @param {Object} options - Options
+     * @param {string} options.fieldName - Form field the file belongs to
+     * @returns {Promise<string>} Upload record ID
+     */
+    async createUpload(file, { fieldName } = {}) {
+        const fingerprint = this.getFingerprint(file);
+        const existing = await S3UploadDAO.getUploadByFingerprint(fingerprint);
+
+        return existing ? existing.id : S3UploadDAO.saveUpload({
+            fingerprint,
+            fieldName,
+            file,
+            filename: file.name,
+            type: file.type,
+            size: file.size,
+            partSize: this.partSize,
+            key: null,
+            uploadId: null,
+            parts: [],
+            status: 'pending',
+            lastError: null
+        });
+    }
+
+    /**
+     * Continue an upload from the parts S3 already has. If the upload is
+     * already running, `onProgress` is added to it and its result returned.
+     * @param {string} id - Upload record ID
+     * @param {Object} options - Options
+     * @param {Function} options.onProgress - Called with progress events
+     * @returns {Promise<Object>} { id, key, location }
+     */
+    resume(id, { onProgress } = {}) {
+        let run = this.running.get(id);
+
+        if (!run) {
+            run = { listeners: new Set(), lastProgress: null };
+            run.promise = this.runUpload(id, event => {
+                run.lastProgress = event;
+                run.listeners.forEach(listener => listener(event));
+            }).finally(() => this.running.delete(id));
+
+            this.running.set(id, run);
+        } else if (onProgress && run.lastProgress) {
+            onProgress(run.lastProgress);
+        }
+
+        if (onProgress) run.listeners.add(onProgress);
+        return run.promise;
+    }
+
+    /**
+     * Stop calling a progress listener; the upload itself carries on
+     * @param {string} id - Upload record ID
+     * @param {Function} onProgress - Listener passed to resume
+     */
+    removeProgressListener(id, onProgress) {
+        const run = this.running.get(id);
+        if (run) run.listeners.delete(onProgress);
+    }
+
+    /**
+     * Check whether an upload is running
+     * @param {string} id - Upload record ID
+     * @returns {boolean} True while the upload runs
+     */
+    isRunning(id) {
+        return this.running.has(id);
+    }
+
+    /**
+     * Upload the parts of an upload that S3 doesn't have yet and complete it
+     * @param {string} id - Upload record ID
+     * @param {Function} onProgress - Called with progress events
+     * @returns {Promise<Object>} { id, key, location }
+     */
+    async runUpload(id, onProgress) {
+        let upload = await S3UploadDAO.getUpload(id);
+
+        if (!upload) {
+            throw new Error(`Upload ${id} not found`);
+        }
+
+        if (upload.status === 'completed') {
+            return { id, key: upload.key, location: upload.location };
+        }
+
+        const controller = new AbortController();
+        this.controllers.set(id, controller);
+
+        try {
+            upload = await this.prepareUpload(upload);
+            upload = await S3UploadDAO.updateUpload(id, { status: 'uploading', lastError: null });
+
+            const totalParts = Math.max(1, Math.ceil(upload.size / upload.partSize));
+            const etags = new Map(upload.parts.map(part => [part.PartNumber, part.ETag]));
+            const pending = [];
+
+            for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+                if (!etags.has(partNumber)) pending.push(partNumber);
+            }
+
+            let uploadedBytes = upload.parts.reduce((sum, part) => sum + this.getPartSize(upload, part.PartNumber), 0);
+            const report = () => {
+                onProgress({
+                    id,
+                    uploadedBytes,
+                    totalBytes: upload.size,
+                    partsDone: etags.size,
+                    totalParts,
+                    percentage: upload.size === 0 ? 100 : Math.round((uploadedBytes / upload.size) * 100)
+                });
+            };
+
+            report();
+
+            const urls = pending.length > 0
+                ? (await apiService.getPresignedPartUrls(upload.key, upload.uploadId, pending)).urls
+                : {};
+
+            // Record writes are chained so concurrent parts don't overwrite each other
+            let saving = Promise.resolve();
+
+            await runWithConcurrency(pending, this.concurrency, async partNumber => {
+                const etag = await this.uploadPart(upload, partNumber, urls, controller.signal);
+
+                etags.set(partNumber, etag);
+                uploadedBytes += this.getPartSize(upload, partNumber);
+                report();
+
+                const parts = Array.from(etags, ([PartNumber, ETag]) => ({ PartNumber, ETag }));
+                saving = saving.then(() => S3UploadDAO.updateUpload(id, { parts }));
+                await saving;
+            });
+
+            const parts = Array.from(etags, ([PartNumber, ETag]) => ({ PartNumber, ETag }))
+                .sort((a, b) => a.PartNumber - b.PartNumber);
+
+            const result = await apiService.completeMultipartUpload(upload.key, upload.uploadId, parts);
+
+            // The object is in the bucket; drop the local copy of the file
+            await S3UploadDAO.updateUpload(id, {
+                status: 'completed',
+                parts,
+                file: null,
+                location: result.location || null,
+                completedAt: new Date().toISOString()
+            });
+
+            return { id, key: upload.key, location: result.location || null };
+        } catch (error) {
+            const paused = error.name === 'AbortError';
+
+            // Stop the parts still in flight
+            controller.abort();
+
+            await S3UploadDAO.updateUpload(id, {
+                status: paused ? 'paused' : 'failed',
+                lastError: paused ? null : error.message
+            });
+
+            throw error;
+        } finally {
+            this.controllers.delete(id);
+        }
+    }
+
+    /**
+     * Make sure an upload has a live multipart upload on S3 and that its
+     * recorded parts match what S3 has
+     * @param {Object} upload - Upload record
+     * @returns {Promise<Object>} The updated record
+     */
+    async prepareUpload(upload) {
+        if (!upload.file) {
+            throw new Error('The file for this upload is no longer stored. Please select it again.');
+        }
+
+        if (upload.uploadId) {
+            try {
+                const { parts = [] } = await apiService.listUploadedParts(upload.key, upload.uploadId);
+
+                return S3UploadDAO.updateUpload(upload.id, {
+                    parts: parts.map(({ PartNumber, ETag }) => ({ PartNumber, ETag }))
+                });
+            } catch (error) {
+                // S3 no longer knows the upload (aborted or expired); start again
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        const { key, uploadId } = await apiService.createMultipartUpload({
+            filename: upload.filename,
+            type: upload.type,
+            size: upload.size,
+            partSize: upload.partSize,
+            fieldName: upload.fieldName
+        });
+
+        return S3UploadDAO.updateUpload(upload.id, { key, uploadId, parts: [] });
+    }
+
+    /**
+     * Size of a part in bytes
+     * @param {Object} upload - Upload record
+     * @param {number} partNumber - Part number (1-based)
+     * @returns {number} Part size
+     */
+    getPartSize(upload, partNumber) {
+        const start = (partNumber - 1) * upload.partSize;
+        return Math.max(0, Math.min(upload.partSize, upload.size - start));
+    }
+
+    /**
+     * PUT one part to its presigned URL, retrying with backoff
+     * @param {Object} upload - Upload record
+     * @param {number} partNumber - Part number (1-based)
+     * @param {Object} urls - Presigned URLs by part number; refreshed in place when one expires
+     * @param {AbortSignal} signal - Signal to pause the upload
+     * @returns {Promise<string>} The part's ETag
+     */
+    async uploadPart(upload, partNumber, urls, signal) {
+        const start = (partNumber - 1) * upload.partSize;
+        const body = upload.file.slice(start, start + upload.partSize);
+        let attempts = 0;
+
+        while (true) {
+            try {
+                const response = await fetch(urls[partNumber], { method: 'PUT', body, signal });
+
+                if (!response.ok) {
+                    const error = new Error(`Part ${partNumber} upload failed: ${response.status}`);
+                    error.status = response.status;
+                    throw error;
+                }
+
+                const etag = response.headers.get('ETag');
+
+                if (!etag) {
+                    throw new Error('ETag header not readable; check that the bucket CORS rules expose it');
+                }
+
+                return etag;
+            } catch (error) {
+                attempts++;
+
+                if (error.name === 'AbortError' || attempts >= this.maxRetries) {
+                    throw error;
+                }
+
+                // Presigned URLs expire; get a fresh one for this part
+                if (error.status === 403) {
+                    const { urls: fresh } = await apiService.getPresignedPartUrls(
+                        upload.key,
+                        upload.uploadId,
+                        [partNumber]
+                    );
+                    urls[partNumber] = fresh[partNumber];
+                }
+
+                // Wait before retry (exponential backoff)
+                await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempts)));
+            }
+        }
+    }
+
+    /**
+     * Stop a running upload; it can be resumed later
+     * @param {string} id - Upload record ID
+     */
+    pause(id) {
+        const controller = this.controllers.get(id);
+        if (controller) controller.abort();
+    }
+
+    /**
+     * Cancel an upload and discard its parts on S3
+     * @param {string} id - Upload record ID
+     */
+    async cancel(id) {
+        this.pause(id);
+
+        const upload = await S3UploadDAO.getUpload(id);
+        if (!upload) return;
+
+        if (upload.uploadId && upload.status !== 'completed') {
+            try {
+                await apiService.abortMultipartUpload(upload.key, upload.uploadId);
+            } catch (error) {
+                // S3 lifecycle rules clean up uploads that are never completed
+                console.warn(`Could not abort multipart upload ${upload.uploadId}:`, error);
+            }
+        }
+
+        await S3UploadDAO.deleteUpload(id);
+    }
+}
+
+// Create and export singleton instance
+const s3UploadService = new S3UploadService();
+export default s3UploadService;
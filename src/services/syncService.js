@@ -1,5 +1,17 @@
 import { SyncQueueDAO } from '../db';
 import { checkApiConnection } from '../api/ApiService.js';
+import formDataService from './formDataService';
+import uploadPolicyService from './uploadPolicyService';
+import mediaUploadService from './mediaUploadServices';
+import mapTiles from '../utils/mapTiles';
+import geocodingService from './geocodingService';
+
+// Data kept on the device for offline use, downloaded during sync at most
+// once per `maxAge`; `refresh` replaces the stored copy
+const REFERENCE_DATA = [
+    { name: 'map_tiles', maxAge: 24 * 60 * 60 * 1000, refresh: () => mapTiles.syncBundles() },
+    { name: 'places', maxAge: 7 * 24 * 60 * 60 * 1000, refresh: () => geocodingService.refreshPlaces() }
+];
 
 class SyncService {
     constructor() {
@@ -120,19 +132,28 @@ class SyncService {
                     return;
                 }
 
-                // First process media uploads
-                const mediaResults = await this.syncMedia();
+                let formResults;
+                let mediaResults;
 
-                // Then process form submissions
-                const formResults = await this.syncForms();
+                try {
+                    // Form submissions first; they're small and never wait on the upload policy
+                    formResults = await this.syncForms();
+
+                    // Then media uploads, as far as the upload policy allows
+                    mediaResults = await this.syncMedia();
+                } finally {
+                    // Then offline reference data that is due for a refresh,
+                    // even when an upload failed
+                    await this.syncReferenceData();
+                }
 
                 this.lastSyncTime = new Date().toISOString();
 
                 this.notifyListeners('syncCompleted', {
-                    syncedForms: formResults.syncedItems,
-                    failedForms: formResults.failedItems,
-                    syncedMedia: mediaResults.syncedItems,
-                    failedMedia: mediaResults.failedItems,
+                    syncedForms: formResults.submitted,
+                    failedForms: formResults.failed,
+                    syncedMedia: mediaResults.uploaded,
+                    failedMedia: mediaResults.failed,
                     timestamp: this.lastSyncTime
                 });
             } catch (error) {
@@ -235,23 +256,48 @@ class SyncService {
     }
 
     /**
-     * Sync media uploads
+     * Sync media uploads. Nothing is sent while the upload policy holds all
+     * media back (e.g. "Wi-Fi only" on cellular); size limits are checked per
+     * file by the upload queue.
      */
     async syncMedia() {
         try {
-            // Process the upload queue
-            const results = await mediaUploadServices.processUploadQueue('/api');
+            const { allowed, reason } = await uploadPolicyService.canUpload(0);
+
+            if (!allowed) {
+                return { uploaded: 0, failed: 0, deferred: reason };
+            }
 
-            const successful = results.filter(r => r.status === 'fulfilled').length;
-            const failed = results.filter(r => r.status === 'rejected').length;
+            // Process the upload queue
+            const { uploaded, failed } = await mediaUploadService.processUploadQueue();
 
-            return { uploaded: successful, failed };
+            return { uploaded, failed };
         } catch (error) {
             console.error('Error syncing media:', error);
             throw error;
         }
     }
 
+    /**
+     * Download the offline reference data (see REFERENCE_DATA) that is
+     * missing or out of date. A failure is logged and tried on the next sync.
+     */
+    async syncReferenceData() {
+        for (const { name, maxAge, refresh } of REFERENCE_DATA) {
+            const storageKey = `reference_synced_${name}`;
+            const syncedAt = Number(localStorage.getItem(storageKey)) || 0;
+
+            if (Date.now() - syncedAt < maxAge) continue;
+
+            try {
+                await refresh();
+                localStorage.setItem(storageKey, String(Date.now()));
+            } catch (error) {
+                console.warn(`Could not refresh offline data ${name}:`, error);
+            }
+        }
+    }
+
     /**
      * Add a sync event listener
      * @param {Function} listener - The listener function to call on sync events
@@ -0,0 +1,191 @@
+import { getNetworkInfo } from '../utils/helper';
+
+// When media (photos, videos, audio, files) may be uploaded. Form text
+// submissions are small and always sync straight away; only media waits.
+//   always   - upload on any connection
+//   wifi     - only on Wi-Fi or ethernet
+//   cellular - on cellular, only files up to `maxCellularMB`
+// `pauseOnBatterySaver` holds media back while the battery is low and not
+// charging (browsers don't expose the OS battery saver itself).
+const POLICY_STORAGE_KEY = 'upload_policy';
+
+const POLICY_MODES = ['always', 'wifi', 'cellular'];
+
+const DEFAULT_POLICY = {
+    mode: 'always',
+    maxCellularMB: 10,
+    pauseOnBatterySaver: false
+};
+
+// Battery level at or below which the device counts as saving battery
+const LOW_BATTERY_LEVEL = 0.2;
+
+let listeners = [];
+let battery = null;
+let watching = false;
+
+/**
+ * Get the current upload policy
+ * @returns {Object} { mode, maxCellularMB, pauseOnBatterySaver }
+ */
+function getPolicy() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(POLICY_STORAGE_KEY));
+        return { ...DEFAULT_POLICY, ...stored };
+    } catch (error) {
+        return { ...DEFAULT_POLICY };
+    }
+}
+
+/**
+ * Change the upload policy; listeners are told so held-back uploads can start
+ * @param {Object} updates - Policy fields to change
+ * @returns {Object} The new policy
+ */
+function setPolicy(updates) {
+    const policy = { ...getPolicy(), ...updates };
+
+    if (!POLICY_MODES.includes(policy.mode)) {
+        throw new Error(`Unknown upload policy mode: ${policy.mode}`);
+    }
+
+    try {
+        localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(policy));
+    } catch (error) {
+        console.warn('Failed to save upload policy:', error);
+    }
+
+    notifyListeners();
+    return policy;
+}
+
+/**
+ * Describe the connection for the policy. Where the browser doesn't report
+ * the connection type (Safari, Firefox), `known` is false and it counts as
+ * metered, since it may well be cellular.
+ * @returns {Object} { type, metered, known }
+ */
+function getConnection() {
+    const { type } = getNetworkInfo();
+
+    if (type === 'wifi' || type === 'ethernet') {
+        return { type, metered: false, known: true };
+    }
+
+    if (type === 'unknown' || type === 'other') {
+        return { type, metered: true, known: false };
+    }
+
+    // cellular, bluetooth, wimax
+    return { type, metered: true, known: true };
+}
+
+// Battery Manager, where supported (Chromium); read once and kept up to date
+async function getBattery() {
+    if (!battery && navigator.getBattery) {
+        try {
+            battery = await navigator.getBattery();
+        } catch (error) {
+            battery = null;
+        }
+    }
+    return battery;
+}
+
+async function isBatterySaving() {
+    const manager = await getBattery();
+    return Boolean(manager && !manager.charging && manager.level <= LOW_BATTERY_LEVEL);
+}
+
+/**
+ * Check whether a media file may be uploaded now
+ * @param {number} size - File size in bytes
+ * @returns {Promise<Object>} { allowed, reason } - reason says what the upload waits for
+ */
+async function canUpload(size = 0) {
+    const policy = getPolicy();
+
+    if (policy.pauseOnBatterySaver && await isBatterySaving()) {
+        return { allowed: false, reason: 'Waiting for the battery to charge' };
+    }
+
+    const { metered, known } = getConnection();
+
+    if (policy.mode === 'always') {
+        return { allowed: true, reason: null };
+    }
+
+    // Without a reported type the connection may well be cellular
+    if (policy.mode === 'wifi' && !known) {
+        return { allowed: false, reason: "Waiting for Wi-Fi (this device doesn't report its connection type)" };
+    }
+
+    if (!metered) {
+        return { allowed: true, reason: null };
+    }
+
+    if (policy.mode === 'wifi') {
+        return { allowed: false, reason: 'Waiting for Wi-Fi' };
+    }
+
+    if (size > policy.maxCellularMB * 1024 * 1024) {
+        return { allowed: false, reason: `Waiting for Wi-Fi (larger than ${policy.maxCellularMB} MB)` };
+    }
+
+    return { allowed: true, reason: null };
+}
+
+function notifyListeners() {
+    listeners.forEach(listener => {
+        try {
+            listener(getPolicy());
+        } catch (error) {
+            console.error('Error in upload policy listener:', error);
+        }
+    });
+}
+
+// Re-check held-back uploads when the connection or battery state changes
+async function watchConditions() {
+    if (watching) return;
+    watching = true;
+
+    const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+    if (connection && connection.addEventListener) {
+        connection.addEventListener('change', notifyListeners);
+    }
+
+    const manager = await getBattery();
+    if (manager) {
+        manager.addEventListener('chargingchange', notifyListeners);
+        manager.addEventListener('levelchange', notifyListeners);
+    }
+}
+
+/**
+ * Listen for changes to the policy, the connection or the battery
+ * @param {Function} listener - Called with the current policy
+ * @returns {Function} Unsubscribe function
+ */
+function addListener(listener) {
+    if (typeof listener === 'function' && !listeners.includes(listener)) {
+        listeners.push(listener);
+        watchConditions();
+    }
+    return () => removeListener(listener);
+}
+
+function removeListener(listener) {
+    listeners = listeners.filter(l => l !== listener);
+}
+
+export default {
+    POLICY_MODES,
+    DEFAULT_POLICY,
+    getPolicy,
+    setPolicy,
+    getConnection,
+    canUpload,
+    addListener,
+    removeListener
+};
@@ -0,0 +1,130 @@
+// Barcode and QR code detection for the barcode field. Uses the browser's
+// BarcodeDetector (Chrome on Android, Safari 17+) when it reads every wanted
+// format, otherwise the zxing-wasm ponyfill. The ponyfill and its .wasm are
+// bundled with the app and only loaded when needed, so scanning works offline.
+
+// Names as used by the Barcode Detection API
+const DEFAULT_FORMATS = ['ean_13', 'code_128', 'qr_code'];
+
+const FORMAT_LABELS = {
+    ean_13: 'EAN-13',
+    ean_8: 'EAN-8',
+    upc_a: 'UPC-A',
+    upc_e: 'UPC-E',
+    code_128: 'Code 128',
+    code_39: 'Code 39',
+    qr_code: 'QR code',
+    data_matrix: 'Data Matrix'
+};
+
+const detectors = new Map(); // Format list -> Promise<detector>
+
+async function createDetector(formats) {
+    if ('BarcodeDetector' in window) {
+        try {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+
+            if (formats.every(format => supported.includes(format))) {
+                return new window.BarcodeDetector({ formats });
+            }
+        } catch (error) {
+            console.warn('Native barcode detection unavailable:', error);
+        }
+    }
+
+    const [{ BarcodeDetector, prepareZXingModule }, { default: wasmUrl }] = await Promise.all([
+        import('barcode-detector/ponyfill'),
+        import('zxing-wasm/reader/zxing_reader.wasm?url')
+    ]);
+
+    // Serve the .wasm from the app instead of the default CDN
+    prepareZXingModule({
+        overrides: {
+            locateFile: (path, prefix) => (path.endsWith('.wasm') ? wasmUrl : prefix + path)
+        }
+    });
+
+    return new BarcodeDetector({ formats });
+}
+
+/**
+ * Get a detector for the given formats; created once per format list
+ * @param {string[]} formats - Barcode Detection API format names
+ * @returns {Promise<Object>} A BarcodeDetector (native or ponyfill)
+ */
+function getDetector(formats = DEFAULT_FORMATS) {
+    const key = [...formats].sort().join(',');
+
+    if (!detectors.has(key)) {
+        const detector = createDetector(formats);
+
+        // Let a failed load be tried again
+        detector.catch(() => detectors.delete(key));
+        detectors.set(key, detector);
+    }
+
+    return detectors.get(key);
+}
+
+/**
+ * Read the barcodes in an image or the current video frame
+ * @param {HTMLVideoElement|ImageBitmapSource} source - What to scan
+ * @param {string[]} formats - Formats to look for
+ * @returns {Promise<Object[]>} [{ code, format }]
+ */
+async function detect(source, formats = DEFAULT_FORMATS) {
+    const detector = await getDetector(formats);
+    const barcodes = await detector.detect(source);
+
+    return barcodes
+        .filter(barcode => barcode.rawValue)
+        .map(barcode => ({ code: barcode.rawValue, format: barcode.format }));
+}
+
+/**
+ * Check the check digit of an EAN-13 code
+ * @param {string} code - The code
+ * @returns {boolean} Whether the code is 13 digits with a correct check digit
+ */
+function isValidEan13(code) {
+    if (!/^\d{13}$/.test(code)) return false;
+
+    const digits = code.split('').map(Number);
+    const sum = digits.slice(0, 12).reduce((total, digit, index) => total + digit * (index % 2 ? 3 : 1), 0);
+
+    return (10 - (sum % 10)) % 10 === digits[12];
+}
+
+/**
+ * Check a code typed in by hand
+ * @param {string} code - The entered code
+ * @param {string[]} formats - Formats the field accepts
+ * @returns {string|null} Error message, or null when the code can be used
+ */
+function validateManualCode(code, formats = DEFAULT_FORMATS) {
+    if (!code) return 'Enter the code printed under the barcode';
+
+    if (formats.length === 1 && formats[0] === 'ean_13' && !/^\d{13}$/.test(code)) {
+        return 'Enter the 13 digits printed under the barcode';
+    }
+
+    // Thirteen digits is an EAN-13; a typo there is caught by the check digit
+    if (formats.includes('ean_13') && /^\d{13}$/.test(code) && !isValidEan13(code)) {
+        return 'This EAN-13 code has a wrong check digit. Please check it.';
+    }
+
+    return null;
+}
+
+function getFormatLabel(format) {
+    return FORMAT_LABELS[format] || format;
+}
+
+export default {
+    DEFAULT_FORMATS,
+    getDetector,
+    detect,
+    isValidEan13,
+    validateManualCode,
+    getFormatLabel
+};
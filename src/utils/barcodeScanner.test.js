@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import barcodeScanner from './barcodeScanner';
+
+const { isValidEan13, validateManualCode } = barcodeScanner;
+
+describe('barcodeScanner.isValidEan13', () => {
+    it('accepts codes with a correct check digit', () => {
+        expect(isValidEan13('4006381333931')).toBe(true);
+        expect(isValidEan13('5901234123457')).toBe(true);
+        expect(isValidEan13('9780306406157')).toBe(true);
+        expect(isValidEan13('0000000000000')).toBe(true);
+    });
+
+    it('rejects a wrong check digit', () => {
+        expect(isValidEan13('4006381333932')).toBe(false);
+        expect(isValidEan13('5901234123450')).toBe(false);
+    });
+
+    it('rejects swapped digits', () => {
+        expect(isValidEan13('4006381339331')).toBe(false);
+    });
+
+    it('rejects anything that is not 13 digits', () => {
+        expect(isValidEan13('400638133393')).toBe(false);
+        expect(isValidEan13('40063813339310')).toBe(false);
+        expect(isValidEan13('400638133393A')).toBe(false);
+        expect(isValidEan13(' 4006381333931')).toBe(false);
+        expect(isValidEan13('')).toBe(false);
+    });
+});
+
+describe('barcodeScanner.validateManualCode', () => {
+    it('requires a code', () => {
+        expect(validateManualCode('')).toBe('Enter the code printed under the barcode');
+    });
+
+    it('checks EAN-13 check digits', () => {
+        expect(validateManualCode('4006381333931')).toBe(null);
+        expect(validateManualCode('4006381333932')).toBe('This EAN-13 code has a wrong check digit. Please check it.');
+    });
+
+    it('asks for 13 digits when only EAN-13 is accepted', () => {
+        expect(validateManualCode('ABC-123', ['ean_13'])).toBe('Enter the 13 digits printed under the barcode');
+        expect(validateManualCode('4006381333931', ['ean_13'])).toBe(null);
+    });
+
+    it('accepts other codes when other formats are allowed', () => {
+        expect(validateManualCode('ABC-123')).toBe(null);
+        expect(validateManualCode('4006381333932', ['code_128', 'qr_code'])).toBe(null);
+    });
+});
@@ -0,0 +1,225 @@
+import { getNestedValue, isEmpty } from './helper';
+
+// Resolve a value from form data; supports dotted paths into object values
+// (e.g. "location.accuracy") as well as plain field names
+function resolveValue(formData, path) {
+    if (!formData || !path) return undefined;
+    if (Object.prototype.hasOwnProperty.call(formData, path)) return formData[path];
+    return getNestedValue(formData, path);
+}
+
+// Parse a date operand; accepts ISO strings, timestamps, Date objects and "today"/"now"
+function toDate(value) {
+    if (value === 'today') {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        return today;
+    }
+
+    if (value === 'now') return new Date();
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Coerce numeric strings so that "60" > 50 behaves as expected
+function toComparable(value) {
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+// Own entries only, so names like "constructor" don't resolve through the prototype
+function getOwn(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined;
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null) return [];
+    return [value];
+}
+
+// Built-in comparison operators
+const operators = {
+    '==': (fieldValue, value) => fieldValue == value,
+    '!=': (fieldValue, value) => fieldValue != value,
+    '>': (fieldValue, value) => toComparable(fieldValue) > toComparable(value),
+    '<': (fieldValue, value) => toComparable(fieldValue) < toComparable(value),
+    '>=': (fieldValue, value) => toComparable(fieldValue) >= toComparable(value),
+    '<=': (fieldValue, value) => toComparable(fieldValue) <= toComparable(value),
+
+    // Array field contains the value (e.g. checkbox selections)
+    includes: (fieldValue, value) => Array.isArray(fieldValue) && fieldValue.includes(value),
+
+    empty: (fieldValue) => !fieldValue || isEmpty(fieldValue),
+    notEmpty: (fieldValue) => !operators.empty(fieldValue),
+
+    // Field value is one of a list; array field values match if any entry is in the list
+    in: (fieldValue, value) => {
+        const list = toList(value);
+        return Array.isArray(fieldValue)
+            ? fieldValue.some(item => list.includes(item))
+            : list.includes(fieldValue);
+    },
+    notIn: (fieldValue, value) => !operators.in(fieldValue, value),
+
+    // Regular expression match; value is a pattern string or { pattern, flags }
+    matches: (fieldValue, value) => {
+        if (fieldValue === undefined || fieldValue === null) return false;
+        if (value === undefined || value === null) return false;
+        const { pattern, flags } = typeof value === 'object' && !(value instanceof RegExp)
+            ? value
+            : { pattern: value };
+
+        try {
+            return new RegExp(pattern, flags).test(String(fieldValue));
+        } catch (error) {
+            console.warn(`Invalid pattern in condition: ${pattern}`, error);
+            return false;
+        }
+    },
+
+    // Date comparisons
+    before: (fieldValue, value) => {
+        const date = toDate(fieldValue);
+        const target = toDate(value);
+        return !!date && !!target && date < target;
+    },
+    after: (fieldValue, value) => {
+        const date = toDate(fieldValue);
+        const target = toDate(value);
+        return !!date && !!target && date > target;
+    },
+    sameDay: (fieldValue, value) => {
+        const date = toDate(fieldValue);
+        const target = toDate(value);
+        return !!date && !!target && date.toDateString() === target.toDateString();
+    }
+};
+
+// Check whether a condition is a group (all/any/not) rather than a single comparison
+function isGroup(condition) {
+    return !!condition && (
+        Array.isArray(condition.all) ||
+        Array.isArray(condition.any) ||
+        condition.not !== undefined
+    );
+}
+
+/**
+ * Evaluate a condition against form data.
+ *
+ * A condition is either a comparison or a group:
+ *   { field: 'store_type', operator: '==', value: 'kirana' }
+ *   { field: 'visit_date', operator: 'after', valueField: 'last_visit' }
+ *   { all: [condition, ...] }  // AND
+ *   { any: [condition, ...] }  // OR
+ *   { not: condition }
+ *
+ * Fields are looked up in the whole form data, so conditions may refer to
+ * answers from any step. An array of conditions is treated as `all`.
+ *
+ * @param {Object|Array} condition - The condition to evaluate
+ * @param {Object} formData - Current form values
+ * @returns {boolean} Whether the condition holds
+ */
+function evaluate(condition, formData = {}) {
+    if (!condition) return true;
+
+    if (Array.isArray(condition)) {
+        return condition.every(item => evaluate(item, formData));
+    }
+
+    if (Array.isArray(condition.all)) {
+        return condition.all.every(item => evaluate(item, formData));
+    }
+
+    if (Array.isArray(condition.any)) {
+        return condition.any.length === 0 || condition.any.some(item => evaluate(item, formData));
+    }
+
+    if (condition.not !== undefined) {
+        return !evaluate(condition.not, formData);
+    }
+
+    const { field, operator = '==', valueField } = condition;
+    const operatorFn = getOwn(operators, operator);
+
+    if (!operatorFn) {
+        console.warn(`Unknown condition operator: ${operator}`);
+        return true;
+    }
+
+    const value = valueField ? resolveValue(formData, valueField) : condition.value;
+    return !!operatorFn(resolveValue(formData, field), value);
+}
+
+/**
+ * Collect the names of all fields a condition refers to
+ * @param {Object|Array} condition - The condition to inspect
+ * @returns {Array<string>} Unique field names
+ */
+function getDependencies(condition) {
+    const dependencies = new Set();
+
+    const collect = (node) => {
+        if (!node) return;
+
+        if (Array.isArray(node)) {
+            node.forEach(collect);
+            return;
+        }
+
+        if (isGroup(node)) {
+            collect(node.all);
+            collect(node.any);
+            collect(node.not);
+            return;
+        }
+
+        if (node.field) dependencies.add(node.field.split('.')[0]);
+        if (node.valueField) dependencies.add(node.valueField.split('.')[0]);
+    };
+
+    collect(condition);
+    return Array.from(dependencies);
+}
+
+/**
+ * Check whether a `showIf` condition allows its element to be shown. Conditions
+ * whose fields have not been answered yet do not hide anything.
+ * @param {Object|Array} condition - The showIf condition
+ * @param {Object} formData - Current form values
+ * @returns {boolean} Whether the element is visible
+ */
+function isVisible(condition, formData = {}) {
+    if (!condition) return true;
+
+    const dependencies = getDependencies(condition);
+    const answered = dependencies.some(name => Object.prototype.hasOwnProperty.call(formData, name));
+
+    if (dependencies.length > 0 && !answered) return true;
+
+    return evaluate(condition, formData);
+}
+
+// Add a custom condition operator
+function addOperator(name, operatorFn) {
+    if (getOwn(operators, name)) {
+        console.warn(`Overriding existing condition operator: ${name}`);
+    }
+
+    operators[name] = operatorFn;
+}
+
+export default {
+    operators,
+    evaluate,
+    getDependencies,
+    isGroup,
+    isVisible,
+    addOperator
+};
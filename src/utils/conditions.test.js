@@ -0,0 +1,251 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import conditions from './conditions';
+
+const { evaluate, isVisible, getDependencies } = conditions;
+
+describe('conditions.evaluate', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('groups', () => {
+        const isKirana = { field: 'store_type', value: 'kirana' };
+        const isLarge = { field: 'size', operator: '>', value: 50 };
+
+        it('all requires every condition', () => {
+            expect(evaluate({ all: [isKirana, isLarge] }, { store_type: 'kirana', size: 60 })).toBe(true);
+            expect(evaluate({ all: [isKirana, isLarge] }, { store_type: 'kirana', size: 40 })).toBe(false);
+            expect(evaluate({ all: [] }, {})).toBe(true);
+        });
+
+        it('treats an array as all', () => {
+            expect(evaluate([isKirana, isLarge], { store_type: 'kirana', size: 60 })).toBe(true);
+            expect(evaluate([isKirana, isLarge], { store_type: 'chemist', size: 60 })).toBe(false);
+        });
+
+        it('any requires one condition', () => {
+            expect(evaluate({ any: [isKirana, isLarge] }, { store_type: 'chemist', size: 60 })).toBe(true);
+            expect(evaluate({ any: [isKirana, isLarge] }, { store_type: 'chemist', size: 40 })).toBe(false);
+            expect(evaluate({ any: [] }, {})).toBe(true);
+        });
+
+        it('not inverts a condition', () => {
+            expect(evaluate({ not: isKirana }, { store_type: 'chemist' })).toBe(true);
+            expect(evaluate({ not: isKirana }, { store_type: 'kirana' })).toBe(false);
+        });
+
+        it('nests groups', () => {
+            const condition = { all: [isKirana, { not: { any: [isLarge, { field: 'closed', value: true }] } }] };
+
+            expect(evaluate(condition, { store_type: 'kirana', size: 10, closed: false })).toBe(true);
+            expect(evaluate(condition, { store_type: 'kirana', size: 10, closed: true })).toBe(false);
+        });
+    });
+
+    describe('comparisons', () => {
+        it('== and != compare loosely', () => {
+            expect(evaluate({ field: 'store_type', operator: '==', value: 'kirana' }, { store_type: 'kirana' })).toBe(true);
+            expect(evaluate({ field: 'store_type', operator: '==', value: 'kirana' }, { store_type: 'chemist' })).toBe(false);
+            expect(evaluate({ field: 'size', operator: '==', value: 50 }, { size: '50' })).toBe(true);
+            expect(evaluate({ field: 'store_type', operator: '!=', value: 'kirana' }, { store_type: 'chemist' })).toBe(true);
+            expect(evaluate({ field: 'store_type', operator: '!=', value: 'kirana' }, { store_type: 'kirana' })).toBe(false);
+        });
+
+        it('defaults to ==', () => {
+            expect(evaluate({ field: 'store_type', value: 'kirana' }, { store_type: 'kirana' })).toBe(true);
+            expect(evaluate({ field: 'store_type', value: 'kirana' }, { store_type: 'chemist' })).toBe(false);
+        });
+
+        it('> and < compare numbers', () => {
+            expect(evaluate({ field: 'size', operator: '>', value: 50 }, { size: 60 })).toBe(true);
+            expect(evaluate({ field: 'size', operator: '>', value: 50 }, { size: 50 })).toBe(false);
+            expect(evaluate({ field: 'size', operator: '<', value: 50 }, { size: 40 })).toBe(true);
+            expect(evaluate({ field: 'size', operator: '<', value: 50 }, { size: 50 })).toBe(false);
+        });
+
+        it('>= and <= include the value itself', () => {
+            expect(evaluate({ field: 'size', operator: '>=', value: 50 }, { size: 50 })).toBe(true);
+            expect(evaluate({ field: 'size', operator: '>=', value: 50 }, { size: 49 })).toBe(false);
+            expect(evaluate({ field: 'size', operator: '<=', value: 50 }, { size: 50 })).toBe(true);
+            expect(evaluate({ field: 'size', operator: '<=', value: 50 }, { size: 51 })).toBe(false);
+        });
+
+        it('compares numeric strings as numbers', () => {
+            // As strings "100" < "60"
+            expect(evaluate({ field: 'size', operator: '>', value: '60' }, { size: '100' })).toBe(true);
+            expect(evaluate({ field: 'size', operator: '<', value: 60 }, { size: '9' })).toBe(true);
+            expect(evaluate({ field: 'size', operator: '>=', value: '50' }, { size: ' 50 ' })).toBe(true);
+        });
+
+        it('compares against another field', () => {
+            const condition = { field: 'stock', operator: '<', valueField: 'reorder_level' };
+
+            expect(evaluate(condition, { stock: '4', reorder_level: 10 })).toBe(true);
+            expect(evaluate(condition, { stock: 12, reorder_level: '10' })).toBe(false);
+        });
+
+        it('reads dotted paths into object values', () => {
+            const condition = { field: 'location.accuracy', operator: '<=', value: 20 };
+
+            expect(evaluate(condition, { location: { accuracy: 12 } })).toBe(true);
+            expect(evaluate(condition, { location: { accuracy: 35 } })).toBe(false);
+        });
+    });
+
+    describe('includes', () => {
+        const condition = { field: 'brands', operator: 'includes', value: 'Parle' };
+
+        it('matches an array containing the value', () => {
+            expect(evaluate(condition, { brands: ['Britannia', 'Parle'] })).toBe(true);
+            expect(evaluate(condition, { brands: ['Britannia'] })).toBe(false);
+        });
+
+        it('is false for values that are not arrays', () => {
+            expect(evaluate(condition, { brands: 'Parle' })).toBe(false);
+            expect(evaluate(condition, {})).toBe(false);
+        });
+    });
+
+    describe('empty / notEmpty', () => {
+        it('empty matches missing and blank values', () => {
+            const condition = { field: 'remarks', operator: 'empty' };
+
+            expect(evaluate(condition, {})).toBe(true);
+            expect(evaluate(condition, { remarks: '' })).toBe(true);
+            expect(evaluate(condition, { remarks: null })).toBe(true);
+            expect(evaluate(condition, { remarks: [] })).toBe(true);
+            expect(evaluate(condition, { remarks: {} })).toBe(true);
+            expect(evaluate(condition, { remarks: 'Closed on Sundays' })).toBe(false);
+            expect(evaluate(condition, { remarks: ['a'] })).toBe(false);
+        });
+
+        it('notEmpty is the opposite', () => {
+            const condition = { field: 'remarks', operator: 'notEmpty' };
+
+            expect(evaluate(condition, { remarks: 'Closed on Sundays' })).toBe(true);
+            expect(evaluate(condition, { remarks: '' })).toBe(false);
+            expect(evaluate(condition, {})).toBe(false);
+        });
+    });
+
+    describe('in / notIn', () => {
+        const condition = { field: 'city', operator: 'in', value: ['Pune', 'Mumbai'] };
+
+        it('matches a value in the list', () => {
+            expect(evaluate(condition, { city: 'Pune' })).toBe(true);
+            expect(evaluate(condition, { city: 'Delhi' })).toBe(false);
+        });
+
+        it('matches an array value when any entry is in the list', () => {
+            expect(evaluate(condition, { city: ['Delhi', 'Mumbai'] })).toBe(true);
+            expect(evaluate(condition, { city: ['Delhi'] })).toBe(false);
+        });
+
+        it('accepts a single value as the list', () => {
+            expect(evaluate({ field: 'city', operator: 'in', value: 'Pune' }, { city: 'Pune' })).toBe(true);
+        });
+
+        it('notIn is the opposite', () => {
+            const notIn = { ...condition, operator: 'notIn' };
+
+            expect(evaluate(notIn, { city: 'Delhi' })).toBe(true);
+            expect(evaluate(notIn, { city: 'Pune' })).toBe(false);
+            expect(evaluate(notIn, {})).toBe(true);
+        });
+    });
+
+    describe('matches', () => {
+        it('tests a pattern string', () => {
+            const condition = { field: 'pincode', operator: 'matches', value: '^4\\d{5}$' };
+
+            expect(evaluate(condition, { pincode: '411001' })).toBe(true);
+            expect(evaluate(condition, { pincode: '560001' })).toBe(false);
+        });
+
+        it('accepts flags', () => {
+            const condition = { field: 'name', operator: 'matches', value: { pattern: '^shree', flags: 'i' } };
+            expect(evaluate(condition, { name: 'SHREE Stores' })).toBe(true);
+        });
+
+        it('is false for missing values and invalid patterns', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(evaluate({ field: 'name', operator: 'matches', value: 'a' }, {})).toBe(false);
+            expect(evaluate({ field: 'name', operator: 'matches', value: '(' }, { name: 'a' })).toBe(false);
+        });
+
+        it('is false without a pattern', () => {
+            expect(evaluate({ field: 'name', operator: 'matches', value: null }, { name: 'null' })).toBe(false);
+            expect(evaluate({ field: 'name', operator: 'matches' }, { name: 'a' })).toBe(false);
+        });
+    });
+
+    describe('dates', () => {
+        it('before and after compare dates', () => {
+            const data = { visit: '2025-03-10', last_visit: '2025-02-01' };
+
+            expect(evaluate({ field: 'visit', operator: 'before', value: '2025-04-01' }, data)).toBe(true);
+            expect(evaluate({ field: 'visit', operator: 'before', value: '2025-03-01' }, data)).toBe(false);
+            expect(evaluate({ field: 'visit', operator: 'after', valueField: 'last_visit' }, data)).toBe(true);
+            expect(evaluate({ field: 'last_visit', operator: 'after', valueField: 'visit' }, data)).toBe(false);
+        });
+
+        it('before and after are false when a date is missing or invalid', () => {
+            expect(evaluate({ field: 'visit', operator: 'before', value: '2025-04-01' }, {})).toBe(false);
+            expect(evaluate({ field: 'visit', operator: 'after', value: 'soon' }, { visit: '2025-03-10' })).toBe(false);
+        });
+
+        it('sameDay ignores the time of day', () => {
+            const condition = { field: 'visit', operator: 'sameDay', value: new Date(2025, 2, 10, 9, 0) };
+
+            expect(evaluate(condition, { visit: new Date(2025, 2, 10, 18, 30) })).toBe(true);
+            expect(evaluate(condition, { visit: new Date(2025, 2, 11, 9, 0) })).toBe(false);
+        });
+
+        it('understands today', () => {
+            vi.useFakeTimers();
+            vi.setSystemTime(new Date(2025, 2, 10, 15, 0));
+
+            expect(evaluate({ field: 'visit', operator: 'sameDay', value: 'today' }, { visit: new Date(2025, 2, 10, 8, 0) })).toBe(true);
+            expect(evaluate({ field: 'visit', operator: 'before', value: 'today' }, { visit: new Date(2025, 2, 9) })).toBe(true);
+            expect(evaluate({ field: 'visit', operator: 'after', value: 'today' }, { visit: new Date(2025, 2, 9) })).toBe(false);
+        });
+    });
+
+    describe('operator lookup', () => {
+        it('ignores unknown operators', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            expect(evaluate({ field: 'a', operator: 'unknown', value: 1 }, { a: 2 })).toBe(true);
+        });
+
+        it('does not resolve operators through the prototype', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            expect(evaluate({ field: 'a', operator: 'constructor', value: 1 }, { a: 2 })).toBe(true);
+            expect(warn).toHaveBeenCalledWith('Unknown condition operator: constructor');
+        });
+    });
+});
+
+describe('conditions.getDependencies', () => {
+    it('collects fields from nested groups', () => {
+        const condition = {
+            all: [
+                { field: 'location.accuracy', operator: '<', value: 20 },
+                { not: { field: 'visit', operator: 'after', valueField: 'last_visit' } }
+            ]
+        };
+
+        expect(getDependencies(condition)).toEqual(['location', 'visit', 'last_visit']);
+    });
+});
+
+describe('conditions.isVisible', () => {
+    it('shows elements until their fields are answered', () => {
+        const condition = { field: 'store_type', value: 'kirana' };
+
+        expect(isVisible(condition, {})).toBe(true);
+        expect(isVisible(condition, { store_type: 'chemist' })).toBe(false);
+    });
+});
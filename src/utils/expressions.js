@@ -0,0 +1,379 @@
+import { getNestedValue } from './helper';
+
+// Arithmetic/comparison expressions for calculated fields, e.g.
+//   qty * price
+//   round(sum(item_a, item_b) / 2, 1)
+//   age(date_of_birth)
+//   if(count(facilities) >= 3, 'A', 'B')
+// Identifiers refer to form fields (dotted paths reach into object values).
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][\w.]*)|(==|!=|>=|<=|&&|\|\||[-+*/%()<>!,?:]))/y;
+
+// Split an expression into tokens
+function tokenize(source) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        if (source.slice(TOKEN_PATTERN.lastIndex).trim() === '') break;
+
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+
+        if (!match) {
+            throw new Error(`Unexpected character at position ${start}`);
+        }
+
+        const [, number, string, identifier, operator] = match;
+
+        if (number !== undefined) tokens.push({ type: 'number', value: Number(number) });
+        else if (string !== undefined) tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+        else if (identifier !== undefined) tokens.push({ type: 'identifier', value: identifier });
+        else tokens.push({ type: 'operator', value: operator });
+    }
+
+    return tokens;
+}
+
+// Recursive descent parser producing a small AST
+function parse(source) {
+    const tokens = tokenize(source);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+
+    const expect = (value) => {
+        if (!isOperator(value)) {
+            throw new Error(`Expected "${value}"`);
+        }
+        position++;
+    };
+
+    const binary = (next, ...ops) => () => {
+        let left = next();
+        while (isOperator(...ops)) {
+            const op = tokens[position++].value;
+            left = { type: 'binary', op, left, right: next() };
+        }
+        return left;
+    };
+
+    const primary = () => {
+        const token = tokens[position++];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true' };
+            }
+            if (token.value === 'null') {
+                return { type: 'literal', value: null };
+            }
+
+            // Function call
+            if (isOperator('(')) {
+                position++;
+                const args = [];
+                if (!isOperator(')')) {
+                    args.push(expression());
+                    while (isOperator(',')) {
+                        position++;
+                        args.push(expression());
+                    }
+                }
+                expect(')');
+                return { type: 'call', name: token.value, args };
+            }
+
+            return { type: 'field', name: token.value };
+        }
+
+        if (token.value === '(') {
+            const inner = expression();
+            expect(')');
+            return inner;
+        }
+
+        throw new Error(`Unexpected "${token.value}"`);
+    };
+
+    const unary = () => {
+        if (isOperator('-', '!')) {
+            const op = tokens[position++].value;
+            return { type: 'unary', op, operand: unary() };
+        }
+        return primary();
+    };
+
+    const multiplicative = binary(unary, '*', '/', '%');
+    const additive = binary(multiplicative, '+', '-');
+    const comparison = binary(additive, '==', '!=', '>', '<', '>=', '<=');
+    const and = binary(comparison, '&&');
+    const or = binary(and, '||');
+
+    function expression() {
+        const condition = or();
+        if (isOperator('?')) {
+            position++;
+            const consequent = expression();
+            expect(':');
+            return { type: 'conditional', condition, consequent, alternate: expression() };
+        }
+        return condition;
+    }
+
+    const ast = expression();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position].value}"`);
+    }
+    return ast;
+}
+
+// Convert to a number; blanks and non-numeric values become null
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+}
+
+function toDate(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function flatten(args) {
+    return args.flatMap(arg => (Array.isArray(arg) ? arg : [arg]));
+}
+
+// Functions available to expressions
+const functions = {
+    sum: (...args) => flatten(args).reduce((total, value) => total + (toNumber(value) || 0), 0),
+    min: (...args) => {
+        const numbers = flatten(args).map(toNumber).filter(value => value !== null);
+        return numbers.length ? Math.min(...numbers) : null;
+    },
+    max: (...args) => {
+        const numbers = flatten(args).map(toNumber).filter(value => value !== null);
+        return numbers.length ? Math.max(...numbers) : null;
+    },
+    round: (value, digits = 0) => {
+        const number = toNumber(value);
+        if (number === null) return null;
+        const factor = Math.pow(10, digits);
+        return Math.round(number * factor) / factor;
+    },
+    floor: (value) => (toNumber(value) === null ? null : Math.floor(toNumber(value))),
+    ceil: (value) => (toNumber(value) === null ? null : Math.ceil(toNumber(value))),
+    abs: (value) => (toNumber(value) === null ? null : Math.abs(toNumber(value))),
+
+    // Number of selected options for array values, 1/0 for single values
+    count: (value) => {
+        if (Array.isArray(value)) return value.length;
+        return value === undefined || value === null || value === '' || value === false ? 0 : 1;
+    },
+
+    if: (condition, consequent, alternate = null) => (condition ? consequent : alternate),
+    concat: (...args) => args.filter(value => value !== undefined && value !== null).join(''),
+
+    // Date helpers
+    // The local date; toISOString() would give the UTC one (yesterday in
+    // India before 05:30)
+    today: () => {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    },
+    age: (value) => {
+        const date = toDate(value);
+        if (!date) return null;
+        const now = new Date();
+        let years = now.getFullYear() - date.getFullYear();
+        const beforeBirthday = now.getMonth() < date.getMonth() ||
+            (now.getMonth() === date.getMonth() && now.getDate() < date.getDate());
+        if (beforeBirthday) years--;
+        return years;
+    },
+    daysBetween: (from, to) => {
+        const start = toDate(from);
+        const end = toDate(to);
+        if (!start || !end) return null;
+        return Math.round((end - start) / (24 * 60 * 60 * 1000));
+    }
+};
+
+function arithmetic(op, left, right) {
+    // "+" concatenates when either side is non-numeric text
+    const isText = (value) => typeof value === 'string' && value !== '' && toNumber(value) === null;
+    if (op === '+' && (isText(left) || isText(right))) {
+        return `${left ?? ''}${right ?? ''}`;
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    if (a === null || b === null) return null;
+
+    switch (op) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return b === 0 ? null : a / b;
+        case '%': return b === 0 ? null : a % b;
+        default: return null;
+    }
+}
+
+function compare(op, left, right) {
+    const a = toNumber(left) !== null && toNumber(right) !== null ? toNumber(left) : left;
+    const b = toNumber(left) !== null && toNumber(right) !== null ? toNumber(right) : right;
+
+    switch (op) {
+        case '==': return a == b;
+        case '!=': return a != b;
+        case '>': return a > b;
+        case '<': return a < b;
+        case '>=': return a >= b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+function evaluateNode(node, formData) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'field':
+            return Object.prototype.hasOwnProperty.call(formData, node.name)
+                ? formData[node.name]
+                : getNestedValue(formData, node.name);
+
+        case 'unary': {
+            const value = evaluateNode(node.operand, formData);
+            if (node.op === '!') return !value;
+            const number = toNumber(value);
+            return number === null ? null : -number;
+        }
+
+        case 'binary': {
+            if (node.op === '&&') {
+                return evaluateNode(node.left, formData) && evaluateNode(node.right, formData);
+            }
+            if (node.op === '||') {
+                return evaluateNode(node.left, formData) || evaluateNode(node.right, formData);
+            }
+
+            const left = evaluateNode(node.left, formData);
+            const right = evaluateNode(node.right, formData);
+
+            return ['+', '-', '*', '/', '%'].includes(node.op)
+                ? arithmetic(node.op, left, right)
+                : compare(node.op, left, right);
+        }
+
+        case 'conditional':
+            return evaluateNode(node.condition, formData)
+                ? evaluateNode(node.consequent, formData)
+                : evaluateNode(node.alternate, formData);
+
+        case 'call': {
+            const fn = Object.prototype.hasOwnProperty.call(functions, node.name)
+                ? functions[node.name]
+                : null;
+            if (!fn) throw new Error(`Unknown function: ${node.name}`);
+            return fn(...node.args.map(arg => evaluateNode(arg, formData)));
+        }
+
+        default:
+            throw new Error(`Unknown expression node: ${node.type}`);
+    }
+}
+
+// Parsed expressions are cached since they are re-evaluated on every change
+const cache = new Map();
+
+/**
+ * Parse an expression, throwing a descriptive error if it is invalid
+ * @param {string} source - The expression source
+ * @returns {Object} The parsed expression
+ */
+function compile(source) {
+    if (!cache.has(source)) {
+        try {
+            cache.set(source, parse(String(source)));
+        } catch (error) {
+            throw new Error(`Invalid expression "${source}": ${error.message}`);
+        }
+    }
+    return cache.get(source);
+}
+
+/**
+ * Evaluate an expression against form data
+ * @param {string} source - The expression source
+ * @param {Object} formData - Current form values
+ * @returns {*} The result, or null when inputs are missing
+ */
+function evaluate(source, formData = {}) {
+    const result = evaluateNode(compile(source), formData);
+    return typeof result === 'number' && !isFinite(result) ? null : result;
+}
+
+/**
+ * Collect the field names an expression refers to
+ * @param {string} source - The expression source
+ * @returns {Array<string>} Unique field names
+ */
+function getDependencies(source) {
+    const dependencies = new Set();
+
+    const collect = (node) => {
+        switch (node.type) {
+            case 'field':
+                dependencies.add(node.name.split('.')[0]);
+                break;
+            case 'unary':
+                collect(node.operand);
+                break;
+            case 'binary':
+                collect(node.left);
+                collect(node.right);
+                break;
+            case 'conditional':
+                collect(node.condition);
+                collect(node.consequent);
+                collect(node.alternate);
+                break;
+            case 'call':
+                node.args.forEach(collect);
+                break;
+        }
+    };
+
+    collect(compile(source));
+    return Array.from(dependencies);
+}
+
+// Add a custom expression function
+function addFunction(name, fn) {
+    if (Object.prototype.hasOwnProperty.call(functions, name)) {
+        console.warn(`Overriding existing expression function: ${name}`);
+    }
+
+    functions[name] = fn;
+}
+
+export default {
+    functions,
+    compile,
+    evaluate,
+    getDependencies,
+    addFunction
+};
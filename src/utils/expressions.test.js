@@ -0,0 +1,178 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import expressions from './expressions';
+
+const { evaluate, getDependencies } = expressions;
+
+describe('expressions.evaluate', () => {
+    describe('arithmetic', () => {
+        it('follows operator precedence', () => {
+            expect(evaluate('2 + 3 * 4')).toBe(14);
+            expect(evaluate('(2 + 3) * 4')).toBe(20);
+            expect(evaluate('10 - 4 - 3')).toBe(3);
+            expect(evaluate('12 / 3 / 2')).toBe(2);
+            expect(evaluate('-2 * 3 + 10 % 4')).toBe(-4);
+        });
+
+        it('works on field values, including numeric strings', () => {
+            expect(evaluate('qty * price', { qty: '3', price: 12.5 })).toBe(37.5);
+            expect(evaluate('location.accuracy / 2', { location: { accuracy: 30 } })).toBe(15);
+        });
+
+        it('is null when an input is missing or not a number', () => {
+            expect(evaluate('qty * price', { qty: 3 })).toBe(null);
+            expect(evaluate('qty * price', { qty: 3, price: '' })).toBe(null);
+            expect(evaluate('qty - 1', { qty: 'many' })).toBe(null);
+        });
+
+        it('is null when dividing by zero', () => {
+            expect(evaluate('total / visits', { total: 10, visits: 0 })).toBe(null);
+            expect(evaluate('total % 0', { total: 10 })).toBe(null);
+        });
+
+        it('concatenates text with +', () => {
+            expect(evaluate("first + ' ' + last", { first: 'Asha', last: 'Patil' })).toBe('Asha Patil');
+            expect(evaluate("'Beat ' + 4")).toBe('Beat 4');
+        });
+    });
+
+    describe('comparison and logic', () => {
+        it('compares numbers, also when given as strings', () => {
+            expect(evaluate('size > 50', { size: '100' })).toBe(true);
+            expect(evaluate('size <= 50', { size: 50 })).toBe(true);
+            expect(evaluate('size >= 50', { size: '9' })).toBe(false);
+            expect(evaluate('size == 50', { size: '50' })).toBe(true);
+            expect(evaluate("type != 'kirana'", { type: 'chemist' })).toBe(true);
+        });
+
+        it('combines with && and || and negates with !', () => {
+            const data = { size: 60, type: 'kirana' };
+
+            expect(evaluate("size > 50 && type == 'kirana'", data)).toBe(true);
+            expect(evaluate("size > 100 || type == 'chemist'", data)).toBe(false);
+            expect(evaluate('!(size > 50)', data)).toBe(false);
+        });
+
+        it('binds && tighter than ||', () => {
+            expect(evaluate('true || false && false')).toBe(true);
+            expect(evaluate('(true || false) && false')).toBe(false);
+        });
+
+        it('evaluates the ternary operator', () => {
+            expect(evaluate("score >= 80 ? 'A' : score >= 50 ? 'B' : 'C'", { score: 65 })).toBe('B');
+            expect(evaluate("score >= 80 ? 'A' : 'B'", { score: 90 })).toBe('A');
+        });
+
+        it('knows true, false and null', () => {
+            expect(evaluate('true')).toBe(true);
+            expect(evaluate('false')).toBe(false);
+            expect(evaluate('null')).toBe(null);
+        });
+    });
+
+    describe('functions', () => {
+        it('sum, min and max skip blanks and flatten arrays', () => {
+            expect(evaluate('sum(a, b, c)', { a: 1, b: '2', c: '' })).toBe(3);
+            expect(evaluate('sum(items)', { items: [1, 2, 3] })).toBe(6);
+            expect(evaluate('min(a, b)', { a: 4, b: 2 })).toBe(2);
+            expect(evaluate('max(a, b, c)', { a: 4, b: null, c: 7 })).toBe(7);
+            expect(evaluate('max(a)', {})).toBe(null);
+        });
+
+        it('round, floor, ceil and abs', () => {
+            expect(evaluate('round(2.345, 2)')).toBe(2.35);
+            expect(evaluate('round(2.5)')).toBe(3);
+            expect(evaluate('floor(2.7)')).toBe(2);
+            expect(evaluate('ceil(2.1)')).toBe(3);
+            expect(evaluate('abs(-4)')).toBe(4);
+            expect(evaluate('round(missing)')).toBe(null);
+        });
+
+        it('count counts selections', () => {
+            expect(evaluate('count(facilities)', { facilities: ['fridge', 'shelf'] })).toBe(2);
+            expect(evaluate('count(facilities)', { facilities: 'fridge' })).toBe(1);
+            expect(evaluate('count(facilities)', {})).toBe(0);
+        });
+
+        it('if and concat', () => {
+            expect(evaluate("if(count(facilities) >= 2, 'A', 'B')", { facilities: ['fridge', 'shelf'] })).toBe('A');
+            expect(evaluate("if(false, 'A')")).toBe(null);
+            expect(evaluate("concat(city, '-', pincode)", { city: 'Pune', pincode: 411001 })).toBe('Pune-411001');
+        });
+
+        describe('dates', () => {
+            afterEach(() => {
+                vi.useRealTimers();
+            });
+
+            it('age counts full years', () => {
+                vi.useFakeTimers();
+                vi.setSystemTime(new Date(2025, 2, 10, 12, 0));
+
+                expect(evaluate('age(dob)', { dob: '1990-03-10' })).toBe(35);
+                expect(evaluate('age(dob)', { dob: '1990-03-11' })).toBe(34);
+                expect(evaluate('age(dob)', {})).toBe(null);
+            });
+
+            it('daysBetween counts days', () => {
+                expect(evaluate('daysBetween(from, to)', { from: '2025-03-01', to: '2025-03-10' })).toBe(9);
+                expect(evaluate('daysBetween(from, to)', { from: '2025-03-01' })).toBe(null);
+            });
+        });
+
+        it('can be extended', () => {
+            expressions.addFunction('double', value => value * 2);
+            expect(evaluate('double(4)')).toBe(8);
+        });
+    });
+
+    describe('errors', () => {
+        it('treats unknown identifiers as unanswered fields', () => {
+            expect(evaluate('unknown_field')).toBe(undefined);
+            expect(evaluate('unknown_field + 1')).toBe(null);
+        });
+
+        it('rejects unknown functions, including prototype members', () => {
+            expect(() => evaluate('nope(1)')).toThrow('Unknown function: nope');
+            expect(() => evaluate('constructor(1)')).toThrow('Unknown function: constructor');
+            expect(() => evaluate('toString()')).toThrow('Unknown function: toString');
+        });
+
+        it('reports syntax errors', () => {
+            expect(() => evaluate('1 +')).toThrow('Invalid expression "1 +": Unexpected end of expression');
+            expect(() => evaluate('(1 + 2')).toThrow('Expected ")"');
+            expect(() => evaluate('1 2')).toThrow('Unexpected "2"');
+            expect(() => evaluate('a ? 1')).toThrow('Expected ":"');
+            expect(() => evaluate('qty # 2')).toThrow('Unexpected character at position 3');
+        });
+    });
+});
+
+describe('expressions.getDependencies', () => {
+    it('collects field names but not functions or literals', () => {
+        expect(getDependencies("if(location.accuracy < 20, qty * price, concat(note, 'x'))"))
+            .toEqual(['location', 'qty', 'price', 'note']);
+    });
+});
+
+describe('expressions today()', () => {
+    const timezone = process.env.TZ;
+
+    afterEach(() => {
+        vi.useRealTimers();
+
+        if (timezone === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = timezone;
+        }
+    });
+
+    it('returns the local date, not the UTC one', () => {
+        process.env.TZ = 'Asia/Kolkata';
+        vi.useFakeTimers();
+        // 01:00 IST on 10 March is still 9 March in UTC
+        vi.setSystemTime(new Date('2025-03-09T19:30:00Z'));
+
+        expect(evaluate('today()')).toBe('2025-03-10');
+    });
+});
@@ -0,0 +1,239 @@
+// Region-aware value formats for fields, selected in the template with
+//   { type: 'tel', format: 'mobile' }
+//   { type: 'text', format: { type: 'postalCode', region: 'AE' } }
+// The region falls back to the template's `region`, then DEFAULT_REGION.
+// Each format checks a value and returns its normalized form (or null when
+// invalid), which is what gets stored.
+
+const DEFAULT_REGION = 'IN';
+
+// Per-market phone and postal code rules. Mobile patterns describe the
+// national number without the trunk prefix.
+const regions = {
+    IN: { callingCode: '91', mobile: /^[6-9]\d{9}$/, postalCode: /^[1-9]\d{5}$/, postalLabel: 'PIN code' },
+    AE: { callingCode: '971', mobile: /^5[0-9]\d{7}$/, postalCode: null },
+    SG: { callingCode: '65', mobile: /^[89]\d{7}$/, postalCode: /^\d{6}$/ },
+    BD: { callingCode: '880', mobile: /^1[3-9]\d{8}$/, postalCode: /^\d{4}$/ },
+    LK: { callingCode: '94', mobile: /^7\d{8}$/, postalCode: /^\d{5}$/ },
+    NP: { callingCode: '977', mobile: /^9[78]\d{8}$/, postalCode: /^\d{5}$/ },
+    GB: { callingCode: '44', mobile: /^7\d{9}$/, postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, postalLabel: 'postcode' },
+    US: { callingCode: '1', mobile: /^[2-9]\d{2}[2-9]\d{6}$/, postalCode: /^\d{5}(-\d{4})?$/, postalLabel: 'ZIP code' }
+};
+
+const ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Verhoeff checksum tables (used by Aadhaar)
+const VERHOEFF_D = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function verhoeffValid(digits) {
+    let check = 0;
+    digits.split('').reverse().forEach((digit, index) => {
+        check = VERHOEFF_D[check][VERHOEFF_P[index % 8][Number(digit)]];
+    });
+    return check === 0;
+}
+
+// GSTIN check character: weighted sum of the first 14 characters in base 36
+function gstinCheckCharacter(gstin) {
+    let sum = 0;
+
+    for (let i = 0; i < 14; i++) {
+        const product = ALPHANUMERIC.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+
+    return ALPHANUMERIC[(36 - (sum % 36)) % 36];
+}
+
+function getRegion(region) {
+    return regions[region] || regions[DEFAULT_REGION];
+}
+
+function clean(value) {
+    return String(value).toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Mobile number in E.164 form (+919876543210); accepts national numbers with
+// or without the trunk prefix and international ones with + or 00
+function normalizeMobile(value, region) {
+    const { callingCode, mobile } = getRegion(region);
+    let digits = String(value).trim().replace(/[\s\-().]/g, '');
+
+    if (digits.startsWith('+')) {
+        digits = digits.slice(1);
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else {
+        digits = digits.replace(/^0+/, '');
+        if (mobile.test(digits)) return `+${callingCode}${digits}`;
+    }
+
+    if (!/^\d+$/.test(digits) || !digits.startsWith(callingCode)) return null;
+
+    const national = digits.slice(callingCode.length).replace(/^0/, '');
+    return mobile.test(national) ? `+${callingCode}${national}` : null;
+}
+
+function normalizePostalCode(value, region) {
+    const { postalCode } = getRegion(region);
+    const code = String(value).trim().toUpperCase().replace(/\s+/g, ' ');
+
+    if (!postalCode) return code;
+    return postalCode.test(code) ? code : null;
+}
+
+// 15 characters: state code, PAN, entity number, 'Z', check character
+function normalizeGSTIN(value) {
+    const gstin = clean(value);
+
+    if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin)) return null;
+    return gstinCheckCharacter(gstin) === gstin[14] ? gstin : null;
+}
+
+// Fourth character is the holder type (P = individual, C = company, ...)
+function normalizePAN(value) {
+    const pan = clean(value);
+    return /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/.test(pan) ? pan : null;
+}
+
+// Only the last four digits of an Aadhaar number are kept; the full number is
+// checked (Verhoeff) at entry. Already-masked values are accepted as-is.
+function normalizeAadhaar(value) {
+    const aadhaar = clean(value);
+
+    if (/^X{8}\d{4}$/.test(aadhaar)) {
+        return `XXXX XXXX ${aadhaar.slice(8)}`;
+    }
+
+    if (!/^[2-9]\d{11}$/.test(aadhaar) || !verhoeffValid(aadhaar)) return null;
+    return `XXXX XXXX ${aadhaar.slice(8)}`;
+}
+
+// Bank branch code: 4-letter bank code, 0, 6-character branch code
+function normalizeIFSC(value) {
+    const ifsc = clean(value);
+    return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc) ? ifsc : null;
+}
+
+// Available formats: normalize(value, region) and the message shown when invalid
+const formats = {
+    mobile: {
+        normalize: normalizeMobile,
+        message: () => 'Please enter a valid mobile number'
+    },
+    postalCode: {
+        normalize: normalizePostalCode,
+        message: (region) => `Please enter a valid ${getRegion(region).postalLabel || 'postal code'}`
+    },
+    gstin: {
+        normalize: normalizeGSTIN,
+        message: () => 'Please enter a valid GSTIN'
+    },
+    pan: {
+        normalize: normalizePAN,
+        message: () => 'Please enter a valid PAN'
+    },
+    aadhaar: {
+        normalize: normalizeAadhaar,
+        message: () => 'Please enter a valid Aadhaar number'
+    },
+    ifsc: {
+        normalize: normalizeIFSC,
+        message: () => 'Please enter a valid IFSC code'
+    }
+};
+
+/**
+ * Read a field's `format` setting
+ * @param {string|Object} format - Format name or { type, region }
+ * @param {string} defaultRegion - Region to use when the format doesn't name one
+ * @returns {Object|null} { type, region } or null for unknown formats
+ */
+function parseFormat(format, defaultRegion = DEFAULT_REGION) {
+    if (!format) return null;
+
+    const { type, region } = typeof format === 'string' ? { type: format } : format;
+
+    if (!formats[type]) {
+        console.warn(`Unknown field format: ${type}`);
+        return null;
+    }
+
+    return { type, region: region || defaultRegion || DEFAULT_REGION };
+}
+
+/**
+ * Normalize a value to the stored form of a format
+ * @param {string} type - Format name
+ * @param {*} value - The entered value
+ * @param {string} region - Region code, e.g. 'IN'
+ * @returns {string|null} The normalized value, or null if the value is invalid
+ */
+function normalize(type, value, region = DEFAULT_REGION) {
+    if (!formats[type] || value === undefined || value === null || value === '') return null;
+    return formats[type].normalize(value, region);
+}
+
+/**
+ * Check a value against a format
+ * @param {string} type - Format name
+ * @param {*} value - The entered value
+ * @param {string} region - Region code
+ * @returns {string|null} Error message, or null when valid
+ */
+function validate(type, value, region = DEFAULT_REGION) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (!formats[type]) {
+        console.warn(`Unknown field format: ${type}`);
+        return null;
+    }
+
+    return normalize(type, value, region) === null ? formats[type].message(region) : null;
+}
+
+// Add or replace a market's phone/postal rules
+function addRegion(code, definition) {
+    regions[code] = { ...regions[code], ...definition };
+}
+
+// Add a custom format
+function addFormat(name, format) {
+    if (formats[name]) {
+        console.warn(`Overriding existing field format: ${name}`);
+    }
+
+    formats[name] = format;
+}
+
+export default {
+    DEFAULT_REGION,
+    regions,
+    formats,
+    parseFormat,
+    normalize,
+    validate,
+    addRegion,
+    addFormat
+};
@@ -0,0 +1,191 @@
+// Expected-location checks for geolocation fields. A template declares
+//   geofence: { center: { latitude, longitude }, radius: 100 }
+//   geofence: { center: { field: 'storeLocation' }, radius: 100 }
+//   geofence: { polygon: [[lat, lng], [lat, lng], ...] }
+// plus `maxAccuracy` (metres) on the field. A capture outside the fence or
+// less accurate than required is flagged; with `enforce: true` on the
+// geofence it also blocks submission. The check result is kept in the field
+// value for QC.
+
+const EARTH_RADIUS = 6371000; // metres
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Accept { latitude, longitude }, { lat, lng } or [lat, lng]
+function toPoint(value) {
+    if (!value) return null;
+
+    const [latitude, longitude] = Array.isArray(value)
+        ? value
+        : [value.latitude ?? value.lat, value.longitude ?? value.lng];
+
+    if (!isFinite(latitude) || !isFinite(longitude) || latitude === null || longitude === null) {
+        return null;
+    }
+
+    return { latitude: Number(latitude), longitude: Number(longitude) };
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in metres
+ */
+function distanceMeters(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Position of `point` in metres east/north of `origin`. Accurate enough at
+// the scale of a store or a neighbourhood.
+function project(point, origin) {
+    return {
+        x: toRadians(point.longitude - origin.longitude) * Math.cos(toRadians(origin.latitude)) * EARTH_RADIUS,
+        y: toRadians(point.latitude - origin.latitude) * EARTH_RADIUS
+    };
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared));
+
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+/**
+ * Whether a point is inside a polygon and how far it is from the boundary
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object[]} polygon - Vertices as { latitude, longitude }
+ * @returns {Object} { inside, edgeDistance } - edgeDistance in metres
+ */
+function checkPolygon(point, polygon) {
+    const p = { x: 0, y: 0 };
+    const vertices = polygon.map(vertex => project(vertex, point));
+    let inside = false;
+    let edgeDistance = Infinity;
+
+    for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+        const a = vertices[i];
+        const b = vertices[j];
+
+        // Ray casting along +x
+        if ((a.y > p.y) !== (b.y > p.y) && p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+
+        edgeDistance = Math.min(edgeDistance, distanceToSegment(p, a, b));
+    }
+
+    return { inside, edgeDistance };
+}
+
+/**
+ * Turn a template geofence into coordinates, looking up a center taken
+ * from another field
+ * @param {Object} definition - The field's `geofence`
+ * @param {Object} allValues - All form values
+ * @returns {Object|null} { type: 'circle', center, radius, enforce } or
+ *   { type: 'polygon', polygon, enforce }; null when there's nothing to check against yet
+ */
+function resolveFence(definition, allValues = {}) {
+    if (!definition) return null;
+
+    const enforce = Boolean(definition.enforce);
+
+    if (Array.isArray(definition.polygon)) {
+        const polygon = definition.polygon.map(toPoint).filter(Boolean);
+        return polygon.length >= 3 ? { type: 'polygon', polygon, enforce } : null;
+    }
+
+    const centerValue = definition.center && definition.center.field
+        ? allValues[definition.center.field]
+        : definition.center;
+    const center = toPoint(centerValue);
+
+    if (!center || !(definition.radius > 0)) return null;
+
+    return { type: 'circle', center, radius: Number(definition.radius), enforce };
+}
+
+/**
+ * Check a captured location against a fence and an accuracy limit
+ * @param {Object} location - { latitude, longitude, accuracy }
+ * @param {Object|null} fence - From resolveFence
+ * @param {number} maxAccuracy - Largest acceptable accuracy radius in metres
+ * @returns {Object} { type, inside, distance, deviation, uncertain, accuracy,
+ *   maxAccuracy, accuracyOk, checkedAt }. `distance` is from the center (circle)
+ *   or the boundary (polygon); `deviation` is how far outside the fence the
+ *   capture is (0 inside); `uncertain` means the accuracy circle reaches into the fence.
+ */
+function check(location, fence, maxAccuracy = null) {
+    const point = toPoint(location);
+    const accuracy = location && isFinite(location.accuracy) ? location.accuracy : null;
+    const accuracyOk = !maxAccuracy || (accuracy !== null && accuracy <= maxAccuracy);
+
+    const result = {
+        type: fence ? fence.type : null,
+        inside: null,
+        distance: null,
+        deviation: null,
+        uncertain: false,
+        accuracy,
+        maxAccuracy: maxAccuracy || null,
+        accuracyOk,
+        checkedAt: new Date().toISOString()
+    };
+
+    if (!point || !fence) return result;
+
+    if (fence.type === 'circle') {
+        const distance = distanceMeters(point, fence.center);
+        result.distance = Math.round(distance);
+        result.deviation = Math.max(0, Math.round(distance - fence.radius));
+    } else {
+        const { inside, edgeDistance } = checkPolygon(point, fence.polygon);
+        result.distance = Math.round(edgeDistance);
+        result.deviation = inside ? 0 : Math.round(edgeDistance);
+    }
+
+    result.inside = result.deviation === 0;
+    result.uncertain = !result.inside && accuracy !== null && result.deviation <= accuracy;
+
+    return result;
+}
+
+/**
+ * Describe a failed check for the person capturing
+ * @param {Object} result - From check
+ * @returns {string|null} Message, or null when the check passed
+ */
+function describe(result) {
+    if (!result) return null;
+
+    if (!result.accuracyOk) {
+        return result.accuracy === null
+            ? `Location accuracy is unknown; it must be within ±${result.maxAccuracy} m`
+            : `Location is only accurate to ±${Math.round(result.accuracy)} m (±${result.maxAccuracy} m needed). Move to open sky and update.`;
+    }
+
+    if (result.inside === false) {
+        return `You are ${result.deviation} m outside the expected location`;
+    }
+
+    return null;
+}
+
+export default {
+    distanceMeters,
+    checkPolygon,
+    resolveFence,
+    check,
+    describe
+};
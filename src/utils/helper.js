@@ -1,3 +1,5 @@
+import imageCompression from './imageCompression';
+
 /**
  * Create a debounced function that delays invoking the provided function
  * until after the specified wait time has elapsed since the last invocation.
@@ -185,52 +187,45 @@ export const blobToDataUrl = (blob) => {
 };
 
 /**
- * Compress an image
+ * Compute a SHA-256 checksum of a Blob or ArrayBuffer
+ * @param {Blob|ArrayBuffer} data - The data to hash
+ * @param {string} encoding - 'hex' or 'base64'
+ * @returns {Promise<string|null>} The checksum, or null where Web Crypto is unavailable (insecure context)
+ */
+export const computeChecksum = async (data, encoding = 'hex') => {
+    if (!window.crypto || !window.crypto.subtle) return null;
+
+    const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+    const bytes = new Uint8Array(await window.crypto.subtle.digest('SHA-256', buffer));
+
+    if (encoding === 'base64') {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Compress an image given as a data URL. Runs the shared compression
+ * pipeline (off the main thread where supported).
  * @param {string} dataUrl - The data URL of the image
  * @param {Object} options - Compression options
  * @param {number} options.maxWidth - The maximum width of the compressed image
  * @param {number} options.maxHeight - The maximum height of the compressed image
  * @param {number} options.quality - The quality of the compressed image (0-1)
- * @returns {Promise<string>} A Promise that resolves with the compressed image data URL
+ * @returns {Promise<string>} A Promise that resolves with the compressed image data URL (WebP or JPEG)
  */
-export const compressImage = (dataUrl, options = {}) => {
+export const compressImage = async (dataUrl, options = {}) => {
     const { maxWidth = 1280, maxHeight = 720, quality = 0.8 } = options;
 
-    return new Promise((resolve, reject) => {
-        const img = new Image();
-        img.onload = () => {
-            // Calculate new dimensions
-            let width = img.width;
-            let height = img.height;
-
-            if (width > maxWidth) {
-                height = (height * maxWidth) / width;
-                width = maxWidth;
-            }
-
-            if (height > maxHeight) {
-                width = (width * maxHeight) / height;
-                height = maxHeight;
-            }
-
-            // Create canvas and context
-            const canvas = document.createElement('canvas');
-            canvas.width = width;
-            canvas.height = height;
-
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0, width, height);
-
-            // Get compressed data URL
-            const compressedDataUrl = canvas.toDataURL('image/jpeg', quality);
-            resolve(compressedDataUrl);
-        };
-
-        img.onerror = () => {
-            reject(new Error('Failed to load image'));
-        };
+    const source = await (await fetch(dataUrl)).blob();
+    const compressed = await imageCompression.compressImage(source, { maxWidth, maxHeight, quality });
 
-        img.src = dataUrl;
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Failed to read compressed image'));
+        reader.readAsDataURL(compressed);
     });
 };
 
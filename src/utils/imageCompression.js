@@ -0,0 +1,290 @@
+// Image compression shared by the compression worker and the main-thread
+// fallback. Images are decoded with createImageBitmap where possible, turned
+// upright from their EXIF orientation, scaled to fit and re-encoded as WebP
+// (JPEG where the browser can't encode WebP).
+
+const DEFAULT_OPTIONS = {
+    maxWidth: 1600,
+    maxHeight: 1200,
+    quality: 0.8
+};
+
+// Browsers that support `image-orientation` already apply the EXIF
+// orientation when they decode an image
+const decoderOrients = typeof CSS !== 'undefined' && CSS.supports
+    ? CSS.supports('image-orientation', 'from-image')
+    : false;
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const pending = new Map(); // Request ID -> { resolve, reject, file, options }
+
+/**
+ * Read the EXIF orientation and the stored pixel size of a JPEG
+ * @param {ArrayBuffer} buffer - The file contents
+ * @returns {Object} { orientation, width, height } - orientation is 1 when there is none
+ */
+function readJpegInfo(buffer) {
+    const view = new DataView(buffer);
+    const info = { orientation: 1, width: null, height: null };
+
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+        return info;
+    }
+
+    let offset = 2;
+
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+
+        // Start of scan: the image data follows, no more headers
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            info.orientation = readExifOrientation(view, offset + 10);
+        }
+
+        // Start of frame markers (not DHT, JPG or DAC) carry the size
+        if (marker >= 0xFFC0 && marker <= 0xFFCF && ![0xFFC4, 0xFFC8, 0xFFCC].includes(marker)
+            && offset + 9 <= view.byteLength) {
+            info.height = view.getUint16(offset + 5);
+            info.width = view.getUint16(offset + 7);
+        }
+
+        offset += 2 + length;
+    }
+
+    return info;
+}
+
+// Find the Orientation tag (0x0112) in IFD0 of the TIFF block at `tiff`
+function readExifOrientation(view, tiff) {
+    try {
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd, little);
+
+        for (let i = 0; i < entries; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (view.getUint16(entry, little) === 0x0112) {
+                const orientation = view.getUint16(entry + 8, little);
+                return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+        }
+    } catch (error) {
+        // Truncated or malformed EXIF; treat the image as upright
+    }
+
+    return 1;
+}
+
+/**
+ * Compress an image in an environment. Both the worker and the main thread
+ * run this with their own way of decoding and drawing.
+ * @param {Blob} file - The image
+ * @param {Object} options - { maxWidth, maxHeight, quality, decoderOrients }
+ * @param {Object} env - Environment
+ * @param {Function} env.decode - Blob -> Promise<{ image, width, height, close }>
+ * @param {Function} env.createCanvas - (width, height) -> canvas
+ * @param {Function} env.toBlob - (canvas, type, quality) -> Promise<Blob>
+ * @returns {Promise<Blob>} The compressed image, or the original when that is smaller
+ */
+async function processImage(file, options, env) {
+    const { maxWidth, maxHeight, quality } = { ...DEFAULT_OPTIONS, ...options };
+    const jpeg = readJpegInfo(await file.arrayBuffer());
+    const decoded = await env.decode(file);
+
+    try {
+        const { width, height } = decoded;
+        let orientation = jpeg.orientation;
+
+        // The decoder may already have turned the image upright. For the
+        // quarter turns that shows in the decoded size; otherwise go by
+        // what the browser is known to do.
+        if (orientation > 1) {
+            const quarterTurn = orientation >= 5;
+            const knowable = quarterTurn && jpeg.width && jpeg.height && jpeg.width !== jpeg.height;
+            const applied = knowable ? width === jpeg.height && height === jpeg.width : options.decoderOrients;
+
+            if (applied) orientation = 1;
+        }
+
+        const swap = orientation >= 5;
+        const uprightWidth = swap ? height : width;
+        const uprightHeight = swap ? width : height;
+        const scale = Math.min(1, maxWidth / uprightWidth, maxHeight / uprightHeight);
+        const drawWidth = Math.max(1, Math.round(width * scale));
+        const drawHeight = Math.max(1, Math.round(height * scale));
+        const canvas = env.createCanvas(swap ? drawHeight : drawWidth, swap ? drawWidth : drawHeight);
+
+        const draw = (background) => {
+            const ctx = canvas.getContext('2d');
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+            if (background) {
+                ctx.fillStyle = background;
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+            }
+
+            applyOrientation(ctx, orientation, drawWidth, drawHeight);
+            ctx.drawImage(decoded.image, 0, 0, drawWidth, drawHeight);
+        };
+
+        draw(null);
+        let blob = await env.toBlob(canvas, 'image/webp', quality);
+
+        // Browsers without a WebP encoder hand back PNG; use JPEG instead,
+        // on white since JPEG has no transparency
+        if (!blob || blob.type !== 'image/webp') {
+            draw('#fff');
+            blob = await env.toBlob(canvas, 'image/jpeg', quality);
+        }
+
+        if (!blob) {
+            throw new Error('Failed to encode image');
+        }
+
+        // Nothing to fix and nothing saved: keep the original
+        const unchanged = scale === 1 && orientation === 1;
+        return unchanged && blob.size >= file.size ? file : blob;
+    } finally {
+        if (decoded.close) decoded.close();
+    }
+}
+
+// Transform the context so an image drawn at (0, 0, width, height) comes out upright
+function applyOrientation(ctx, orientation, width, height) {
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+        default: break;
+    }
+}
+
+// Decode and draw on the main thread, for browsers without OffscreenCanvas
+const mainThreadEnv = {
+    async decode(file) {
+        if (typeof createImageBitmap === 'function') {
+            try {
+                const bitmap = await createImageBitmap(file);
+                return { image: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+            } catch (error) {
+                // Fall through to an <img>
+            }
+        }
+
+        const url = URL.createObjectURL(file);
+
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Failed to load image for compression'));
+                image.src = url;
+            });
+
+            return { image: img, width: img.naturalWidth, height: img.naturalHeight, close: null };
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    },
+
+    createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+
+    toBlob(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+};
+
+function canUseWorker() {
+    return !workerFailed
+        && typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && typeof createImageBitmap === 'function';
+}
+
+function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker(new URL('./imageCompression.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+        const { id, blob, error } = event.data;
+        const request = pending.get(id);
+        if (!request) return;
+
+        pending.delete(id);
+
+        if (!error) {
+            request.resolve(blob);
+            return;
+        }
+
+        // Some browsers have OffscreenCanvas without a 2D context or an
+        // encoder in workers; try again on the main thread
+        console.warn('Image compression in worker failed, retrying on the main thread:', error);
+        processImage(request.file, request.options, mainThreadEnv).then(request.resolve, request.reject);
+    };
+
+    // The worker couldn't start (e.g. no module worker support); finish
+    // what was sent to it on the main thread and stop using it
+    worker.onerror = (event) => {
+        event.preventDefault();
+        console.warn('Image compression worker failed, compressing on the main thread:', event.message);
+
+        workerFailed = true;
+        worker.terminate();
+        worker = null;
+
+        const requests = Array.from(pending.values());
+        pending.clear();
+
+        requests.forEach(({ file, options, resolve, reject }) => {
+            processImage(file, options, mainThreadEnv).then(resolve, reject);
+        });
+    };
+
+    return worker;
+}
+
+/**
+ * Compress an image off the main thread where the browser allows it
+ * @param {Blob} file - The image
+ * @param {Object} options - Compression options
+ * @param {number} options.maxWidth - Largest width after turning upright
+ * @param {number} options.maxHeight - Largest height after turning upright
+ * @param {number} options.quality - Encoder quality (0-1)
+ * @returns {Promise<Blob>} The compressed image (WebP or JPEG), or the original when that is smaller
+ */
+function compressImage(file, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options, decoderOrients };
+
+    if (!canUseWorker()) {
+        return processImage(file, settings, mainThreadEnv);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = ++nextRequestId;
+        pending.set(id, { resolve, reject, file, options: settings });
+        getWorker().postMessage({ id, file, options: settings });
+    });
+}
+
+export default {
+    compressImage,
+    processImage,
+    readJpegInfo
+};
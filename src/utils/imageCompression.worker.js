@@ -0,0 +1,29 @@
+// Compresses images off the main thread. Receives { id, file, options } and
+// replies with { id, blob } or { id, error }.
+import imageCompression from './imageCompression';
+
+const workerEnv = {
+    async decode(file) {
+        const bitmap = await createImageBitmap(file);
+        return { image: bitmap, width: bitmap.width, height: bitmap.height, close: () => bitmap.close() };
+    },
+
+    createCanvas(width, height) {
+        return new OffscreenCanvas(width, height);
+    },
+
+    toBlob(canvas, type, quality) {
+        return canvas.convertToBlob({ type, quality });
+    }
+};
+
+self.onmessage = async (event) => {
+    const { id, file, options } = event.data;
+
+    try {
+        const blob = await imageCompression.processImage(file, options, workerEnv);
+        self.postMessage({ id, blob });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
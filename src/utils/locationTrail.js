@@ -0,0 +1,230 @@
+import geofence from './geofence';
+
+// The route walked while a form is open, for beat plans. Templates opt in
+// with
+//   tracking: true
+//   tracking: { minDistance: 10, maxInterval: 60, maxAccuracy: 50, dwellRadius: 50 }
+// A trail is { path, last, startedAt, updatedAt, pauses: [{ from, to }] } where
+// `path` is an encoded polyline (the Google format with a third value for the
+// time in seconds), so a long visit stays a few kilobytes in the draft.
+// `last` is the final point as stored in the path, which lets a new point be
+// appended as a delta without decoding the path. `to` is null while tracking
+// is paused.
+
+const DEFAULT_OPTIONS = {
+    minDistance: 10, // metres moved before another point is recorded
+    maxInterval: 60, // seconds before a point is recorded anyway, to show dwelling
+    maxAccuracy: 50, // metres; coarser fixes are dropped
+    dwellRadius: 50 // metres around the final position counted as the visit
+};
+
+const PRECISION = 1e5;
+
+// Arithmetic rather than bit operations: the first timestamp doesn't fit
+// in 32 bits once zigzag-encoded
+function encodeNumber(value) {
+    let number = value < 0 ? -2 * value - 1 : 2 * value;
+    let result = '';
+
+    while (number >= 32) {
+        result += String.fromCharCode(32 + (number % 32) + 63);
+        number = Math.floor(number / 32);
+    }
+
+    return result + String.fromCharCode(number + 63);
+}
+
+// A point as the integers stored in the path: [latitude, longitude, seconds]
+function toValues(point) {
+    return [
+        Math.round(point.latitude * PRECISION),
+        Math.round(point.longitude * PRECISION),
+        Math.round(point.time / 1000)
+    ];
+}
+
+function fromValues(values) {
+    return { latitude: values[0] / PRECISION, longitude: values[1] / PRECISION, time: values[2] * 1000 };
+}
+
+// Encode a point relative to the one before it (null for the first point)
+function encodePoint(point, previous) {
+    const start = previous ? toValues(previous) : [0, 0, 0];
+    return toValues(point).map((value, i) => encodeNumber(value - start[i])).join('');
+}
+
+/**
+ * Encode points as a polyline with timestamps
+ * @param {Object[]} points - [{ latitude, longitude, time }], time in ms
+ * @returns {string} Encoded path
+ */
+function encode(points) {
+    return points.map((point, i) => encodePoint(point, points[i - 1] || null)).join('');
+}
+
+/**
+ * Decode a path made by encode
+ * @param {string} path - Encoded path
+ * @returns {Object[]} [{ latitude, longitude, time }]
+ */
+function decode(path) {
+    const points = [];
+    const values = [0, 0, 0];
+    let index = 0;
+
+    while (path && index < path.length) {
+        for (let i = 0; i < 3; i++) {
+            let factor = 1;
+            let result = 0;
+            let byte;
+
+            do {
+                byte = path.charCodeAt(index++) - 63;
+                result += (byte % 32) * factor;
+                factor *= 32;
+            } while (byte >= 32);
+
+            values[i] += result % 2 ? -(result + 1) / 2 : result / 2;
+        }
+
+        points.push(fromValues(values));
+    }
+
+    return points;
+}
+
+/**
+ * Tracking options for a template
+ * @param {boolean|Object} tracking - The template's `tracking`
+ * @returns {Object|null} Options, or null when the template doesn't track
+ */
+function getOptions(tracking) {
+    if (!tracking) return null;
+    return { ...DEFAULT_OPTIONS, ...(typeof tracking === 'object' ? tracking : {}) };
+}
+
+function createTrail() {
+    const now = new Date().toISOString();
+    return { path: '', last: null, startedAt: now, updatedAt: now, pauses: [] };
+}
+
+/**
+ * Add a position to a trail, skipping it when it's inaccurate or too close
+ * to the last point
+ * @param {Object|null} trail - The trail so far
+ * @param {Object} position - { latitude, longitude, accuracy, time }
+ * @param {Object} options - From getOptions
+ * @returns {Object} The same trail when skipped, otherwise an updated copy
+ */
+function addPoint(trail, position, options) {
+    const current = trail || createTrail();
+
+    if (position.accuracy > options.maxAccuracy) return current;
+
+    // Trails saved before `last` was kept are decoded once
+    const last = current.last !== undefined
+        ? current.last
+        : decode(current.path).pop() || null;
+
+    if (last) {
+        const moved = geofence.distanceMeters(last, position);
+        const elapsed = (position.time - last.time) / 1000;
+
+        if (elapsed <= 0 || (moved < options.minDistance && elapsed < options.maxInterval)) {
+            return current;
+        }
+    }
+
+    return {
+        ...current,
+        path: current.path + encodePoint(position, last),
+        last: fromValues(toValues(position)),
+        updatedAt: new Date(position.time).toISOString()
+    };
+}
+
+function isPaused(trail) {
+    const last = trail && trail.pauses[trail.pauses.length - 1];
+    return Boolean(last && !last.to);
+}
+
+function pause(trail) {
+    if (!trail || isPaused(trail)) return trail;
+    return { ...trail, pauses: [...trail.pauses, { from: new Date().toISOString(), to: null }] };
+}
+
+function resume(trail) {
+    if (!isPaused(trail)) return trail;
+
+    const pauses = [...trail.pauses];
+    pauses[pauses.length - 1] = { ...pauses[pauses.length - 1], to: new Date().toISOString() };
+    return { ...trail, pauses };
+}
+
+// Milliseconds of [from, to] that fall outside the pauses
+function activeMs(from, to, pauses, end) {
+    return pauses.reduce((total, pause) => {
+        const start = Math.max(from, Date.parse(pause.from));
+        const stop = Math.min(to, pause.to ? Date.parse(pause.to) : end);
+        return total - Math.max(0, stop - start);
+    }, Math.max(0, to - from));
+}
+
+/**
+ * Totals for a trail, sent with the submission
+ * @param {Object} trail - The trail
+ * @param {Object} options - From getOptions
+ * @param {Date} endedAt - When the visit ended (submission time)
+ * @returns {Object} { path, startedAt, endedAt, pauses, points, distance,
+ *   activeTime, dwellTime } - distance in metres, times in seconds.
+ *   `dwellTime` is the time spent within dwellRadius of the final position.
+ */
+function summarize(trail, options, endedAt = new Date()) {
+    const end = endedAt.getTime();
+    const pauses = trail.pauses.map(item => ({ from: item.from, to: item.to || endedAt.toISOString() }));
+    const points = decode(trail.path);
+    const visit = points[points.length - 1];
+
+    let distance = 0;
+    let dwell = 0;
+
+    points.forEach((point, i) => {
+        const next = points[i + 1];
+
+        if (next) {
+            distance += geofence.distanceMeters(point, next);
+        }
+
+        // Time from this point to the next one (or to the end) counts as
+        // dwelling when both ends are at the visit location
+        const nextTime = next ? next.time : end;
+        const atVisit = geofence.distanceMeters(point, visit) <= options.dwellRadius &&
+            (!next || geofence.distanceMeters(next, visit) <= options.dwellRadius);
+
+        if (atVisit) {
+            dwell += activeMs(point.time, nextTime, pauses, end);
+        }
+    });
+
+    return {
+        path: trail.path,
+        startedAt: trail.startedAt,
+        endedAt: endedAt.toISOString(),
+        pauses,
+        points: points.length,
+        distance: Math.round(distance),
+        activeTime: Math.round(activeMs(Date.parse(trail.startedAt), end, pauses, end) / 1000),
+        dwellTime: Math.round(dwell / 1000)
+    };
+}
+
+export default {
+    getOptions,
+    encode,
+    decode,
+    addPoint,
+    isPaused,
+    pause,
+    resume,
+    summarize
+};
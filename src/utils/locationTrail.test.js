@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import locationTrail from './locationTrail';
+
+describe('locationTrail.addPoint', () => {
+    const options = locationTrail.getOptions(true);
+    const start = Date.UTC(2025, 2, 10, 4, 30);
+
+    // A walk north, one fix every 30 seconds, about 33 m apart
+    const positions = Array.from({ length: 20 }, (_, i) => ({
+        latitude: 18.52043 + i * 0.0003,
+        longitude: 73.85674,
+        accuracy: 10,
+        time: start + i * 30000
+    }));
+
+    it('appends to the path without re-encoding it', () => {
+        const trail = positions.reduce((current, position) => locationTrail.addPoint(current, position, options), null);
+
+        expect(trail.path).toBe(locationTrail.encode(positions));
+        expect(locationTrail.decode(trail.path)).toHaveLength(positions.length);
+        expect(trail.last).toEqual(locationTrail.decode(trail.path).pop());
+    });
+
+    it('continues trails saved without a last point', () => {
+        const saved = { path: locationTrail.encode(positions.slice(0, 10)), startedAt: new Date(start).toISOString(), pauses: [] };
+        const trail = positions.slice(10).reduce((current, position) => locationTrail.addPoint(current, position, options), saved);
+
+        expect(trail.path).toBe(locationTrail.encode(positions));
+    });
+
+    it('skips inaccurate fixes and points too close to the last one', () => {
+        const trail = locationTrail.addPoint(null, positions[0], options);
+
+        expect(locationTrail.addPoint(trail, { ...positions[1], accuracy: 200 }, options)).toBe(trail);
+        expect(locationTrail.addPoint(trail, { ...positions[0], time: start + 5000 }, options)).toBe(trail);
+    });
+});
@@ -0,0 +1,221 @@
+import { MapTileDAO } from '../db';
+import apiService from '../api/ApiService';
+
+// Slippy-map tiles for location previews. A tile is looked up in the
+// IndexedDB bundles first (the user's beats or territory, downloaded by
+// syncBundles() during sync), then loaded from the tile server. With
+// VITE_MAP_TILE_URL set, the service worker serves that server's tiles from
+// IMAGE_CACHE and precacheArea() fills it ahead of a visit.
+//
+// Bulk prefetching is not allowed on the public OpenStreetMap servers, so
+// nothing is precached until VITE_MAP_TILE_URL names a tile provider that
+// permits offline caching.
+
+const CONFIGURED_TILE_URL = import.meta.env.VITE_MAP_TILE_URL || null;
+const TILE_URL = CONFIGURED_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const ATTRIBUTION = import.meta.env.VITE_MAP_ATTRIBUTION || '© OpenStreetMap contributors';
+
+// Origin whose tiles the service worker caches; null when precaching is off
+const OFFLINE_TILE_ORIGIN = CONFIGURED_TILE_URL ? new URL(CONFIGURED_TILE_URL).origin : null;
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 3;
+const MAX_ZOOM = 19;
+
+// Most tiles to ask the service worker for in one go
+const MAX_PRECACHE_TILES = 500;
+
+// Object URLs of bundle tiles, oldest first; revoked past the limit
+const MAX_OBJECT_URLS = 200;
+const objectUrls = new Map();
+
+/**
+ * Position of a point in world pixels at a zoom level (Web Mercator)
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y }
+ */
+function project({ latitude, longitude }, zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const sin = Math.sin((Math.max(-85.05112878, Math.min(85.05112878, latitude)) * Math.PI) / 180);
+
+    return {
+        x: ((longitude + 180) / 360) * scale,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+}
+
+/**
+ * Point at world pixel coordinates
+ * @param {Object} pixel - { x, y }
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { latitude, longitude }
+ */
+function unproject({ x, y }, zoom) {
+    const scale = TILE_SIZE * Math.pow(2, zoom);
+    const n = Math.PI - (2 * Math.PI * y) / scale;
+
+    return {
+        latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+        longitude: (x / scale) * 360 - 180
+    };
+}
+
+/**
+ * Ground distance covered by one pixel
+ * @param {number} latitude - Latitude
+ * @param {number} zoom - Zoom level
+ * @returns {number} Metres per pixel
+ */
+function metersPerPixel(latitude, zoom) {
+    return (156543.03392 * Math.cos((latitude * Math.PI) / 180)) / Math.pow(2, zoom);
+}
+
+function getTileUrl(z, x, y) {
+    return TILE_URL.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+}
+
+/**
+ * Image source for a tile: a bundled copy when there is one, otherwise the
+ * tile server URL (answered from the service worker cache when offline)
+ * @returns {Promise<string>} Image URL
+ */
+async function getTileSrc(z, x, y) {
+    const key = `${z}/${x}/${y}`;
+
+    if (objectUrls.has(key)) return objectUrls.get(key);
+
+    try {
+        const tile = await MapTileDAO.getTile(z, x, y);
+
+        if (tile && tile.data) {
+            const url = URL.createObjectURL(tile.data);
+            objectUrls.set(key, url);
+
+            if (objectUrls.size > MAX_OBJECT_URLS) {
+                const [oldestKey, oldestUrl] = objectUrls.entries().next().value;
+                URL.revokeObjectURL(oldestUrl);
+                objectUrls.delete(oldestKey);
+            }
+
+            return url;
+        }
+    } catch (error) {
+        console.warn('Could not read bundled map tile:', error);
+    }
+
+    return getTileUrl(z, x, y);
+}
+
+/**
+ * Tiles covering a radius around a point
+ * @param {Object} center - { latitude, longitude }
+ * @param {number} radius - Radius in metres
+ * @param {number[]} zooms - Zoom levels
+ * @returns {Object[]} [{ z, x, y }]
+ */
+function getTilesAround(center, radius, zooms) {
+    const tiles = [];
+
+    zooms.forEach(z => {
+        const { x, y } = project(center, z);
+        const span = radius / metersPerPixel(center.latitude, z);
+        const count = Math.pow(2, z);
+
+        const minX = Math.floor((x - span) / TILE_SIZE);
+        const maxX = Math.floor((x + span) / TILE_SIZE);
+        const minY = Math.max(0, Math.floor((y - span) / TILE_SIZE));
+        const maxY = Math.min(count - 1, Math.floor((y + span) / TILE_SIZE));
+
+        for (let tx = minX; tx <= maxX; tx++) {
+            for (let ty = minY; ty <= maxY; ty++) {
+                tiles.push({ z, x: ((tx % count) + count) % count, y: ty });
+            }
+        }
+    });
+
+    return tiles;
+}
+
+/**
+ * Ask the service worker to cache the tiles around a point, e.g. the stores
+ * on today's beat, while the device is online. Does nothing unless
+ * VITE_MAP_TILE_URL is configured.
+ * @param {Object} center - { latitude, longitude }
+ * @param {Object} options - Options
+ * @param {number} options.radius - Radius in metres
+ * @param {number[]} options.zooms - Zoom levels
+ * @returns {boolean} Whether the request was sent
+ */
+function precacheArea(center, { radius = 500, zooms = [15, 16, 17] } = {}) {
+    if (!OFFLINE_TILE_ORIGIN) return false;
+
+    const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!controller) return false;
+
+    const urls = getTilesAround(center, radius, zooms)
+        .slice(0, MAX_PRECACHE_TILES)
+        .map(({ z, x, y }) => getTileUrl(z, x, y));
+
+    controller.postMessage({ type: 'CACHE_MAP_TILES', urls });
+    return true;
+}
+
+/**
+ * Download a tile bundle from the server into IndexedDB, replacing an
+ * earlier copy of the same bundle once the new one is stored
+ * @param {string} bundleId - Bundle ID
+ * @returns {Promise<number>} Number of tiles stored
+ */
+async function importBundle(bundleId) {
+    const bundle = await apiService.getMapTileBundle(bundleId);
+
+    const tiles = (bundle.tiles || []).map(({ z, x, y, data }) => {
+        const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+        return { z, x, y, data: new Blob([bytes], { type: 'image/png' }) };
+    });
+
+    return MapTileDAO.replaceBundle(bundleId, bundle.version || null, tiles);
+}
+
+/**
+ * Download the tile bundles the server assigns to the user that are new or
+ * have a new version, and remove the ones no longer assigned
+ * @returns {Promise<number>} Number of bundles downloaded
+ */
+async function syncBundles() {
+    const { bundles = [] } = await apiService.getMapTileBundles();
+    const assigned = bundles.map(bundle => bundle.id);
+    let downloaded = 0;
+
+    for (const { id, version } of bundles) {
+        if (version && version === await MapTileDAO.getBundleVersion(id)) continue;
+
+        await importBundle(id);
+        downloaded++;
+    }
+
+    const stored = await MapTileDAO.getBundleIds();
+    for (const bundleId of stored.filter(id => !assigned.includes(id))) {
+        await MapTileDAO.deleteBundle(bundleId);
+    }
+
+    return downloaded;
+}
+
+export default {
+    TILE_SIZE,
+    MIN_ZOOM,
+    MAX_ZOOM,
+    ATTRIBUTION,
+    OFFLINE_TILE_ORIGIN,
+    project,
+    unproject,
+    metersPerPixel,
+    getTileUrl,
+    getTileSrc,
+    getTilesAround,
+    precacheArea,
+    importBundle,
+    syncBundles
+};
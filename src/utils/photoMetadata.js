@@ -0,0 +1,290 @@
+import { getDeviceType, formatDate } from './helper';
+
+// Proof of when and where a photo was taken, kept with the media record and
+// sent with its upload:
+//   { capturedAt, source, location, device, camera, exif }
+// `source` is 'camera' for photos taken in the app and 'file' for picked
+// images, whose own EXIF date and GPS (when present) are kept under `exif`.
+
+const POSITION_OPTIONS = {
+    enableHighAccuracy: true,
+    timeout: 10000,
+    maximumAge: 30000
+};
+
+// EXIF sits in an APP1 segment (at most 64 KB) near the start of the file;
+// only this much of a picked file is read to find it
+const EXIF_READ_BYTES = 128 * 1024;
+
+/**
+ * Get the current position without failing: denied, unavailable or slow
+ * positions give null so a photo can still be taken
+ * @param {Object} options - Geolocation options
+ * @returns {Promise<Object|null>} { latitude, longitude, accuracy, altitude, timestamp }
+ */
+function getCurrentPosition(options = {}) {
+    if (!navigator.geolocation) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve({
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy,
+                altitude: position.coords.altitude,
+                timestamp: new Date(position.timestamp).toISOString()
+            }),
+            (error) => {
+                console.warn('No location for photo:', error.message);
+                resolve(null);
+            },
+            { ...POSITION_OPTIONS, ...options }
+        );
+    });
+}
+
+/**
+ * Describe the camera a stream comes from
+ * @param {MediaStream} stream - Camera stream
+ * @param {string} requestedFacingMode - The facing mode that was asked for
+ * @returns {Object} { facingMode, label }
+ */
+function getCameraInfo(stream, requestedFacingMode = null) {
+    const track = stream && stream.getVideoTracks()[0];
+    const settings = track && track.getSettings ? track.getSettings() : {};
+
+    return {
+        // Desktop webcams don't report a facing mode
+        facingMode: settings.facingMode || requestedFacingMode,
+        label: track ? track.label : null
+    };
+}
+
+function getDeviceInfo() {
+    return {
+        type: getDeviceType(),
+        userAgent: navigator.userAgent,
+        platform: navigator.userAgentData ? navigator.userAgentData.platform : navigator.platform,
+        screen: `${window.screen.width}x${window.screen.height}`
+    };
+}
+
+/**
+ * Collect metadata for a photo taken with the camera. Call at the moment
+ * of capture; the position is looked up then.
+ * @param {Object} options - Options
+ * @param {MediaStream} options.stream - The camera stream the photo came from
+ * @param {string} options.facingMode - The facing mode that was asked for
+ * @returns {Promise<Object>} Photo metadata
+ */
+async function collectCaptureMetadata({ stream, facingMode } = {}) {
+    const capturedAt = new Date().toISOString();
+
+    return {
+        capturedAt,
+        source: 'camera',
+        location: await getCurrentPosition(),
+        device: getDeviceInfo(),
+        camera: getCameraInfo(stream, facingMode),
+        exif: null
+    };
+}
+
+/**
+ * Collect metadata for a picked image file. The file's own EXIF says when
+ * and where it was taken; the current position only says where it was
+ * attached to the form.
+ * @param {File} file - The image file
+ * @returns {Promise<Object>} Photo metadata
+ */
+async function collectFileMetadata(file) {
+    let exif = null;
+
+    try {
+        exif = readExif(await file.slice(0, EXIF_READ_BYTES).arrayBuffer());
+    } catch (error) {
+        console.warn('Could not read photo EXIF:', error);
+    }
+
+    return {
+        capturedAt: new Date().toISOString(),
+        source: 'file',
+        location: await getCurrentPosition(),
+        device: getDeviceInfo(),
+        camera: null,
+        exif: exif && {
+            ...exif,
+            lastModified: file.lastModified ? new Date(file.lastModified).toISOString() : null
+        }
+    };
+}
+
+/**
+ * Read the date taken and GPS position from a JPEG's EXIF. Offsets in the
+ * file are checked before they are read; a truncated or malformed EXIF block
+ * gives what could be read of it rather than an error.
+ * @param {ArrayBuffer} buffer - The file contents, or at least its start
+ * @returns {Object|null} { takenAt, latitude, longitude }, or null when the file has no EXIF
+ */
+function readExif(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+
+    while (offset + 10 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+
+        if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+            return readTiff(view, offset + 10);
+        }
+
+        // A segment length counts its own two bytes
+        const length = view.getUint16(offset + 2);
+        if (length < 2) break;
+
+        offset += 2 + length;
+    }
+
+    return null;
+}
+
+// Whether `size` bytes from `offset` lie within the view
+function fits(view, offset, size) {
+    return Number.isInteger(offset) && offset >= 0 && offset + size <= view.byteLength;
+}
+
+// Read the tags of one IFD as { tag: value } (ASCII, SHORT, LONG and RATIONAL only).
+// Entries and values that run past the end of the data are left out
+function readIfd(view, tiff, ifd, little) {
+    const tags = {};
+    const sizes = { 2: 1, 3: 2, 4: 4, 5: 8 };
+    if (!fits(view, ifd, 2)) return tags;
+
+    const entries = view.getUint16(ifd, little);
+
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (!fits(view, entry, 12)) break;
+
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const count = view.getUint32(entry + 4, little);
+        const size = sizes[type];
+        if (!size) continue;
+
+        // Values over 4 bytes live elsewhere, at an offset from the TIFF header
+        const at = size * count > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+        if (!fits(view, at, size * count)) continue;
+
+        const values = [];
+
+        for (let j = 0; j < count; j++) {
+            const pos = at + j * size;
+            if (type === 2) values.push(view.getUint8(pos));
+            if (type === 3) values.push(view.getUint16(pos, little));
+            if (type === 4) values.push(view.getUint32(pos, little));
+            if (type === 5) values.push(view.getUint32(pos, little) / view.getUint32(pos + 4, little));
+        }
+
+        tags[tag] = type === 2
+            ? String.fromCharCode(...values).replace(/\0+$/, '')
+            : count === 1 ? values[0] : values;
+    }
+
+    return tags;
+}
+
+function readTiff(view, tiff) {
+    if (!fits(view, tiff, 8)) return null;
+
+    const order = view.getUint16(tiff);
+    if (order !== 0x4949 && order !== 0x4D4D) return null;
+
+    const little = order === 0x4949;
+    const ifd0 = readIfd(view, tiff, tiff + view.getUint32(tiff + 4, little), little);
+    const exifIfd = typeof ifd0[0x8769] === 'number' ? readIfd(view, tiff, tiff + ifd0[0x8769], little) : {};
+    const gps = typeof ifd0[0x8825] === 'number' ? readIfd(view, tiff, tiff + ifd0[0x8825], little) : {};
+
+    // "2024:05:01 14:03:22", camera local time without a zone
+    const dateTime = exifIfd[0x9003] || ifd0[0x0132] || null;
+    const takenAt = typeof dateTime === 'string'
+        ? dateTime.replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T')
+        : null;
+
+    const toDegrees = (dms, ref, negative) => {
+        if (!Array.isArray(dms) || dms.length !== 3 || dms.some(v => !isFinite(v))) return null;
+        const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+        return ref === negative ? -degrees : degrees;
+    };
+
+    return {
+        takenAt,
+        latitude: toDegrees(gps[2], gps[1], 'S'),
+        longitude: toDegrees(gps[4], gps[3], 'W')
+    };
+}
+
+/**
+ * Describe metadata as the lines burned into a watermark
+ * @param {Object} metadata - Photo metadata
+ * @returns {string[]} Lines of text
+ */
+function getWatermarkLines(metadata) {
+    const lines = [formatDate(metadata.capturedAt, 'dd/MM/yyyy HH:mm:ss')];
+    const { location } = metadata;
+
+    if (location) {
+        lines.push(
+            `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)} (±${Math.round(location.accuracy)} m)`
+        );
+    } else {
+        lines.push('Location unavailable');
+    }
+
+    return lines;
+}
+
+/**
+ * Burn the capture date and location into the bottom corner of a canvas
+ * @param {CanvasRenderingContext2D} ctx - Context of the canvas holding the photo
+ * @param {Object} metadata - Photo metadata
+ */
+function drawWatermark(ctx, metadata) {
+    const { width, height } = ctx.canvas;
+    const lines = getWatermarkLines(metadata);
+    const fontSize = Math.max(12, Math.round(Math.min(width, height) / 30));
+    const padding = Math.round(fontSize / 2);
+    const lineHeight = Math.round(fontSize * 1.3);
+
+    ctx.save();
+    ctx.font = `${fontSize}px sans-serif`;
+    ctx.textBaseline = 'top';
+
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + padding * 2;
+    const boxHeight = lines.length * lineHeight + padding * 2;
+    const x = width - boxWidth;
+    const y = height - boxHeight;
+
+    // Translucent backing keeps the text readable on any photo
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+
+    ctx.fillStyle = '#fff';
+    lines.forEach((line, index) => {
+        ctx.fillText(line, x + padding, y + padding + index * lineHeight);
+    });
+
+    ctx.restore();
+}
+
+export default {
+    getCurrentPosition,
+    getCameraInfo,
+    collectCaptureMetadata,
+    collectFileMetadata,
+    readExif,
+    getWatermarkLines,
+    drawWatermark
+};
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import photoMetadata from './photoMetadata';
+
+const { readExif } = photoMetadata;
+
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+const TYPE_SIZES = { [ASCII]: 1, [SHORT]: 2, [LONG]: 4, [RATIONAL]: 8 };
+
+// Entry values: a string for ASCII, numbers for SHORT and LONG and
+// [numerator, denominator] pairs for RATIONAL
+function toValues(type, value) {
+    if (type === ASCII) return [...`${value}\0`].map(char => char.charCodeAt(0));
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Build a JPEG with an APP0 segment and an EXIF block. IFD0 links to the
+ * EXIF and GPS IFDs when they are given.
+ * @param {Object} options - { little, ifd0, exif, gps }, IFDs as [tag, type, value] lists
+ * @returns {ArrayBuffer} The file contents
+ */
+function buildJpeg({ little = false, ifd0 = [], exif = null, gps = null } = {}) {
+    const ifdSize = count => 2 + count * 12 + 4;
+    const ifds = [ifd0, exif, gps].filter(Boolean);
+
+    // IFD0 also holds the pointers to the other two
+    const counts = ifds.map((entries, index) => entries.length + (index === 0 ? ifds.length - 1 : 0));
+    const ifdOffsets = [];
+    let offset = 8;
+    counts.forEach((count) => {
+        ifdOffsets.push(offset);
+        offset += ifdSize(count);
+    });
+
+    const pointers = [];
+    if (exif) pointers.push([0x8769, LONG, ifdOffsets[1]]);
+    if (gps) pointers.push([0x8825, LONG, ifdOffsets[exif ? 2 : 1]]);
+    ifds[0] = [...ifd0, ...pointers];
+
+    const dataSize = ifds.flat().reduce((total, [, type, value]) => {
+        const size = TYPE_SIZES[type] * toValues(type, value).length;
+        return total + (size > 4 ? size : 0);
+    }, 0);
+
+    const tiff = new DataView(new ArrayBuffer(offset + dataSize));
+    tiff.setUint16(0, little ? 0x4949 : 0x4D4D);
+    tiff.setUint16(2, 42, little);
+    tiff.setUint32(4, 8, little);
+
+    let dataOffset = offset;
+    ifds.forEach((entries, index) => {
+        const start = ifdOffsets[index];
+        tiff.setUint16(start, entries.length, little);
+
+        entries.forEach(([tag, type, value], i) => {
+            const entry = start + 2 + i * 12;
+            const values = toValues(type, value);
+            const size = TYPE_SIZES[type] * values.length;
+            let at = entry + 8;
+
+            tiff.setUint16(entry, tag, little);
+            tiff.setUint16(entry + 2, type, little);
+            tiff.setUint32(entry + 4, values.length, little);
+
+            if (size > 4) {
+                tiff.setUint32(entry + 8, dataOffset, little);
+                at = dataOffset;
+                dataOffset += size;
+            }
+
+            values.forEach((item, j) => {
+                const pos = at + j * TYPE_SIZES[type];
+                if (type === ASCII) tiff.setUint8(pos, item);
+                if (type === SHORT) tiff.setUint16(pos, item, little);
+                if (type === LONG) tiff.setUint32(pos, item, little);
+                if (type === RATIONAL) {
+                    tiff.setUint32(pos, item[0], little);
+                    tiff.setUint32(pos + 4, item[1], little);
+                }
+            });
+        });
+    });
+
+    const app0 = [0xFF, 0xE0, 0x00, 0x10, ...'JFIF\0'.split('').map(c => c.charCodeAt(0)), 1, 1, 0, 0, 1, 0, 1, 0, 0];
+    const app1Length = 2 + 6 + tiff.byteLength;
+    const app1 = [0xFF, 0xE1, app1Length >> 8, app1Length & 0xFF, 0x45, 0x78, 0x69, 0x66, 0, 0];
+    const scan = [0xFF, 0xDA, 0x00, 0x02];
+
+    return new Uint8Array([
+        0xFF, 0xD8,
+        ...app0,
+        ...app1,
+        ...new Uint8Array(tiff.buffer),
+        ...scan
+    ]).buffer;
+}
+
+// 18°31'12.6" S, 73°51'24.36" W
+const GPS = [
+    [1, ASCII, 'S'],
+    [2, RATIONAL, [[18, 1], [31, 1], [126, 10]]],
+    [3, ASCII, 'W'],
+    [4, RATIONAL, [[73, 1], [51, 1], [7308, 100]]]
+];
+const EXIF = [[0x9003, ASCII, '2024:05:01 14:03:22']];
+const LATITUDE = -(18 + 31 / 60 + 12.6 / 3600);
+const LONGITUDE = -(73 + 51 / 60 + 73.08 / 3600);
+
+describe('photoMetadata.readExif', () => {
+    it('reads a big-endian EXIF block', () => {
+        const exif = readExif(buildJpeg({ exif: EXIF, gps: GPS }));
+
+        expect(exif.takenAt).toBe('2024-05-01T14:03:22');
+        expect(exif.latitude).toBeCloseTo(LATITUDE, 6);
+        expect(exif.longitude).toBeCloseTo(LONGITUDE, 6);
+    });
+
+    it('reads a little-endian EXIF block', () => {
+        const exif = readExif(buildJpeg({ little: true, exif: EXIF, gps: GPS }));
+
+        expect(exif.takenAt).toBe('2024-05-01T14:03:22');
+        expect(exif.latitude).toBeCloseTo(LATITUDE, 6);
+        expect(exif.longitude).toBeCloseTo(LONGITUDE, 6);
+    });
+
+    it('keeps north and east positive', () => {
+        const gps = [[1, ASCII, 'N'], GPS[1], [3, ASCII, 'E'], GPS[3]];
+        const exif = readExif(buildJpeg({ gps }));
+
+        expect(exif.latitude).toBeCloseTo(-LATITUDE, 6);
+        expect(exif.longitude).toBeCloseTo(-LONGITUDE, 6);
+    });
+
+    it('falls back to the IFD0 date without an EXIF IFD', () => {
+        const exif = readExif(buildJpeg({ ifd0: [[0x0132, ASCII, '2024:04:30 09:15:00']] }));
+
+        expect(exif).toEqual({ takenAt: '2024-04-30T09:15:00', latitude: null, longitude: null });
+    });
+
+    it('gives no position without a GPS IFD', () => {
+        const exif = readExif(buildJpeg({ exif: EXIF }));
+        expect(exif).toEqual({ takenAt: '2024-05-01T14:03:22', latitude: null, longitude: null });
+    });
+
+    it('is null for JPEGs without EXIF and for other files', () => {
+        expect(readExif(new Uint8Array([0xFF, 0xD8, 0xFF, 0xDA, 0x00, 0x02, 0, 0, 0, 0, 0, 0]).buffer)).toBe(null);
+        expect(readExif(new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A]).buffer)).toBe(null);
+        expect(readExif(new ArrayBuffer(0))).toBe(null);
+    });
+
+    it('reads what it can of a truncated block', () => {
+        const buffer = buildJpeg({ exif: EXIF, gps: GPS });
+
+        // Cut off in the GPS values at the end of the block
+        const exif = readExif(buffer.slice(0, buffer.byteLength - 30));
+
+        expect(exif.takenAt).toBe('2024-05-01T14:03:22');
+        expect(exif.longitude).toBe(null);
+
+        for (let length = 0; length < buffer.byteLength; length += 7) {
+            expect(() => readExif(buffer.slice(0, length))).not.toThrow();
+        }
+    });
+
+    it('ignores IFD offsets past the end of the data', () => {
+        const buffer = buildJpeg({ exif: EXIF, gps: GPS });
+        const view = new DataView(buffer);
+
+        // The TIFF header starts after SOI (2), APP0 (18) and the APP1 header (10)
+        view.setUint32(30 + 4, 0xFFFFFF00);
+
+        expect(readExif(buffer)).toEqual({ takenAt: null, latitude: null, longitude: null });
+    });
+
+    it('stops at a segment with a broken length', () => {
+        const buffer = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x00, 0, 0, 0, 0, 0, 0, 0, 0]).buffer;
+        expect(readExif(buffer)).toBe(null);
+    });
+
+    it('is null for an unknown byte order', () => {
+        const buffer = buildJpeg({ exif: EXIF });
+        new DataView(buffer).setUint16(30, 0x1234);
+
+        expect(readExif(buffer)).toBe(null);
+    });
+});
@@ -1,4 +1,5 @@
 import syncManager from './syncManager';
+import mapTiles from './mapTiles';
 
 /**
  * Register the service worker for PWA functionality
@@ -6,7 +7,12 @@ import syncManager from './syncManager';
 export const registerServiceWorker = async () => {
     if ('serviceWorker' in navigator) {
         try {
-            const registration = await navigator.serviceWorker.register('/service-worker.js', {
+            // The worker caches map tiles from the configured tile server
+            const script = mapTiles.OFFLINE_TILE_ORIGIN
+                ? `/service-worker.js?tiles=${encodeURIComponent(mapTiles.OFFLINE_TILE_ORIGIN)}`
+                : '/service-worker.js';
+
+            const registration = await navigator.serviceWorker.register(script, {
                 scope: '/'
             });
 
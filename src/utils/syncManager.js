@@ -1,4 +1,4 @@
-import { FormDataDAO, MediaDAO, SyncQueueDAO } from '../db';
+import { SubmissionDAO, MediaDAO, SyncQueueDAO } from '../db';
 import { FormAPI, MediaAPI, isOnline, checkApiConnection } from '../api';
 
 // Number of items to process in each sync batch
@@ -204,13 +204,13 @@ class SyncManager {
         const { formDataId } = item.data;
 
         // Get the form data from IndexedDB
-        const formData = await FormDataDAO.getFormData(formDataId);
+        const formData = await SubmissionDAO.getSubmission(formDataId);
         if (!formData) {
             throw new Error(`Form data not found for ID: ${formDataId}`);
         }
 
         // Get associated media files
-        const mediaFiles = await MediaDAO.getMediaByFormData(formDataId);
+        const mediaFiles = await MediaDAO.getMediaBySubmission(formDataId);
 
         // First, make sure all media is uploaded
         for (const media of mediaFiles) {
@@ -234,7 +234,10 @@ class SyncManager {
         });
 
         // Update the form data status in IndexedDB
-        await FormDataDAO.markAsSubmitted(formDataId);
+        await SubmissionDAO.updateSubmission(formDataId, {
+            status: 'completed',
+            syncedAt: new Date().toISOString()
+        });
 
         return response;
     }
@@ -260,7 +263,7 @@ class SyncManager {
         // Upload the media file to the server
         const response = await MediaAPI.uploadMedia(media.data, {
             fieldName: media.fieldName,
-            formDataId: media.formDataId,
+            submissionId: media.submissionId,
             type: media.type
         });
 
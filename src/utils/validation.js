@@ -1,3 +1,15 @@
+import conditions from './conditions';
+import formats from './formats';
+import geofence from './geofence';
+import { getNestedValue } from './helper';
+import lookupService from '../services/lookupService';
+
+// Own entries only, so rule names from templates like "constructor" don't
+// resolve through the prototype
+function getOwn(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name) ? object[name] : undefined;
+}
+
 // Built-in validation rules
 const rules = {
     // Required field
@@ -54,14 +66,37 @@ const rules = {
         return emailRegex.test(value) ? null : 'Please enter a valid email address';
     },
 
-    // Phone number format
-    phone: (value) => {
+    // Phone number format; with a region (e.g. { phone: 'IN' }) only that market's mobile numbers pass
+    phone: (value, region) => {
         if (!value) return null;
-        // Basic international phone validation (can be made more specific per region)
+        if (region) return formats.validate('mobile', value, region);
+        // Basic international phone validation
         const phoneRegex = /^\+?[0-9\s\-()]{8,20}$/;
         return phoneRegex.test(value) ? null : 'Please enter a valid phone number';
     },
 
+    // Region-aware formats (mobile, postalCode, gstin, pan, aadhaar, ifsc), see formats.js
+    format: (value, type, region) => {
+        if (!value) return null;
+        return formats.validate(type, value, region);
+    },
+
+    // Direct uploads (s3-upload fields) must have finished before submitting
+    uploaded: (value) => {
+        if (!value || typeof value !== 'object' || !value.uploadRef) return null;
+        return value.status === 'completed' ? null : 'Please wait for the upload to finish';
+    },
+
+    // Captured location inside the field's geofence and accurate enough
+    // (geolocation fields with `geofence: { enforce: true }`). A fence that
+    // can't be resolved (center field unanswered, too few polygon points)
+    // fails rather than letting any location through.
+    geofence: (value, fence, maxAccuracy) => {
+        if (!value || typeof value !== 'object' || value.latitude === undefined) return null;
+        if (!fence) return "The expected location is missing, so this location can't be checked";
+        return geofence.describe(geofence.check(value, fence, maxAccuracy));
+    },
+
     // URL format
     url: (value) => {
         if (!value) return null;
@@ -73,10 +108,19 @@ const rules = {
         }
     },
 
-    // Regular expression match
+    // Regular expression match; an invalid pattern in the template fails
+    // the field instead of breaking validation
     pattern: (value, pattern, message = 'Invalid format') => {
         if (!value) return null;
-        const regex = new RegExp(pattern);
+
+        let regex;
+        try {
+            regex = new RegExp(pattern);
+        } catch (error) {
+            console.warn(`Invalid pattern in validation rule: ${pattern}`, error);
+            return message;
+        }
+
         return regex.test(value) ? null : message;
     },
 
@@ -108,6 +152,29 @@ const rules = {
         return date < new Date() ? null : 'Date must be in the past';
     },
 
+    // Minimum number of entries (repeat groups, multi-value fields)
+    minItems: (value, min) => {
+        const count = Array.isArray(value) ? value.length : 0;
+        return count >= min ? null : `Add at least ${min} ${min === 1 ? 'entry' : 'entries'}`;
+    },
+
+    // Maximum number of entries
+    maxItems: (value, max) => {
+        const count = Array.isArray(value) ? value.length : 0;
+        return count <= max ? null : `No more than ${max} ${max === 1 ? 'entry' : 'entries'} allowed`;
+    },
+
+    // Photo counts for multi-photo image fields (`minPhotos`, `maxPhotos`)
+    minPhotos: (value, min) => {
+        const count = Array.isArray(value) ? value.length : value ? 1 : 0;
+        return count >= min ? null : `Add at least ${min} ${min === 1 ? 'photo' : 'photos'}`;
+    },
+
+    maxPhotos: (value, max) => {
+        const count = Array.isArray(value) ? value.length : value ? 1 : 0;
+        return count <= max ? null : `No more than ${max} ${max === 1 ? 'photo' : 'photos'} allowed`;
+    },
+
     // Custom validator function
     custom: (value, validatorFn) => {
         if (typeof validatorFn !== 'function') {
@@ -119,45 +186,231 @@ const rules = {
     }
 };
 
-// Parse validation schema from form definition
+// Asynchronous rules, run after the synchronous ones pass. They receive the
+// value, the rule parameters and a context of { signal, allValues }.
+const asyncRules = {
+    // Value must exist in a server-side lookup list, e.g. { lookup: 'stores' }.
+    // Values that can't be verified (offline, nothing cached) are accepted.
+    lookup: async (value, [listName, message = 'Value not found'], { signal }) => {
+        const exists = await lookupService.isValidValue(listName, value, { signal });
+        return exists === false ? message : null;
+    }
+};
+
+// Rules whose parameter names another field; it is resolved against all form values
+const FIELD_REFERENCE_RULES = ['matches'];
+
+// Keys that mark a rule definition as an options object rather than a bare parameter
+const RULE_OPTION_KEYS = ['value', 'message', 'when', 'field'];
+
+function isRuleOptions(definition) {
+    return definition !== null &&
+        typeof definition === 'object' &&
+        !Array.isArray(definition) &&
+        RULE_OPTION_KEYS.some(key => Object.prototype.hasOwnProperty.call(definition, key));
+}
+
+/**
+ * Parse a validation schema from a form definition into a rule list.
+ *
+ * Accepts the rule list itself ([{ name, params }]) or an object keyed by
+ * rule name, where each entry is a bare parameter or an options object:
+ *   {
+ *     required: true,
+ *     minLength: 3,
+ *     pattern: { value: '^[A-Z]{5}[0-9]{4}[A-Z]$', message: 'Invalid PAN' },
+ *     matches: { field: 'mobile', message: 'Numbers do not match' },
+ *     max: { value: 100, when: { field: 'unit', value: 'percent' } }
+ *   }
+ * `false` switches a rule off and array parameters are spread.
+ *
+ * @param {Object|Array} validationDef - The validation schema
+ * @param {Object} allValues - All form values, for cross-field rules
+ * @returns {Array<Object>} Rules as { name, params, message, when }
+ */
 function parseValidation(validationDef, allValues = {}) {
     if (!validationDef) return [];
-}
+    if (Array.isArray(validationDef)) return validationDef;
+    if (typeof validationDef !== 'object') return [];
 
-// Validate a single field
-function validateField(value, validationRules, allValues = {}) {
-    if (!validationRules || !validationRules.length) {
-        return null; // No validation rules, field is valid
-    }
+    return Object.entries(validationDef).reduce((parsed, [name, definition]) => {
+        const options = isRuleOptions(definition) ? definition : { value: definition };
+        const { value, message, when } = options;
+
+        if (value === false) return parsed;
+
+        let params;
+        let field;
+
+        if (FIELD_REFERENCE_RULES.includes(name)) {
+            field = options.field || value;
+            params = [getNestedValue(allValues, field)];
+        } else if (value === true || value === undefined) {
+            params = [];
+        } else {
+            params = Array.isArray(value) ? value : [value];
+        }
+
+        parsed.push({ name, params, message, when, field });
+        return parsed;
+    }, []);
+}
 
+/**
+ * Run rules against a value and describe the first failure
+ * @param {*} value - The field value
+ * @param {Object|Array} validationRules - Rule list or validation schema
+ * @param {Object} allValues - All form values
+ * @returns {Object|null} { rule, message, params, field } or null when valid
+ */
+function getFieldError(value, validationRules, allValues = {}) {
     // Parse validation rules if needed
     const parsedRules = Array.isArray(validationRules)
         ? validationRules
         : parseValidation(validationRules, allValues);
 
+    if (!parsedRules.length) {
+        return null; // No validation rules, field is valid
+    }
+
     // Apply each rule in order
     for (const rule of parsedRules) {
         if (!rule || !rule.name) continue;
 
-        const validatorFn = rules[rule.name];
+        // Conditional rules only apply while their `when` condition holds
+        if (rule.when && !conditions.evaluate(rule.when, allValues)) continue;
+
+        // Asynchronous rules are checked separately
+        if (getOwn(asyncRules, rule.name)) continue;
+
+        const validatorFn = getOwn(rules, rule.name);
         if (!validatorFn) {
             console.warn(`Unknown validation rule: ${rule.name}`);
             continue;
         }
 
-        const error = validatorFn(value, ...rule.params);
+        const params = rule.params || [];
+        const error = validatorFn(value, ...params);
         if (error) {
-            return error; // Return the first error
+            // Return the first error, preferring the template's own message
+            return {
+                rule: rule.name,
+                message: rule.message || error,
+                params,
+                ...(rule.field ? { field: rule.field } : {})
+            };
         }
     }
 
     return null; // Field is valid
 }
 
-// Validate entire form
+// Build the rule list for a field definition, including its `required` flag,
+// `format`, for direct uploads that the upload has finished, for photo
+// fields their `minPhotos`/`maxPhotos` counts and for enforced geofences
+// that the location is inside
+function getFieldRules(field, allValues = {}) {
+    const { validation, required } = field;
+    let fieldRules = validation ? parseValidation(validation, allValues) : [];
+
+    const format = formats.parseFormat(field.format);
+    if (format && !fieldRules.some(rule => rule && rule.name === 'format')) {
+        fieldRules = [...fieldRules, { name: 'format', params: [format.type, format.region] }];
+    }
+
+    if (field.type === 's3-upload' && !fieldRules.some(rule => rule && rule.name === 'uploaded')) {
+        fieldRules = [...fieldRules, { name: 'uploaded', params: [] }];
+    }
+
+    if (field.type === 'geolocation' && field.geofence && field.geofence.enforce &&
+        !fieldRules.some(rule => rule && rule.name === 'geofence')) {
+        const fence = geofence.resolveFence(field.geofence, allValues);
+        fieldRules = [...fieldRules, { name: 'geofence', params: [fence, field.maxAccuracy] }];
+    }
+
+    if (field.type === 'image-capture') {
+        ['minPhotos', 'maxPhotos'].forEach(ruleName => {
+            if (field[ruleName] && !fieldRules.some(rule => rule && rule.name === ruleName)) {
+                fieldRules = [...fieldRules, { name: ruleName, params: [field[ruleName]] }];
+            }
+        });
+    }
+
+    // Add required rule if specified
+    if (required && !fieldRules.some(rule => rule && rule.name === 'required')) {
+        fieldRules = [{ name: 'required', params: [] }, ...fieldRules];
+    }
+
+    return fieldRules;
+}
+
+// Check whether a validation schema includes asynchronous rules
+function hasAsyncRules(validationRules) {
+    const parsedRules = Array.isArray(validationRules)
+        ? validationRules
+        : parseValidation(validationRules);
+
+    return parsedRules.some(rule => rule && getOwn(asyncRules, rule.name));
+}
+
+/**
+ * Asynchronous counterpart of getFieldError: runs the synchronous rules and,
+ * if they pass, the asynchronous ones
+ * @param {*} value - The field value
+ * @param {Object|Array} validationRules - Rule list or validation schema
+ * @param {Object} allValues - All form values
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal to cancel pending checks
+ * @returns {Promise<Object|null>} The first failure, or null when valid
+ */
+async function getFieldErrorAsync(value, validationRules, allValues = {}, { signal } = {}) {
+    const syncError = getFieldError(value, validationRules, allValues);
+    if (syncError) return syncError;
+
+    // Empty values are left to the `required` rule
+    if (value === undefined || value === null || value === '') return null;
+
+    const parsedRules = Array.isArray(validationRules)
+        ? validationRules
+        : parseValidation(validationRules, allValues);
+
+    for (const rule of parsedRules) {
+        const validatorFn = rule && getOwn(asyncRules, rule.name);
+        if (!validatorFn) continue;
+        if (rule.when && !conditions.evaluate(rule.when, allValues)) continue;
+
+        const params = rule.params || [];
+        const error = await validatorFn(value, params, { signal, allValues });
+
+        if (error) {
+            return {
+                rule: rule.name,
+                message: rule.message || error,
+                params
+            };
+        }
+    }
+
+    return null;
+}
+
+// Validate a single field
+function validateField(value, validationRules, allValues = {}) {
+    if (!validationRules) {
+        return null; // No validation rules, field is valid
+    }
+
+    const error = getFieldError(value, validationRules, allValues);
+    return error ? error.message : null;
+}
+
+// Validate entire form. `options.context` holds the answers conditions and
+// cross-field rules look at when it differs from the values being validated
+// (a repeat instance sees the whole form).
 function validateForm(formData, formSchema, options = {}) {
-    const { abortEarly = false } = options;
+    const { abortEarly = false, context = formData } = options;
     const errors = {};
+    const details = {};
     let isValid = true;
 
     // Get form fields from schema
@@ -165,25 +418,36 @@ function validateForm(formData, formSchema, options = {}) {
 
     // Validate each field
     for (const field of fields) {
-        const { name, validation, required } = field;
+        const { name, showIf } = field;
 
-        // Skip validation if no rules and not required
-        if (!validation && !required) continue;
+        // Hidden fields are not validated
+        if (showIf && !conditions.isVisible(showIf, context)) continue;
 
-        // Build validation rules
-        let fieldRules = validation ? parseValidation(validation, formData) : [];
+        // Repeat groups check their entry count, then each instance's sub-fields
+        if (field.type === 'repeat') {
+            const result = validateRepeat(formData, field, options);
 
-        // Add required rule if specified
-        if (required && !fieldRules.some(rule => rule && rule.name === 'required')) {
-            fieldRules = [{ name: 'required', params: [] }, ...fieldRules];
+            if (!result.isValid) {
+                Object.assign(errors, result.errors);
+                Object.assign(details, result.details);
+                isValid = false;
+
+                if (abortEarly) break;
+            }
+            continue;
         }
 
+        // Build validation rules; skip fields that have none
+        const fieldRules = getFieldRules(field, context);
+        if (fieldRules.length === 0) continue;
+
         // Validate field
         const value = formData[name];
-        const error = validateField(value, fieldRules, formData);
+        const error = getFieldError(value, fieldRules, context);
 
         if (error) {
-            errors[name] = error;
+            errors[name] = error.message;
+            details[name] = error;
             isValid = false;
 
             // Abort early if requested
@@ -191,9 +455,52 @@ function validateForm(formData, formSchema, options = {}) {
         }
     }
 
+    // `errors` maps field names to messages; `details` adds the failing rule
     return {
         isValid,
-        errors
+        errors,
+        details
+    };
+}
+
+// Validate a repeat group; instance errors are keyed `${name}.${index}.${field}`
+function validateRepeat(formData, field, options = {}) {
+    const { context = formData } = options;
+    const { name, required, minItems, maxItems } = field;
+    const items = Array.isArray(formData[name]) ? formData[name] : [];
+    const errors = {};
+    const details = {};
+
+    const countRules = [];
+    if (required) countRules.push({ name: 'required', params: [] });
+    if (minItems) countRules.push({ name: 'minItems', params: [minItems] });
+    if (maxItems) countRules.push({ name: 'maxItems', params: [maxItems] });
+
+    const countError = getFieldError(items, countRules, context);
+    if (countError) {
+        errors[name] = countError.message;
+        details[name] = countError;
+    }
+
+    // Each instance's own values are validated; top-level answers are only
+    // context for cross-field rules and conditions, so a top-level answer
+    // with the same name can't satisfy an empty sub-field
+    items.forEach((item, index) => {
+        const result = validateForm(item, { fields: field.fields || [] }, {
+            ...options,
+            context: { ...context, ...item }
+        });
+
+        Object.entries(result.errors).forEach(([fieldName, error]) => {
+            errors[`${name}.${index}.${fieldName}`] = error;
+            details[`${name}.${index}.${fieldName}`] = result.details[fieldName];
+        });
+    });
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        details
     };
 }
 
@@ -207,20 +514,176 @@ function validateStep(formData, stepSchema, options = {}) {
     return validateForm(formData, tempSchema, options);
 }
 
+// Start the asynchronous checks of fields that passed their synchronous rules.
+// Repeat groups are checked per instance like validateRepeat does; keys follow
+// validateForm's errors (`${name}.${index}.${field}` inside repeat groups).
+function startAsyncChecks(values, fields, context, errors, signal, prefix = '') {
+    const checks = [];
+
+    fields.forEach(field => {
+        if (field.showIf && !conditions.isVisible(field.showIf, context)) return;
+
+        const key = `${prefix}${field.name}`;
+
+        if (field.type === 'repeat') {
+            const items = Array.isArray(values[field.name]) ? values[field.name] : [];
+
+            items.forEach((item, index) => {
+                checks.push(...startAsyncChecks(
+                    item || {},
+                    field.fields || [],
+                    { ...context, ...item },
+                    errors,
+                    signal,
+                    `${key}.${index}.`
+                ));
+            });
+            return;
+        }
+
+        if (errors[key] || !field.validation || !hasAsyncRules(field.validation)) return;
+
+        checks.push({
+            key,
+            error: getFieldErrorAsync(values[field.name], getFieldRules(field, context), context, { signal })
+        });
+    });
+
+    return checks;
+}
+
+// Validate form step including asynchronous rules; sync failures are reported
+// without waiting on the server
+async function validateStepAsync(formData, stepSchema, options = {}) {
+    const { signal } = options;
+    const result = validateStep(formData, stepSchema, options);
+    const errors = { ...result.errors };
+    const details = { ...result.details };
+
+    const checks = startAsyncChecks(formData, stepSchema.fields || [], formData, errors, signal);
+    const asyncErrors = await Promise.all(checks.map(check => check.error));
+
+    asyncErrors.forEach((error, index) => {
+        if (error) {
+            errors[checks[index].key] = error.message;
+            details[checks[index].key] = error;
+        }
+    });
+
+    return {
+        isValid: Object.keys(errors).length === 0,
+        errors,
+        details
+    };
+}
+
+/**
+ * Validate several steps at once (e.g. the whole form before submit)
+ * @param {Object} formData - Current form values
+ * @param {Array} steps - Step schemas to validate, in display order
+ * @param {Object} options - Options passed to validateStep
+ * @returns {Object} { isValid, errors, details, summary } where summary lists
+ * the failing fields grouped by step: [{ stepId, stepIndex, title, fields: [{ name, fieldName, fieldId, label, message }] }]
+ */
+function validateSteps(formData, steps = [], options = {}) {
+    return combineStepResults(steps, steps.map(step => validateStep(formData, step, options)));
+}
+
+/**
+ * Asynchronous counterpart of validateSteps, which also runs the async rules
+ * (e.g. lookups) of every step given
+ * @param {Object} formData - Current form values
+ * @param {Array} steps - Step schemas to validate, in display order
+ * @param {Object} options - Options passed to validateStepAsync
+ * @returns {Promise<Object>} Same shape as validateSteps
+ */
+async function validateStepsAsync(formData, steps = [], options = {}) {
+    const results = await Promise.all(steps.map(step => validateStepAsync(formData, step, options)));
+    return combineStepResults(steps, results);
+}
+
+// Merge per-step results and list the failing fields by step
+function combineStepResults(steps, results) {
+    const errors = {};
+    const details = {};
+    const summary = [];
+
+    steps.forEach((step, stepIndex) => {
+        const result = results[stepIndex];
+        if (result.isValid) return;
+
+        Object.assign(errors, result.errors);
+        Object.assign(details, result.details);
+
+        summary.push({
+            stepId: step.id,
+            stepIndex,
+            title: step.title,
+            fields: Object.keys(result.errors).map(key => {
+                // Repeat group errors are keyed `${group}.${index}.${field}`
+                const [fieldName, index, subFieldName] = key.split('.');
+                const field = (step.fields || []).find(item => item.name === fieldName);
+                let label = (field && field.label) || fieldName;
+                let fieldId = field ? field.id || field.name : fieldName;
+
+                if (field && subFieldName) {
+                    const subField = (field.fields || []).find(item => item.name === subFieldName) || { name: subFieldName };
+                    label = `${label} – ${field.itemLabel || 'Item'} ${Number(index) + 1}: ${subField.label || subField.name}`;
+                    fieldId = `${subField.id || subField.name}_${index}`;
+                }
+
+                return {
+                    name: key,
+                    fieldName,
+                    fieldId,
+                    label,
+                    message: result.errors[key]
+                };
+            })
+        });
+    });
+
+    return {
+        isValid: summary.length === 0,
+        errors,
+        details,
+        summary
+    };
+}
+
 // Add custom validation rule
 function addValidationRule(name, validatorFn) {
-    if (rules[name]) {
+    if (getOwn(rules, name)) {
         console.warn(`Overriding existing validation rule: ${name}`);
     }
 
     rules[name] = validatorFn;
 }
 
+// Add custom asynchronous validation rule
+function addAsyncValidationRule(name, validatorFn) {
+    if (getOwn(asyncRules, name)) {
+        console.warn(`Overriding existing async validation rule: ${name}`);
+    }
+
+    asyncRules[name] = validatorFn;
+}
+
 // Export validation functionality
 export default {
     rules,
+    asyncRules,
+    parseValidation,
+    getFieldRules,
+    getFieldError,
+    getFieldErrorAsync,
+    hasAsyncRules,
     validateField,
     validateForm,
     validateStep,
-    addValidationRule
+    validateStepAsync,
+    validateSteps,
+    validateStepsAsync,
+    addValidationRule,
+    addAsyncValidationRule
 };
\ No newline at end of file
@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import validator from './validation';
+
+describe('validation repeat groups', () => {
+    const schema = {
+        fields: [
+            { name: 'brand', type: 'text' },
+            {
+                name: 'products',
+                type: 'repeat',
+                fields: [
+                    { name: 'brand', type: 'text', required: true },
+                    {
+                        name: 'reason',
+                        type: 'text',
+                        required: true,
+                        showIf: { field: 'visit_type', value: 'audit' }
+                    }
+                ]
+            }
+        ]
+    };
+
+    it('does not let a top-level answer fill an empty sub-field', () => {
+        const result = validator.validateForm({ brand: 'Acme', visit_type: 'sale', products: [{}] }, schema);
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual({ 'products.0.brand': 'This field is required' });
+    });
+
+    it('uses top-level answers for sub-field conditions', () => {
+        const data = { visit_type: 'audit', products: [{ brand: 'Acme' }] };
+        const result = validator.validateForm(data, schema);
+
+        expect(result.errors).toEqual({ 'products.0.reason': 'This field is required' });
+        expect(validator.validateForm({ ...data, visit_type: 'sale' }, schema).isValid).toBe(true);
+    });
+});
+
+describe('validation.validateStepsAsync', () => {
+    validator.addAsyncValidationRule('knownOutlet', async (value) => (
+        value === 'OUT-1' ? null : 'Unknown outlet'
+    ));
+
+    const steps = [
+        { id: 'outlet', title: 'Outlet', fields: [{ name: 'outlet_code', label: 'Outlet code', validation: { knownOutlet: true } }] },
+        { id: 'visit', title: 'Visit', fields: [{ name: 'notes', label: 'Notes' }] }
+    ];
+
+    it('runs async rules on every step, not only the last', async () => {
+        const result = await validator.validateStepsAsync({ outlet_code: 'OUT-9' }, steps);
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual({ outlet_code: 'Unknown outlet' });
+        expect(result.summary).toMatchObject([{ stepId: 'outlet', stepIndex: 0, fields: [{ name: 'outlet_code' }] }]);
+    });
+
+    it('passes when every step passes', async () => {
+        expect((await validator.validateStepsAsync({ outlet_code: 'OUT-1' }, steps)).isValid).toBe(true);
+    });
+    it('runs async rules of repeat group sub-fields per instance', async () => {
+        const step = {
+            id: 'orders',
+            fields: [{
+                name: 'orders',
+                type: 'repeat',
+                fields: [
+                    { name: 'outlet_code', required: true, validation: { knownOutlet: true } },
+                    { name: 'reorder_code', validation: { knownOutlet: true }, showIf: { field: 'reorder', value: true } }
+                ]
+            }]
+        };
+        const data = {
+            orders: [
+                { outlet_code: 'OUT-1' },
+                { outlet_code: 'OUT-9', reorder: true, reorder_code: 'OUT-8' },
+                {}
+            ]
+        };
+        const result = await validator.validateStepAsync(data, step);
+
+        expect(result.errors).toEqual({
+            'orders.1.outlet_code': 'Unknown outlet',
+            'orders.1.reorder_code': 'Unknown outlet',
+            'orders.2.outlet_code': 'This field is required'
+        });
+        expect(result.details['orders.1.outlet_code']).toMatchObject({ rule: 'knownOutlet' });
+    });
+});
+
+describe('validation geofence', () => {
+    const schema = {
+        fields: [
+            {
+                name: 'checkin',
+                type: 'geolocation',
+                geofence: { center: { field: 'outlet_location' }, radius: 100, enforce: true }
+            }
+        ]
+    };
+    const checkin = { latitude: 18.5204, longitude: 73.8567, accuracy: 10 };
+
+    it('fails an enforced fence whose center is not answered', () => {
+        const result = validator.validateForm({ checkin }, schema);
+
+        expect(result.isValid).toBe(false);
+        expect(result.details.checkin.rule).toBe('geofence');
+    });
+
+    it('checks the location once the center is known', () => {
+        const outlet_location = { latitude: 18.5205, longitude: 73.8567 };
+
+        expect(validator.validateForm({ checkin, outlet_location }, schema).isValid).toBe(true);
+        expect(validator.validateForm({ checkin, outlet_location: { latitude: 18.53, longitude: 73.8567 } }, schema).isValid).toBe(false);
+    });
+});
+
+describe('validation schemas', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('parses rules with bare parameters and options', () => {
+        const rules = validator.parseValidation({
+            required: true,
+            minLength: 3,
+            email: false,
+            pattern: { value: '^[A-Z]', message: 'Start with a capital letter' },
+            max: { value: 100, when: { field: 'unit', value: 'percent' } }
+        });
+
+        expect(rules).toEqual([
+            { name: 'required', params: [], message: undefined, when: undefined, field: undefined },
+            { name: 'minLength', params: [3], message: undefined, when: undefined, field: undefined },
+            { name: 'pattern', params: ['^[A-Z]'], message: 'Start with a capital letter', when: undefined, field: undefined },
+            { name: 'max', params: [100], message: undefined, when: { field: 'unit', value: 'percent' }, field: undefined }
+        ]);
+    });
+
+    it('describes the failing rule', () => {
+        expect(validator.getFieldError('ab', { minLength: 3 })).toEqual({
+            rule: 'minLength',
+            message: 'Must be at least 3 characters',
+            params: [3]
+        });
+        expect(validator.getFieldError('abc', { minLength: 3 })).toBe(null);
+    });
+
+    it('prefers the template message', () => {
+        const error = validator.getFieldError('ab', { minLength: { value: 3, message: 'Use the full shop name' } });
+
+        expect(error).toEqual({ rule: 'minLength', message: 'Use the full shop name', params: [3] });
+    });
+
+    it('checks matches against another answer', () => {
+        const schema = { matches: { field: 'mobile', message: 'Numbers do not match' } };
+
+        expect(validator.getFieldError('9876543210', schema, { mobile: '9876543211' })).toEqual({
+            rule: 'matches',
+            message: 'Numbers do not match',
+            params: ['9876543211'],
+            field: 'mobile'
+        });
+        expect(validator.getFieldError('9876543210', schema, { mobile: '9876543210' })).toBe(null);
+        expect(validator.getFieldError('a', { matches: 'contact.email' }, { contact: { email: 'a' } })).toBe(null);
+    });
+
+    it('applies a rule only while its when condition holds', () => {
+        const schema = { max: { value: 100, when: { field: 'unit', value: 'percent' } } };
+
+        expect(validator.getFieldError(150, schema, { unit: 'percent' })).toMatchObject({ rule: 'max' });
+        expect(validator.getFieldError(150, schema, { unit: 'count' })).toBe(null);
+    });
+
+    it('reports errors and details per field', () => {
+        const schema = {
+            fields: [
+                { name: 'shop_name', required: true },
+                { name: 'confirm_mobile', validation: { matches: { field: 'mobile', message: 'Numbers do not match' } } }
+            ]
+        };
+        const result = validator.validateForm({ mobile: '98', confirm_mobile: '99' }, schema);
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual({
+            shop_name: 'This field is required',
+            confirm_mobile: 'Numbers do not match'
+        });
+        expect(result.details.confirm_mobile).toEqual({
+            rule: 'matches',
+            message: 'Numbers do not match',
+            params: ['98'],
+            field: 'mobile'
+        });
+    });
+
+    it('does not resolve rule names through the prototype', async () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const schema = { constructor: true, toString: 'x' };
+
+        expect(validator.getFieldError('a', schema)).toBe(null);
+        expect(warn).toHaveBeenCalledWith('Unknown validation rule: constructor');
+        expect(validator.hasAsyncRules(schema)).toBe(false);
+        await expect(validator.getFieldErrorAsync('a', schema)).resolves.toBe(null);
+    });
+
+    it('fails a field whose pattern is invalid instead of throwing', () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const schema = { fields: [{ name: 'code', validation: { pattern: { value: '(', message: 'Invalid code' } } }] };
+
+        expect(validator.validateStep({ code: 'A1' }, schema).errors).toEqual({ code: 'Invalid code' });
+    });
+});
@@ -10,7 +10,8 @@ export default defineConfig({
     VitePWA({
       registerType: 'autoUpdate',
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,jpg}'],
+        // .wasm is the barcode decoder used when the browser has none
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,jpg,wasm}'],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/api\.your-domain\.com\/.*$/i,